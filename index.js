@@ -1,12 +1,76 @@
 const express = require('express');
 const cors = require('cors');
-const jwt = require('jsonwebtoken'); // Added for JWT
-const cookieParser = require('cookie-parser'); // Added for JWT
+const cookieParser = require('cookie-parser'); // Session cookies
 const dotenv = require('dotenv');
 dotenv.config();
 const { MongoClient, ServerApiVersion, ObjectId } = require('mongodb');
 const admin = require("firebase-admin");
 const stripe = require('stripe')(process.env.PAYMENT_GATEWAY_KEY);
+const { getPricingError, calculateParcelPrice } = require('./utils/pricing');
+const { handleStripeEvent } = require('./utils/stripeWebhook');
+const { releaseOpenIntents, releaseReturnChargeIntent } = require('./utils/paymentIntents');
+const { planParcelRefund, refundParcelPayment, markRefundForRetry } = require('./utils/refunds');
+const { getActorRole, getTransitionError, transitionParcel } = require('./utils/parcelStatus');
+const { insertParcelWithTrackingId, recordTrackingEvent, normalizeTimeline, getParcelSummary } = require('./utils/tracking');
+const { setEventBackend, createMongoChangeStreamBackend } = require('./utils/events');
+const { streamTrackingEvents } = require('./utils/sse');
+const { OPEN_STATUSES, pickRiderForParcel, rankRidersForDistrict, refreshRiderWorkStatus } = require('./utils/riderAssignment');
+const { recordDeliveryEarning, recordRiderEarnings, getEarningTotals, createPayoutBatches, reconcilePayoutBatch } = require('./utils/earnings');
+const { createAuthorize } = require('./utils/authorize');
+const { validateBody, validateQuery, validateObjectIdParam } = require('./utils/validation');
+const { searchFilter, dateRangeFilter, districtFilter, combineFilters, buildParcelListFilter, buildPaymentListFilter, buildRiderCompletedFilter, buildSort, paginate } = require('./utils/listing');
+const schemas = require('./utils/schemas');
+const analytics = require('./utils/analytics');
+const {
+    ACCESS_TOKEN_TTL_SECONDS,
+    REFRESH_TOKEN_TTL_DAYS,
+    createSession,
+    rotateSession,
+    revokeUserSessions,
+    revokeSessionByTokens,
+    verifyAccessToken,
+} = require('./utils/sessions');
+const { getNotificationPreferences, createNotifier } = require('./utils/notifications');
+const { createAuditLogger } = require('./utils/audit');
+const { NOT_DELETED, DELETED, softDeleteDocument, restoreDocument, purgeDeleted } = require('./utils/softDelete');
+const {
+    PROOF_STATUSES,
+    PROOF_UPLOAD_KINDS,
+    PROOF_IMAGE_TYPES,
+    PROOF_MAX_BYTES,
+    getDeliveryCodeSecret,
+    issueDeliveryCode,
+    verifyDeliveryCode,
+    buildProofOfDelivery,
+    hasValidProof,
+    proofUploadKey,
+} = require('./utils/proofOfDelivery');
+const { saveFile, readFile } = require('./utils/storage');
+const { buildFailedAttempt, buildReturnStart } = require('./utils/deliveryAttempts');
+const {
+    buildServiceCenterFields,
+    planParcelRoute,
+    getCurrentLeg,
+    getLegTransitionError,
+    buildLegUpdate,
+    openParcelsThroughCenter,
+} = require('./utils/serviceCenters');
+const { BULK_CSV_LIMIT, UNPAID_IN_BATCH, buildParcelDocument, getBulkRows, prepareBulkParcels, insertParcelBatch } = require('./utils/bulkBooking');
+const { parseCsv } = require('./utils/csv');
+const { renderShippingLabel, renderInvoice } = require('./utils/documents');
+const { PARCEL_COLUMNS, PAYMENT_COLUMNS, RIDER_DELIVERY_COLUMNS, EARNING_COLUMNS, streamExport } = require('./utils/export');
+const { CURRENCY, PAYMENT_METHOD_TYPES, toMinorUnits, fromMinorUnits, roundMoney } = require('./utils/currency');
+const {
+    READY_FOR_PICKUP,
+    isCashOnDelivery,
+    buildCashCollection,
+    recordCashPayment,
+    getHeldCash,
+    formatHeldCash,
+    settleRiderCash,
+} = require('./utils/cashOnDelivery');
+const { INACTIVE_RIDER_STATUSES, reviewRiderApplication, getApplicationSummary } = require('./utils/riderReview');
+const { toGeoPoint, buildNearbyRidersPipeline, getPublicRiderPosition } = require('./utils/riderLocation');
 
 const app = express();
 const port = 3000;
@@ -16,8 +80,23 @@ app.use(cors({
     origin: ["http://localhost:5173"],
     credentials: true,
 }));
-app.use(express.json());
-app.use(cookieParser()); // Use cookie-parser for JWT
+app.use(express.json({
+    limit: '1mb', // Bulk bookings send up to MAX_BULK_ROWS parcels at once
+    // Keep the raw body around, Stripe webhook signatures are computed over the exact bytes
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    },
+}));
+app.use(cookieParser()); // Use cookie-parser for session cookies
+
+// --- Delivery Code Secret ---
+// Delivery codes are hashed with it (see utils/proofOfDelivery.js), so refuse to start without one
+try {
+    getDeliveryCodeSecret();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
 
 // --- Firebase Admin SDK Initialization ---
 let serviceAccount;
@@ -69,95 +148,229 @@ async function run() {
         const paymentsCollection = db.collection("payments");
         const ridersCollection = db.collection("riders");
         const trackingsCollection = db.collection("trackings"); // Renamed for consistency
+        const stripeEventsCollection = db.collection("stripe_events"); // Processed webhook event ids
+        const earningsCollection = db.collection("earnings"); // Rider earnings ledger, one entry per delivery or per route leg
+        const payoutBatchesCollection = db.collection("payout_batches");
+        const sessionsCollection = db.collection("sessions"); // Cookie sessions and refresh tokens
+        const notificationOutboxCollection = db.collection("notification_outbox"); // Queued emails, see utils/notifications.js
+        const auditLogsCollection = db.collection("audit_logs"); // Append-only, see utils/audit.js
+        const paymentsArchiveCollection = db.collection("payments_archive"); // Payments of purged parcels, see utils/softDelete.js
+        const serviceCentersCollection = db.collection("service_centers"); // Hubs for inter-district routes, see utils/serviceCenters.js
+        const parcelBatchesCollection = db.collection("parcel_batches"); // Bulk bookings, see utils/bulkBooking.js
+        const cashSettlementsCollection = db.collection("cash_settlements"); // Cash on delivery handed over by riders, see utils/cashOnDelivery.js
+
+        // Fan-out for the live tracking streams, use "mongo" when running more than one instance
+        if (process.env.EVENTS_BACKEND === "mongo") {
+            setEventBackend(createMongoChangeStreamBackend(trackingsCollection));
+        }
+
+        // --- Indexes ---
+        // Not awaited, so the routes below are registered even if the database is unreachable at startup
+        parcelsCollection.createIndex({ tracking_id: 1 }, { unique: true, sparse: true })
+            .catch((error) => console.error("Error creating parcel tracking_id index:", error));
+        ridersCollection.createIndex({ location: "2dsphere" })
+            .catch((error) => console.error("Error creating rider location index:", error));
+        ridersCollection.createIndex({ email: 1 }, { unique: true }) // One application per user
+            .catch((error) => console.error("Error creating rider email index:", error));
+        earningsCollection.dropIndex("parcel_id_1") // Was one entry per parcel, before routed parcels earned per leg
+            .catch(() => null) // Already dropped
+            .then(() => earningsCollection.createIndex({ parcel_id: 1, leg_index: 1 }, { unique: true }))
+            .catch((error) => console.error("Error creating earnings parcel_id/leg_index index:", error));
+        sessionsCollection.createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 }) // Mongo drops expired sessions
+            .catch((error) => console.error("Error creating session expiry index:", error));
+        notificationOutboxCollection.createIndex({ status: 1, next_attempt_at: 1 })
+            .catch((error) => console.error("Error creating notification outbox index:", error));
+        notificationOutboxCollection.createIndex({ dedupe_key: 1 }, { unique: true, sparse: true })
+            .catch((error) => console.error("Error creating notification dedupe index:", error));
+        auditLogsCollection.createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 }) // Retention, see AUDIT_RETENTION_DAYS
+            .catch((error) => console.error("Error creating audit log expiry index:", error));
+        auditLogsCollection.createIndex({ entity: 1, entity_id: 1, timestamp: -1 })
+            .catch((error) => console.error("Error creating audit log entity index:", error));
+        auditLogsCollection.createIndex({ actor_email: 1, timestamp: -1 })
+            .catch((error) => console.error("Error creating audit log actor index:", error));
+        serviceCentersCollection.createIndex({ location: "2dsphere" })
+            .catch((error) => console.error("Error creating service center location index:", error));
+        serviceCentersCollection.createIndex({ district: 1 })
+            .catch((error) => console.error("Error creating service center district index:", error));
+        parcelsCollection.createIndex({ batch_id: 1 }, { sparse: true })
+            .catch((error) => console.error("Error creating parcel batch_id index:", error));
+        parcelsCollection.createIndex({ "cash_collection.collected_by.email": 1, "cash_collection.status": 1 }, { sparse: true })
+            .catch((error) => console.error("Error creating parcel cash collection index:", error));
+
+        // Email notifications: parcel events are picked up from the event fan-out, rider emails are sent by the routes
+        const notifier = createNotifier({ outboxCollection: notificationOutboxCollection, usersCollection, parcelsCollection });
+        notifier.start();
 
         // --- Custom Middlewares ---
 
-        // Middleware for Firebase ID Token verification
-        const verifyFBToken = async (req, res, next) => {
-            const authHeader = req.headers.authorization;
-            if (!authHeader || !authHeader.startsWith('Bearer ')) {
-                return res.status(401).send({ message: 'Unauthorized access: No token provided or malformed header' });
+        // Authentication middleware, accepts either credential:
+        // - a Firebase ID token in the Authorization header (Bearer)
+        // - a session access token cookie issued by /login
+        // Deleting a user does not revoke their Firebase token, so a deleted account is turned away here,
+        // including on routes that only need a verified email (booking, rider applications, profile upserts)
+        const rejectDeletedAccount = async (req, res, next) => {
+            const email = req.decoded?.email;
+            if (email) {
+                try {
+                    const deleted = await usersCollection.findOne({ email, ...DELETED }, { projection: { _id: 1 } });
+                    if (deleted) {
+                        return res.status(403).send({ message: 'Forbidden: This account has been deleted' });
+                    }
+                } catch (error) {
+                    console.error("Account check error:", error);
+                    return res.status(500).send({ message: 'Failed to verify account' });
+                }
             }
-            const token = authHeader.split(' ')[1];
-            if (!token) {
-                return res.status(401).send({ message: 'Unauthorized access: Token is missing' });
+            next();
+        };
+
+        const verifyAuth = async (req, res, next) => {
+            const authHeader = req.headers.authorization;
+            if (authHeader) {
+                const token = authHeader.startsWith('Bearer ') && authHeader.split(' ')[1];
+                if (!token) {
+                    return res.status(401).send({ message: 'Unauthorized access: Malformed authorization header' });
+                }
+                try {
+                    req.decoded = await admin.auth().verifyIdToken(token); // Attach decoded token to request
+                } catch (error) {
+                    console.error("Firebase token verification error:", error);
+                    return res.status(403).send({ message: 'Forbidden access: Invalid or expired token' });
+                }
+                return rejectDeletedAccount(req, res, next);
             }
 
+            const sessionToken = req.cookies?.token;
+            if (!sessionToken) {
+                return res.status(401).send({ message: 'Unauthorized access: No token provided' });
+            }
             try {
-                const decoded = await admin.auth().verifyIdToken(token);
-                req.decoded = decoded; // Attach decoded token to request
-                next();
+                req.decoded = await verifyAccessToken(sessionsCollection, sessionToken);
             } catch (error) {
-                console.error("Firebase token verification error:", error);
-                return res.status(403).send({ message: 'Forbidden access: Invalid or expired token' });
+                if (error.status !== 401) console.error("Session verification error:", error);
+                return res.status(401).send({ message: `Unauthorized access: ${error.status === 401 ? error.message : 'Session check failed'}` });
             }
+            return rejectDeletedAccount(req, res, next);
         };
 
-        // Middleware for JWT verification (for cookie-based authentication)
-        const verifyToken = (req, res, next) => {
-            const token = req.cookies?.token;
-            if (!token) {
-                return res.status(401).send({ message: "Unauthorized access: No JWT token found" });
+        // EventSource cannot send headers, so stream routes also accept the ID token as ?token=
+        const allowQueryToken = (req, res, next) => {
+            if (!req.headers.authorization && typeof req.query.token === 'string') {
+                req.headers.authorization = `Bearer ${req.query.token}`;
             }
-
-            jwt.verify(token, process.env.JWT_ACCESS_SECRET, (err, decoded) => {
-                if (err) {
-                    console.error("JWT verification error:", err);
-                    return res.status(401).send({ message: "Unauthorized access: Invalid JWT token" });
-                }
-                req.decoded = decoded; // Attach decoded token to request
-                next();
-            });
+            next();
         };
 
-        // Middleware to verify if the user is an admin
-        const verifyAdmin = async (req, res, next) => {
-            const email = req.decoded?.email; // Decoded from either FB or JWT token
-            if (!email) {
-                return res.status(401).send({ message: 'Unauthorized access: Email not found in token' });
+        // Every :id route param is a Mongo ObjectId, malformed ones get a 400 before reaching the route
+        app.param("id", validateObjectIdParam);
+
+        // Declarative role / ownership checks, see utils/authorize.js for the rules
+        const authorize = createAuthorize({ usersCollection, parcelsCollection });
+
+        // --- Helpers ---
+
+        // Writes an audit_logs entry for a privileged mutation, never throws
+        const recordAudit = createAuditLogger(auditLogsCollection);
+
+        // Moves a parcel through the state machine and writes the matching tracking entry
+        const moveParcel = async (parcel, to, { actor, note = null, set = {}, message }) => {
+            // Parcels on a hub route also update their current leg; check-ins and check-outs are tracked as such
+            const legError = getLegTransitionError(parcel, to);
+            if (legError) throw legError;
+            const leg = buildLegUpdate(parcel, to, set);
+
+            const updatedParcel = await transitionParcel(parcelsCollection, parcel, to, { actor, note, set: { ...set, ...leg.set } });
+            await recordTrackingEvent(trackingsCollection, updatedParcel, leg.event, { message: message || leg.message || note, actor });
+
+            // Keep work_status in sync for the rider now on the parcel and, after a re-assignment, the previous one
+            const riderEmails = new Set([parcel.assigned_rider_email, updatedParcel.assigned_rider_email]);
+            for (const riderEmail of riderEmails) {
+                await refreshRiderWorkStatus({ ridersCollection, parcelsCollection }, riderEmail);
             }
-            const query = { email };
-            const user = await usersCollection.findOne(query);
-            if (!user || user.role !== 'admin') {
-                return res.status(403).send({ message: 'Forbidden access: Not an admin' });
+
+            // Riders earn per delivery, or per completed leg when the parcel is routed through hubs
+            const currentLeg = getCurrentLeg(parcel);
+            const completedLeg = currentLeg && currentLeg.status !== "completed" && updatedParcel.route.legs[currentLeg.index];
+            if (completedLeg?.status === "completed") {
+                await recordDeliveryEarning(earningsCollection, updatedParcel, completedLeg);
+            } else if (!currentLeg && ["delivered", "service_center_delivered"].includes(to)) {
+                await recordDeliveryEarning(earningsCollection, updatedParcel);
             }
-            next();
+            return updatedParcel;
         };
 
-        // Middleware to verify if the user is a rider
-        const verifyRider = async (req, res, next) => {
-            const email = req.decoded?.email; // Decoded from either FB or JWT token
-            if (!email) {
-                return res.status(401).send({ message: 'Unauthorized access: Email not found in token' });
-            }
-            const query = { email };
-            const user = await usersCollection.findOne(query);
-            if (!user || user.role !== 'rider') {
-                return res.status(403).send({ message: 'Forbidden access: Not a rider' });
-            }
-            next();
+        // Emails a delivery code to the receiver, or to the sender when the receiver has no email
+        const sendDeliveryCode = (parcel, code) => {
+            const forSender = !parcel.receiver_email;
+            return notifier.notify("delivery_code", parcel.receiver_email || parcel.created_by, { parcel, code, forSender });
+        };
+
+        // Assigns a rider document to a parcel through the state machine, to deliver it or, for parcels
+        // on their way back, to return it. The first delivery assignment issues the delivery code, re-assignments keep it.
+        const assignRider = async (parcel, rider, actor, note) => {
+            const isReturn = ["return_pending", "return_assigned"].includes(parcel.delivery_status);
+            const deliveryCode = isReturn || parcel.delivery_code_hash ? null : issueDeliveryCode(parcel);
+            const updatedParcel = await moveParcel(parcel, isReturn ? "return_assigned" : "rider_assigned", {
+                actor,
+                note: note || `${isReturn ? "Return assigned" : "Assigned"} to rider ${rider.name || rider.email}`,
+                set: {
+                    assigned_rider_id: rider._id.toString(),
+                    assigned_rider_email: rider.email,
+                    assigned_rider_name: rider.name,
+                    ...deliveryCode?.set,
+                },
+            });
+            await ridersCollection.updateOne({ _id: rider._id }, { $set: { last_assigned_at: new Date() } });
+            if (deliveryCode) sendDeliveryCode(updatedParcel, deliveryCode.code); // Not awaited, never throws
+            return updatedParcel;
+        };
+
+        // Sends errors thrown with a `status` (rejected transitions, refund rules) as client errors.
+        // Returns false for anything else so the route can fall back to its 500 response.
+        const sendClientError = (res, error) => {
+            if (!error.status || error.status >= 500) return false;
+            res.status(error.status).send({ message: error.message });
+            return true;
         };
 
         // --- AUTH ROUTES ---
 
-        // Login route for JWT cookie-based authentication
+        const sessionCookieOptions = (maxAge) => ({
+            httpOnly: true,
+            secure: process.env.NODE_ENV === "production",
+            sameSite: process.env.NODE_ENV === "production" ? "none" : "lax", // 'none' for cross-site cookies in production
+            ...(maxAge ? { maxAge } : {}),
+        });
+
+        const setSessionCookies = (res, { accessToken, refreshToken }) => {
+            res.cookie("token", accessToken, sessionCookieOptions(ACCESS_TOKEN_TTL_SECONDS * 1000));
+            res.cookie("refresh_token", refreshToken, sessionCookieOptions(REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000));
+        };
+
+        // Login: exchange a verified Firebase ID token for a session (access + refresh cookies)
         app.post("/login", async (req, res) => {
-            const { email } = req.body;
-            if (!email) return res.status(400).send({ message: "Email is required" });
+            const authHeader = req.headers.authorization;
+            const idToken = req.body.idToken || (authHeader?.startsWith('Bearer ') && authHeader.split(' ')[1]);
+            if (!idToken) return res.status(400).send({ message: "Firebase ID token is required" });
 
+            let decoded;
             try {
-                const user = await usersCollection.findOne({ email });
-                if (!user) return res.status(401).send({ message: "Invalid email" });
+                decoded = await admin.auth().verifyIdToken(idToken, true); // Also rejects tokens revoked in Firebase
+            } catch (error) {
+                console.error("Firebase token verification error:", error);
+                return res.status(401).send({ message: "Invalid or expired Firebase ID token" });
+            }
 
-                const payload = { email: user.email, id: user._id.toString() };
-                const token = jwt.sign(payload, process.env.JWT_ACCESS_SECRET, { expiresIn: "1h" });
+            try {
+                const user = await usersCollection.findOne({ email: decoded.email, ...NOT_DELETED });
+                if (!user) return res.status(401).send({ message: "User is not registered" });
 
-                res.cookie("token", token, {
-                    httpOnly: true,
-                    secure: process.env.NODE_ENV === "production",
-                    sameSite: process.env.NODE_ENV === "production" ? "none" : "lax", // 'none' for cross-site cookies in production
-                    maxAge: 3600000, // 1 hour
+                const tokens = await createSession(sessionsCollection, {
+                    email: user.email,
+                    userAgent: req.headers['user-agent'],
+                    ip: req.ip,
                 });
+                setSessionCookies(res, tokens);
 
                 res.send({ message: "Login successful", user: { email: user.email, role: user.role } });
             } catch (error) {
@@ -166,30 +379,57 @@ async function run() {
             }
         });
 
-        // Logout route to clear JWT cookie
-        app.post("/logout", (req, res) => {
-            res.clearCookie("token", {
-                httpOnly: true,
-                secure: process.env.NODE_ENV === "production",
-                sameSite: process.env.NODE_ENV === "production" ? "none" : "lax", // 'none' for cross-site cookies in production
-            });
+        // Refresh: rotate the refresh token and issue a new access token
+        app.post("/auth/refresh", async (req, res) => {
+            const refreshToken = req.cookies?.refresh_token;
+            if (!refreshToken) return res.status(401).send({ message: "No refresh token provided" });
+
+            try {
+                const tokens = await rotateSession(sessionsCollection, refreshToken, {
+                    userAgent: req.headers['user-agent'],
+                    ip: req.ip,
+                });
+                setSessionCookies(res, tokens);
+                res.send({ message: "Session refreshed" });
+            } catch (error) {
+                if (error.status === 401) {
+                    res.clearCookie("token", sessionCookieOptions());
+                    res.clearCookie("refresh_token", sessionCookieOptions());
+                    return res.status(401).send({ message: error.message });
+                }
+                console.error("Session refresh error:", error);
+                res.status(500).send({ message: "Failed to refresh session" });
+            }
+        });
+
+        // Logout route: revoke the session server-side and clear its cookies
+        app.post("/logout", async (req, res) => {
+            try {
+                await revokeSessionByTokens(sessionsCollection, {
+                    accessToken: req.cookies?.token,
+                    refreshToken: req.cookies?.refresh_token,
+                }, "logout");
+            } catch (error) {
+                console.error("Logout error:", error); // Cookies are cleared regardless
+            }
+            res.clearCookie("token", sessionCookieOptions());
+            res.clearCookie("refresh_token", sessionCookieOptions());
             res.send({ message: "Logged out successfully" });
         });
 
         // --- USER ROUTES ---
 
-        // GET: All users or a specific user by email (query parameter)
-        // This route does not require authentication to allow public checks for user existence
-        app.get("/users", async (req, res) => {
-            const { email } = req.query;
+        // GET: All users (admin) or a specific user by email (query parameter, own email for non-admins)
+        app.get("/users", verifyAuth, authorize("admin", "self"), validateQuery(schemas.userList), async (req, res) => {
+            const { email, role, search } = req.validatedQuery;
             try {
-                if (email) {
-                    const user = await usersCollection.findOne({ email });
-                    return res.send(user ? [user] : []);
-                } else {
-                    const users = await usersCollection.find().toArray();
-                    return res.send(users);
-                }
+                const filter = combineFilters(
+                    NOT_DELETED,
+                    email ? { email } : {},
+                    role ? { role } : {},
+                    searchFilter(search, ['email', 'displayName'])
+                );
+                res.send(await paginate(usersCollection, filter, req.validatedQuery, { defaultSort: { email: 1 } }));
             } catch (error) {
                 console.error("Error fetching users:", error);
                 res.status(500).send({ error: "Failed to fetch users" });
@@ -197,9 +437,9 @@ async function run() {
         });
 
         // GET: A specific user by email (route parameter)
-        app.get("/users/:email", async (req, res) => {
+        app.get("/users/:email", verifyAuth, authorize("admin", "self"), async (req, res) => {
             try {
-                const user = await usersCollection.findOne({ email: req.params.email });
+                const user = await usersCollection.findOne({ email: req.params.email, ...NOT_DELETED });
                 if (!user) return res.status(404).send({ message: "User not found" });
                 res.send(user);
             } catch (error) {
@@ -208,10 +448,12 @@ async function run() {
             }
         });
 
-        // POST: Create or update a user (upsert)
+        // POST: Create or update the logged-in user (upsert)
         // This is typically used when a user first signs up with Firebase.
-        app.post("/users", async (req, res) => {
-            const { email, displayName, photoURL, lastSignInTime, role = 'user' } = req.body; // Default role to 'user'
+        // Roles are never taken from the body: new users start as 'user', existing roles are kept.
+        app.post("/users", verifyAuth, validateBody(schemas.userProfile), async (req, res) => {
+            const { displayName, photoURL, lastSignInTime } = req.body;
+            const email = req.decoded.email;
             if (!email) return res.status(400).send({ error: "Email is required" });
 
             try {
@@ -222,8 +464,8 @@ async function run() {
                             displayName,
                             photoURL,
                             lastSignInTime,
-                            role // Role can be updated or set on first creation
-                        }
+                        },
+                        $setOnInsert: { role: 'user' } // Default role to 'user'
                     },
                     { upsert: true } // Create if not exists, update if exists
                 );
@@ -235,9 +477,9 @@ async function run() {
         });
 
         // GET: Get user role by email
-        app.get("/users/role/:email", async (req, res) => {
+        app.get("/users/role/:email", verifyAuth, authorize("admin", "self"), async (req, res) => {
             try {
-                const user = await usersCollection.findOne({ email: req.params.email });
+                const user = await usersCollection.findOne({ email: req.params.email, ...NOT_DELETED });
                 if (!user) return res.status(404).json({ message: "User not found" });
                 res.json({ role: user.role || "user" }); // Default to 'user' if role is not set
             } catch (error) {
@@ -246,22 +488,56 @@ async function run() {
             }
         });
 
-        // PATCH: Promote user to admin (using JWT for admin check)
-        // This route demonstrates how to use the JWT `verifyToken` middleware.
-        app.patch("/users/make-admin/:email", verifyToken, async (req, res) => {
-            const targetEmail = req.params.email;
-            const requesterEmail = req.decoded?.email;
+        // GET: A user's email notification preferences
+        app.get("/users/:email/notifications", verifyAuth, authorize("admin", "self"), async (req, res) => {
+            try {
+                const user = await usersCollection.findOne({ email: req.params.email, ...NOT_DELETED }, { projection: { notification_preferences: 1 } });
+                if (!user) return res.status(404).send({ message: "User not found" });
+                res.send(getNotificationPreferences(user));
+            } catch (error) {
+                console.error("Error fetching notification preferences:", error);
+                res.status(500).send({ message: "Failed to load notification preferences" });
+            }
+        });
+
+        // PATCH: Turn email notifications on or off, overall or per category
+        app.patch("/users/:email/notifications", verifyAuth, authorize("admin", "self"), validateBody(schemas.notificationPreferences), async (req, res) => {
+            const changes = Object.fromEntries(
+                Object.entries(req.body).map(([key, value]) => [`notification_preferences.${key}`, value])
+            );
+            if (Object.keys(changes).length === 0) {
+                return res.status(400).send({ message: "No preferences to update" });
+            }
 
             try {
-                const requester = await usersCollection.findOne({ email: requesterEmail });
-                if (requester?.role !== "admin") {
-                    return res.status(403).send({ message: "Forbidden: Only admins can promote users" });
-                }
+                const user = await usersCollection.findOneAndUpdate(
+                    { email: req.params.email, ...NOT_DELETED },
+                    { $set: changes },
+                    { returnDocument: "after", projection: { notification_preferences: 1 } }
+                );
+                if (!user) return res.status(404).send({ message: "User not found" });
+                res.send(getNotificationPreferences(user));
+            } catch (error) {
+                console.error("Error updating notification preferences:", error);
+                res.status(500).send({ message: "Failed to update notification preferences" });
+            }
+        });
+
+        // PATCH: Promote user to admin (admin only)
+        // The user's open sessions are revoked so the new role takes effect on their next login.
+        app.patch("/users/make-admin/:email", verifyAuth, authorize("admin"), async (req, res) => {
+            const targetEmail = req.params.email;
 
+            try {
+                const user = await usersCollection.findOne({ email: targetEmail, ...NOT_DELETED });
                 const result = await usersCollection.updateOne(
-                    { email: targetEmail },
+                    { email: targetEmail, ...NOT_DELETED },
                     { $set: { role: "admin" } }
                 );
+                if (result.modifiedCount > 0) {
+                    await revokeUserSessions(sessionsCollection, targetEmail, "role_changed");
+                    await recordAudit(req, { action: "user.make_admin", entity: "user", entityId: user._id, before: { role: user.role }, after: { role: "admin" } });
+                }
 
                 res.send({ message: "User promoted to admin", result });
             } catch (error) {
@@ -270,24 +546,22 @@ async function run() {
             }
         });
 
-        // PATCH: Update user role by ID (using Firebase Token for admin check)
-        // This route demonstrates how to use the Firebase `verifyFBToken` middleware.
-        app.patch("/users/:id/role", verifyFBToken, verifyAdmin, async (req, res) => {
+        // PATCH: Update user role by ID (admin only), revokes the user's open sessions
+        app.patch("/users/:id/role", verifyAuth, authorize("admin"), validateBody(schemas.roleChange), async (req, res) => {
             const { id } = req.params;
             const { role } = req.body;
 
-            if (!["admin", "user", "rider"].includes(role)) { // Include 'rider' as a valid role
-                return res.status(400).send({ message: "Invalid role" });
-            }
-
             try {
+                const user = await usersCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
                 const result = await usersCollection.updateOne(
-                    { _id: new ObjectId(id) },
+                    { _id: new ObjectId(id), ...NOT_DELETED },
                     { $set: { role } }
                 );
                 if (result.modifiedCount === 0) {
                     return res.status(404).send({ message: "User not found or role already set" });
                 }
+                await revokeUserSessions(sessionsCollection, user.email, "role_changed");
+                await recordAudit(req, { action: "user.role_change", entity: "user", entityId: id, before: { role: user.role }, after: { role }, metadata: { email: user.email } });
                 res.send({ message: `User role updated to ${role}`, result });
             } catch (error) {
                 console.error("Error updating user role:", error);
@@ -295,44 +569,48 @@ async function run() {
             }
         });
 
+        // DELETE: Move a user to the trash and end their sessions (admin only)
+        app.delete("/users/:id", verifyAuth, authorize("admin"), async (req, res) => {
+            try {
+                const user = await softDeleteDocument(usersCollection, { _id: new ObjectId(req.params.id) }, req.user.email);
+                if (!user) {
+                    return res.status(404).send({ message: "User not found" });
+                }
+                await revokeUserSessions(sessionsCollection, user.email, "user_deleted");
+                await recordAudit(req, { action: "user.delete", entity: "user", entityId: user._id, before: { deleted_at: null }, after: { deleted_at: user.deleted_at }, metadata: { email: user.email } });
+                res.send({ message: "User moved to trash", deleted_at: user.deleted_at });
+            } catch (error) {
+                console.error("Error deleting user:", error);
+                res.status(500).send({ message: "Failed to delete user" });
+            }
+        });
+
         // --- PARCEL ROUTES ---
 
-        // GET: All parcels OR parcels by user (created_by), sorted by latest
-        app.get("/parcels", async (req, res) => {
+        // GET: All parcels (admin) OR parcels by user (created_by), sorted by latest
+        // Non-admins only ever get their own parcels, whatever email they ask for
+        app.get("/parcels", verifyAuth, authorize("user"), validateQuery(schemas.parcelList), async (req, res) => {
             try {
-                const { email, payment_status, delivery_status } = req.query;
-                let query = {};
-                if (email) query.created_by = email;
-                if (payment_status) query.payment_status = payment_status;
-                if (delivery_status) query.delivery_status = delivery_status;
+                const query = { ...req.validatedQuery };
+                if (req.user.role !== "admin") query.email = req.user.email;
 
-                const parcels = await parcelsCollection.find(query).sort({ createdAt: -1 }).toArray();
-                res.send(parcels);
+                const filter = buildParcelListFilter(query);
+                res.send(await paginate(parcelsCollection, filter, query, { defaultSort: { createdAt: -1 } }));
             } catch (error) {
                 console.error("Error fetching parcels:", error);
                 res.status(500).send({ message: "Failed to get parcels" });
             }
         });
 
-        // GET: Get a specific parcel by ID
-        app.get('/parcels/:id', async (req, res) => {
-            try {
-                const id = req.params.id;
-                const parcel = await parcelsCollection.findOne({ _id: new ObjectId(id) });
-
-                if (!parcel) {
-                    return res.status(404).send({ message: 'Parcel not found' });
-                }
-                res.send(parcel);
-            } catch (error) {
-                console.error('Error fetching parcel:', error);
-                res.status(500).send({ message: 'Failed to fetch parcel' });
-            }
+        // GET: Get a specific parcel by ID (owner, assigned rider or admin)
+        app.get('/parcels/:id', verifyAuth, authorize("parcelOwner", "assignedRider", "admin"), (req, res) => {
+            res.send(req.parcel); // Loaded by authorize
         });
 
         // GET: Get delivery status counts for parcels (for dashboards)
-        app.get('/parcels/delivery/status-count', async (req, res) => {
+        app.get('/parcels/delivery/status-count', verifyAuth, authorize("admin"), async (req, res) => {
             const pipeline = [
+                { $match: NOT_DELETED },
                 {
                     $group: {
                         _id: '$delivery_status',
@@ -357,10 +635,15 @@ async function run() {
             }
         });
 
-        app.get('/rider/parcels/me', async (req, res) => {
+        // GET: Every parcel assigned to the logged-in rider
+        app.get('/rider/parcels/me', verifyAuth, authorize("rider"), validateQuery(schemas.riderTaskList), async (req, res) => {
             try {
-                const parcels = await parcelsCollection.find({}).toArray();
-                res.send(parcels);
+                const filter = combineFilters(
+                    { assigned_rider_email: req.user.email, ...NOT_DELETED },
+                    dateRangeFilter('assigned_at', req.validatedQuery.from, req.validatedQuery.to),
+                    searchFilter(req.validatedQuery.search, ['tracking_id', 'receiver_name', 'receiver_contact'])
+                );
+                res.send(await paginate(parcelsCollection, filter, req.validatedQuery, { defaultSort: { assigned_at: -1 } }));
             } catch (error) {
                 console.error('Error fetching parcels:', error);
                 res.status(500).send({ message: 'Failed to get parcels' });
@@ -368,26 +651,21 @@ async function run() {
         });
 
         // GET: Get pending delivery tasks for a rider
-        app.get('/rider/parcels', verifyFBToken, verifyRider, async (req, res) => {
+        app.get('/rider/parcels', verifyAuth, authorize("rider"), validateQuery(schemas.riderTaskList), async (req, res) => {
             try {
-                const email = req.query.email;
-                if (!email) {
-                    return res.status(400).send({ message: 'Rider email is required' });
-                }
-                // Ensure the rider is only fetching their own assigned parcels
-                if (req.decoded.email !== email) {
+                // Riders only ever fetch their own assigned parcels, ?email= is optional
+                const email = req.decoded.email;
+                if (req.validatedQuery.email && req.validatedQuery.email !== email) {
                     return res.status(403).send({ message: 'Forbidden access' });
                 }
 
-                const query = {
-                    assigned_rider_email: email,
-                    delivery_status: { $in: ['rider_assigned', 'in_transit'] },
-                };
-                const options = {
-                    sort: { creation_date: -1 }, // Newest first
-                };
-
-                const parcels = await parcelsCollection.find(query, options).toArray();
+                // Deliveries and returns still to do, including parcels waiting for a re-attempt (see next_attempt_at)
+                const filter = combineFilters(
+                    { assigned_rider_email: email, delivery_status: { $in: OPEN_STATUSES }, ...NOT_DELETED },
+                    dateRangeFilter('assigned_at', req.validatedQuery.from, req.validatedQuery.to),
+                    searchFilter(req.validatedQuery.search, ['tracking_id', 'receiver_name', 'receiver_contact'])
+                );
+                const parcels = await paginate(parcelsCollection, filter, req.validatedQuery, { defaultSort: { assigned_at: -1 } }); // Newest first
                 res.send(parcels);
             } catch (error) {
                 console.error('Error fetching rider tasks:', error);
@@ -396,253 +674,1442 @@ async function run() {
         });
 
         // GET: Load completed parcel deliveries for a rider
-        app.get('/rider/completed-parcels', verifyFBToken, verifyRider, async (req, res) => {
+        app.get('/rider/completed-parcels', verifyAuth, authorize("rider"), validateQuery(schemas.riderTaskList), async (req, res) => {
             try {
-                const email = req.query.email;
-                if (!email) {
-                    return res.status(400).send({ message: 'Rider email is required' });
-                }
-                // Ensure the rider is only fetching their own completed parcels
-                if (req.decoded.email !== email) {
+                // Riders only ever fetch their own completed parcels, ?email= is optional
+                const email = req.decoded.email;
+                if (req.validatedQuery.email && req.validatedQuery.email !== email) {
                     return res.status(403).send({ message: 'Forbidden access' });
                 }
 
-                const query = {
-                    assigned_rider_email: email,
-                    delivery_status: {
-                        $in: ['delivered', 'service_center_delivered']
-                    },
-                };
-                const options = {
-                    sort: { creation_date: -1 }, // Latest first
-                };
-
-                const completedParcels = await parcelsCollection.find(query, options).toArray();
+                // Delivered or returned by the rider, hub route legs they finished, and parcels they gave up on
+                // that went back to the sender
+                const filter = buildRiderCompletedFilter(email, req.validatedQuery);
+                const completedParcels = await paginate(parcelsCollection, filter, req.validatedQuery, { defaultSort: { delivered_at: -1 } }); // Newest first
                 res.send(completedParcels);
-
             } catch (error) {
                 console.error('Error loading completed parcels:', error);
                 res.status(500).send({ message: 'Failed to load completed deliveries' });
             }
         });
 
-        // POST: Create a new parcel
-        app.post('/parcels', async (req, res) => {
+        // POST: Get a price quote for a parcel without creating it
+        app.post('/parcels/quote', validateBody(schemas.parcelQuote), (req, res) => {
+            const pricingError = getPricingError(req.body);
+            if (pricingError) {
+                return res.status(400).send({ message: pricingError });
+            }
+            res.send(calculateParcelPrice(req.body));
+        });
+
+        // POST: Create a new parcel for the logged-in user
+        app.post('/parcels', verifyAuth, validateBody(schemas.parcel), async (req, res) => {
             try {
-                const newParcel = req.body;
-                newParcel.createdAt = new Date(); // Add creation timestamp
-                newParcel.delivery_status = 'pending'; // Initial status
-                newParcel.payment_status = 'unpaid'; // Initial payment status
-                const result = await parcelsCollection.insertOne(newParcel);
-                res.status(201).send(result);
+                const pricingError = getPricingError(req.body);
+                if (pricingError) {
+                    return res.status(400).send({ message: pricingError });
+                }
+                // Price is always computed on the server, any client-sent cost is overwritten
+                const newParcel = buildParcelDocument(req.body, req.decoded.email);
+                // Inter-district parcels go through service centers, one rider per leg
+                newParcel.route = (await planParcelRoute(serviceCentersCollection, newParcel)).route;
+                const result = await insertParcelWithTrackingId(parcelsCollection, newParcel); // Sets a unique tracking_id
+                await recordTrackingEvent(trackingsCollection, newParcel, 'created', {
+                    actor: { email: newParcel.created_by, role: 'sender' },
+                });
+                res.status(201).send({ ...result, tracking_id: newParcel.tracking_id });
             } catch (error) {
                 console.error('Error inserting parcel:', error);
                 res.status(500).send({ message: 'Failed to create parcel' });
             }
         });
 
-        // PATCH: Assign a rider to a parcel
-        app.patch("/parcels/:id/assign", verifyFBToken, verifyAdmin, async (req, res) => { // Added admin verification
-            const parcelId = req.params.id;
-            const { riderId, riderName, riderEmail } = req.body;
-
+        // POST: Book many parcels at once from a CSV file (text/csv, one parcel per row with a header row)
+        // or a JSON array. Nothing is booked unless every row is valid; ?dry_run=true only checks and prices them.
+        app.post('/parcels/bulk', verifyAuth, express.text({ type: ['text/csv', 'application/csv', 'text/plain'], limit: BULK_CSV_LIMIT }), validateQuery(schemas.bulkBookingQuery), async (req, res) => {
             try {
-                // Update parcel
-                const parcelUpdateResult = await parcelsCollection.updateOne(
-                    { _id: new ObjectId(parcelId) },
-                    {
-                        $set: {
-                            delivery_status: "rider_assigned",
-                            assigned_rider_id: riderId,
-                            assigned_rider_email: riderEmail,
-                            assigned_rider_name: riderName,
-                            assigned_at: new Date(), // Add assignment timestamp
-                        },
+                const source = typeof req.body === 'string' ? 'csv' : 'json';
+                let input = req.body;
+                if (source === 'csv') {
+                    try {
+                        input = parseCsv(req.body);
+                    } catch (error) {
+                        return res.status(400).send({ message: `Invalid CSV: ${error.message}` });
                     }
-                );
+                }
+                const createdBy = req.decoded.email;
+                const { parcels, rows, errors, total } = await prepareBulkParcels(getBulkRows(input), { createdBy, serviceCentersCollection });
 
-                if (parcelUpdateResult.modifiedCount === 0) {
-                    return res.status(404).send({ message: "Parcel not found or already assigned" });
+                if (req.validatedQuery.dry_run) {
+                    return res.send({ dry_run: true, valid: errors.length === 0, count: parcels.length, total, rows, errors });
+                }
+                if (errors.length > 0) {
+                    return res.status(400).send({ message: `${errors.length} row(s) are invalid, nothing was booked`, errors });
                 }
 
-                // Update rider status (optional, depends on your logic for rider availability)
-                await ridersCollection.updateOne(
-                    { _id: new ObjectId(riderId) },
+                const batch = await insertParcelBatch({ client, parcelsCollection, parcelBatchesCollection }, parcels, { createdBy, source });
+                for (const parcel of parcels) {
+                    await recordTrackingEvent(trackingsCollection, parcel, 'created', {
+                        actor: { email: createdBy, role: 'sender' },
+                    });
+                }
+                res.status(201).send({
+                    batch_id: batch._id,
+                    count: batch.count,
+                    total: batch.total,
+                    parcels: parcels.map((parcel) => ({ _id: parcel._id, row: parcel.batch_row, tracking_id: parcel.tracking_id, cost: parcel.cost })),
+                });
+            } catch (error) {
+                if (sendClientError(res, error)) return;
+                console.error('Error booking parcels in bulk:', error);
+                res.status(500).send({ message: 'Failed to book parcels' });
+            }
+        });
+
+        // Loads a batch the caller may see (its sender or an admin), or sends the error response. Runs after authorize
+        const findBatchForRequest = async (req, res) => {
+            const batch = await parcelBatchesCollection.findOne({ _id: new ObjectId(req.params.id) });
+            if (!batch) {
+                res.status(404).send({ message: 'Batch not found' });
+                return null;
+            }
+            if (batch.created_by !== req.user.email && req.user.role !== 'admin') {
+                res.status(403).send({ message: 'Forbidden access' });
+                return null;
+            }
+            return batch;
+        };
+
+        // GET: A bulk booking with its parcels' delivery and payment status (sender or admin)
+        app.get('/parcels/batches/:id', verifyAuth, authorize("user"), async (req, res) => {
+            try {
+                const batch = await findBatchForRequest(req, res);
+                if (!batch) return;
+
+                const parcels = await parcelsCollection
+                    .find({ batch_id: batch._id.toString(), ...NOT_DELETED }, {
+                        projection: { tracking_id: 1, batch_row: 1, receiver_name: 1, receiver_district: 1, cost: 1, delivery_status: 1, payment_status: 1 },
+                    })
+                    .sort({ batch_row: 1 })
+                    .toArray();
+                const countBy = (field) => parcels.reduce((counts, parcel) => ({ ...counts, [parcel[field]]: (counts[parcel[field]] || 0) + 1 }), {});
+                const { payment_intents: paymentIntents, ...details } = batch;
+
+                res.send({
+                    ...details,
+                    delivery_status_counts: countBy('delivery_status'),
+                    payment_status_counts: countBy('payment_status'),
+                    parcels,
+                });
+            } catch (error) {
+                console.error('Error fetching parcel batch:', error);
+                res.status(500).send({ message: 'Failed to get parcel batch' });
+            }
+        });
+
+        // POST: One Stripe payment intent for every unpaid parcel of a batch (sender only)
+        // The parcels covered are stored on the batch, the webhook records a payment per parcel from them
+        app.post('/parcels/batches/:id/payment-intent', verifyAuth, authorize("user"), async (req, res) => {
+            try {
+                const batch = await findBatchForRequest(req, res);
+                if (!batch) return;
+                if (batch.created_by !== req.user.email) {
+                    return res.status(403).send({ message: 'Only the sender can pay for a batch' });
+                }
+
+                const parcels = await parcelsCollection
+                    .find({ batch_id: batch._id.toString(), ...UNPAID_IN_BATCH }, { projection: { cost: 1, cost_minor: 1, batch_id: 1, open_payment_intent_id: 1 } })
+                    .toArray();
+                if (parcels.length === 0) {
+                    return res.status(400).json({ error: "No parcel in this batch is left to pay online." });
+                }
+
+                const currency = batch.currency || CURRENCY;
+                const amountInCents = parcels.reduce((sum, parcel) => sum + (parcel.cost_minor || toMinorUnits(parcel.cost, currency)), 0);
+                // Hands out the batch's open intent again, or cancels it and the parcels' own before creating one
+                const openIntent = await releaseOpenIntents(stripe, { parcelsCollection, parcelBatchesCollection }, {
+                    parcels,
+                    batchId: batch._id.toString(),
+                    amountInCents,
+                    currency,
+                });
+                if (openIntent) {
+                    return res.json({ clientSecret: openIntent.client_secret, amount: fromMinorUnits(amountInCents, currency), amountInCents, currency, count: parcels.length });
+                }
+                const paymentIntent = await stripe.paymentIntents.create({
+                    amount: amountInCents,
+                    currency,
+                    payment_method_types: PAYMENT_METHOD_TYPES,
+                    metadata: {
+                        batchId: batch._id.toString(),
+                        email: batch.created_by,
+                    },
+                });
+                await parcelBatchesCollection.updateOne(
+                    { _id: batch._id },
                     {
                         $set: {
-                            // work_status: "in_delivery", // You might want to update this when they pick up
+                            [`payment_intents.${paymentIntent.id}`]: {
+                                parcel_ids: parcels.map((parcel) => parcel._id.toString()),
+                                amountInCents,
+                                status: 'open',
+                                created_at: new Date(),
+                            },
                         },
                     }
                 );
+                res.json({ clientSecret: paymentIntent.client_secret, amount: fromMinorUnits(amountInCents, currency), amountInCents, currency, count: parcels.length });
+            } catch (error) {
+                if (sendClientError(res, error)) return;
+                console.error("Error creating batch payment intent:", error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // PATCH: Assign a rider to a parcel (manual)
+        // The rider is looked up by id, so only existing, active riders can be assigned
+        app.patch("/parcels/:id/assign", verifyAuth, authorize("admin"), validateBody(schemas.riderAssignment), async (req, res) => { // Added admin verification
+            const parcelId = req.params.id;
+            const { riderId } = req.body;
+
+            try {
+                const parcel = await parcelsCollection.findOne({ _id: new ObjectId(parcelId), ...NOT_DELETED });
+                if (!parcel) {
+                    return res.status(404).send({ message: "Parcel not found" });
+                }
+
+                const rider = await ridersCollection.findOne({ _id: new ObjectId(riderId), ...NOT_DELETED });
+                if (!rider) {
+                    return res.status(404).send({ message: "Rider not found" });
+                }
+                if (rider.status !== "active") {
+                    return res.status(400).send({ message: "Only active riders can be assigned" });
+                }
+
+                // assigned_at is stamped by the state machine
+                const updatedParcel = await assignRider(parcel, rider, { email: req.decoded.email, role: "admin" });
+                await recordAudit(req, { action: "parcel.assign", entity: "parcel", entityId: parcel._id, before: parcel, after: updatedParcel });
 
                 res.send({ message: "Rider assigned successfully" });
             } catch (err) {
+                if (sendClientError(res, err)) return;
                 console.error("Error assigning rider:", err);
                 res.status(500).send({ message: "Failed to assign rider" });
             }
         });
 
-        // PATCH: Update parcel delivery status
-        app.patch("/parcels/:id/status", verifyFBToken, async (req, res) => { // Added FB token verification
-            const parcelId = req.params.id;
-            const { status } = req.body;
-            const updatedDoc = {
-                delivery_status: status
-            };
+        // POST: Auto-assign the best available rider to one paid, pending parcel (admin only)
+        app.post("/parcels/:id/auto-assign", verifyAuth, authorize("admin"), async (req, res) => {
+            try {
+                const parcel = await parcelsCollection.findOne({ _id: new ObjectId(req.params.id), ...NOT_DELETED });
+                if (!parcel) {
+                    return res.status(404).send({ message: "Parcel not found" });
+                }
+
+                const { rider, reason } = await pickRiderForParcel({ ridersCollection, parcelsCollection }, parcel);
+                if (!rider) {
+                    return res.status(409).send({ message: reason });
+                }
 
-            // Add specific timestamps based on status
-            if (status === 'in_transit') {
-                updatedDoc.picked_at = new Date().toISOString();
-            } else if (status === 'delivered') {
-                updatedDoc.delivered_at = new Date().toISOString();
+                const updatedParcel = await assignRider(parcel, rider, { email: req.decoded.email, role: "system" }, `Auto-assigned to rider ${rider.name || rider.email}`);
+                await recordAudit(req, { action: "parcel.auto_assign", entity: "parcel", entityId: parcel._id, before: parcel, after: updatedParcel });
+                res.send({ message: "Rider assigned successfully", rider: { _id: rider._id, name: rider.name, email: rider.email } });
+            } catch (error) {
+                if (sendClientError(res, error)) return;
+                console.error("Error auto-assigning rider:", error);
+                res.status(500).send({ message: "Failed to auto-assign rider" });
             }
+        });
 
+        // POST: Auto-assign riders to every paid (or cash on delivery), pending parcel, every parcel waiting at a hub for its next leg
+        // and every parcel waiting to be returned, oldest first (admin only)
+        app.post("/parcels/auto-assign", verifyAuth, authorize("admin"), async (req, res) => {
             try {
-                const result = await parcelsCollection.updateOne(
-                    { _id: new ObjectId(parcelId) },
-                    { $set: updatedDoc }
-                );
-                if (result.modifiedCount === 0) {
-                    return res.status(404).send({ message: "Parcel not found or status already set" });
+                const queue = await parcelsCollection
+                    .find({ $or: [{ ...READY_FOR_PICKUP, delivery_status: "pending" }, { delivery_status: { $in: ["at_hub", "return_pending"] } }], ...NOT_DELETED })
+                    .sort({ createdAt: 1 })
+                    .toArray();
+
+                // Sequential on purpose, each assignment changes the workloads the next pick is based on
+                const results = [];
+                for (const parcel of queue) {
+                    try {
+                        const { rider, reason } = await pickRiderForParcel({ ridersCollection, parcelsCollection }, parcel);
+                        if (rider) {
+                            const updatedParcel = await assignRider(parcel, rider, { email: req.decoded.email, role: "system" }, `Auto-assigned to rider ${rider.name || rider.email}`);
+                            await recordAudit(req, { action: "parcel.auto_assign", entity: "parcel", entityId: parcel._id, before: parcel, after: updatedParcel, metadata: { bulk: true } });
+                        }
+                        results.push({ parcelId: parcel._id, tracking_id: parcel.tracking_id, rider_email: rider?.email || null, reason });
+                    } catch (error) {
+                        results.push({ parcelId: parcel._id, tracking_id: parcel.tracking_id, rider_email: null, reason: error.message });
+                    }
                 }
-                res.send(result);
+
+                const assigned = results.filter((result) => result.rider_email).length;
+                res.send({ message: `Assigned ${assigned} of ${results.length} parcels`, assigned, total: results.length, results });
             } catch (error) {
-                console.error("Error updating parcel status:", error);
-                res.status(500).send({ message: "Failed to update status" });
+                console.error("Error auto-assigning parcel queue:", error);
+                res.status(500).send({ message: "Failed to auto-assign parcels" });
             }
         });
 
-        // PATCH: Rider cashout for their delivered parcel
-        app.patch("/parcels/:id/cashout", verifyFBToken, verifyRider, async (req, res) => {
-            const parcelId = req.params.id;
-            const riderEmail = req.decoded.email;
-
+        // POST: Plan (or re-plan) the hub route of a parcel that hasn't been picked up yet (admin only),
+        // e.g. after a service center was added for its district
+        app.post("/parcels/:id/route", verifyAuth, authorize("admin"), async (req, res) => {
             try {
-                // 1. Find the parcel
-                const parcel = await parcelsCollection.findOne({ _id: new ObjectId(parcelId) });
-
+                const parcel = await parcelsCollection.findOne({ _id: new ObjectId(req.params.id), ...NOT_DELETED });
                 if (!parcel) {
                     return res.status(404).send({ message: "Parcel not found" });
                 }
-
-                // 2. Ensure rider is the assigned rider
-                if (parcel.assigned_rider_email !== riderEmail) {
-                    return res.status(403).send({ message: "Forbidden: This parcel is not assigned to you" });
+                if (parcel.delivery_status !== "pending") {
+                    return res.status(409).send({ message: "Only pending parcels can be re-routed" });
                 }
 
-                // 3. Check if already cashed out
-                if (parcel.cashout_status === "cashed_out") {
-                    return res.status(400).send({ message: "This parcel has already been cashed out" });
+                const { route, reason } = await planParcelRoute(serviceCentersCollection, parcel);
+                const updatedParcel = await parcelsCollection.findOneAndUpdate(
+                    { _id: parcel._id, delivery_status: "pending" },
+                    { $set: { route } },
+                    { returnDocument: "after" }
+                );
+                if (!updatedParcel) {
+                    return res.status(409).send({ message: "Parcel status was changed by someone else, please reload and try again" });
                 }
+                await recordAudit(req, { action: "parcel.route", entity: "parcel", entityId: parcel._id, before: parcel, after: updatedParcel });
+                res.send({ message: route ? `Routed over ${route.legs.length} legs` : reason, route });
+            } catch (error) {
+                console.error("Error planning parcel route:", error);
+                res.status(500).send({ message: "Failed to plan route" });
+            }
+        });
 
-                // 4. Check if delivery is completed
-                if (!["delivered", "service_center_delivered"].includes(parcel.delivery_status)) {
-                    return res.status(400).send({ message: "Parcel must be delivered before cashout" });
+        // PATCH: Update parcel delivery status
+        // Only transitions allowed by the state machine for the caller's role are accepted
+        app.patch("/parcels/:id/status", verifyAuth, authorize("parcelOwner", "assignedRider", "admin"), validateBody(schemas.parcelStatusChange), async (req, res) => {
+            const { status, note } = req.body;
+
+            try {
+                const parcel = req.parcel; // Loaded by authorize
+                const actorRole = getActorRole(parcel, req.user);
+                if (!actorRole) {
+                    return res.status(403).send({ message: "Forbidden: You cannot update this parcel" });
                 }
 
-                // 5. Perform cashout
-                const result = await parcelsCollection.updateOne(
-                    { _id: new ObjectId(parcelId) },
-                    {
-                        $set: {
-                            cashout_status: "cashed_out",
-                            cashed_out_at: new Date()
+                // Completing a delivery needs proof of the handoff: riders enter the receiver's delivery code
+                // (not needed at a service center), admins may override with a note
+                const actor = { email: req.decoded.email, role: actorRole };
+                const set = {};
+                const allowed = getTransitionError(parcel, status, actorRole) === null;
+                if (PROOF_STATUSES.includes(status) && allowed) {
+                    let method = status === "service_center_delivered" ? "service_center" : "delivery_code";
+                    if (actorRole === "admin" && !req.body.delivery_code && !req.body.recipient_name) {
+                        if (!note) {
+                            return res.status(400).send({ message: "Admins completing a delivery without proof must add a note" });
                         }
+                        method = "admin_override";
+                    }
+                    // Cash on delivery parcels are paid at the door, to the assigned rider
+                    const cashCollection = buildCashCollection(parcel, req.body);
+                    if (cashCollection) Object.assign(set, cashCollection);
+                    set.proof_of_delivery = buildProofOfDelivery(parcel, req.body, { actor, method });
+                    if (method === "delivery_code") {
+                        await verifyDeliveryCode(parcelsCollection, parcel, req.body.delivery_code);
+                        set.delivery_code_hash = null; // One-time
+                        set.delivery_code_used_at = new Date();
                     }
-                );
-
-                if (result.modifiedCount === 0) {
-                    return res.status(500).send({ message: "Failed to update parcel cashout status" });
                 }
 
-                res.send({ message: "Cashout successful", result });
+                // Failed attempts need a reason code and schedule a re-attempt, the last one sends the parcel back
+                let returnAfterFailure = false;
+                let message;
+                if (status === "failed_attempt" && allowed) {
+                    const attempt = buildFailedAttempt(parcel, req.body, actor); // Checks the reason code first
+                    Object.assign(set, attempt.set);
+                    returnAfterFailure = attempt.exhausted;
+                    message = `Delivery attempt ${set.failed_attempt_count} failed: ${req.body.reason_code.replace(/_/g, " ")}`;
+                } else if (status === "return_pending" && allowed) {
+                    Object.assign(set, buildReturnStart(parcel)); // An admin gave up before the last attempt
+                } else if (status === "in_transit" && parcel.delivery_status === "failed_attempt") {
+                    set.next_attempt_at = null;
+                }
 
+                let updatedParcel = await moveParcel(parcel, status, {
+                    actor,
+                    note: note || null,
+                    set,
+                    message,
+                });
+                if (set.cash_collection) {
+                    await recordCashPayment(paymentsCollection, updatedParcel);
+                    await recordTrackingEvent(trackingsCollection, updatedParcel, "paid", {
+                        message: `Cash collected by ${updatedParcel.cash_collection.collected_by.name || updatedParcel.cash_collection.collected_by.email}`,
+                        actor,
+                    });
+                }
+                if (returnAfterFailure) {
+                    updatedParcel = await moveParcel(updatedParcel, "return_pending", {
+                        actor: { email: req.decoded.email, role: "system" },
+                        note: `Not delivered after ${updatedParcel.failed_attempt_count} attempts, returning to sender`,
+                        set: buildReturnStart(updatedParcel),
+                    });
+                }
+                if (actorRole === "admin") {
+                    await recordAudit(req, { action: "parcel.status_change", entity: "parcel", entityId: parcel._id, before: parcel, after: updatedParcel, metadata: { note: note || null } });
+                }
+                res.send({ message: `Parcel status updated to ${updatedParcel.delivery_status}`, parcel: updatedParcel });
             } catch (error) {
-                console.error("Error during cashout:", error);
-                res.status(500).send({ message: "Internal server error during cashout" });
+                if (sendClientError(res, error)) return;
+                console.error("Error updating parcel status:", error);
+                res.status(500).send({ message: "Failed to update status" });
             }
         });
 
-        // DELETE: Delete a parcel
-        app.delete('/parcels/:id', verifyFBToken, verifyAdmin, async (req, res) => { // Added admin verification
+        // PUT: Upload a proof of delivery photo or signature (assigned rider, while the parcel is in transit).
+        // The body is the raw image (Content-Type image/jpeg, image/png or image/webp); a new upload replaces the old one.
+        app.put("/parcels/:id/proof/:kind", verifyAuth, authorize("assignedRider"), express.raw({ type: Object.keys(PROOF_IMAGE_TYPES), limit: PROOF_MAX_BYTES }), async (req, res) => {
+            const { kind } = req.params;
+            const contentType = req.headers["content-type"]?.split(";")[0].trim();
+            if (!PROOF_UPLOAD_KINDS.includes(kind)) {
+                return res.status(404).send({ message: `Unknown proof type, use one of: ${PROOF_UPLOAD_KINDS.join(", ")}` });
+            }
+            if (!PROOF_IMAGE_TYPES[contentType] || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+                return res.status(415).send({ message: `Upload the image as the request body, one of: ${Object.keys(PROOF_IMAGE_TYPES).join(", ")}` });
+            }
+
             try {
-                const id = req.params.id;
-                const result = await parcelsCollection.deleteOne({ _id: new ObjectId(id) });
-                if (result.deletedCount === 0) {
-                    return res.status(404).send({ message: 'Parcel not found' });
+                const parcel = req.parcel; // Loaded by authorize
+                if (!["in_transit", "failed_attempt"].includes(parcel.delivery_status)) {
+                    return res.status(409).send({ message: "Proof can only be uploaded while the parcel is being delivered" });
                 }
-                res.send(result);
+
+                const { key } = await saveFile(proofUploadKey(parcel, kind, contentType), req.body, contentType);
+                const upload = { key, content_type: contentType, size: req.body.length, uploaded_by: req.decoded.email, uploaded_at: new Date() };
+                await parcelsCollection.updateOne({ _id: parcel._id }, { $set: { [`proof_uploads.${kind}`]: upload } });
+                res.status(201).send({ message: `Proof ${kind} uploaded`, [kind]: upload });
             } catch (error) {
-                console.error('Error deleting parcel:', error);
-                res.status(500).send({ message: 'Failed to delete parcel' });
+                console.error("Error uploading proof of delivery:", error);
+                res.status(500).send({ message: "Failed to upload proof of delivery" });
             }
         });
 
-        // --- TRACKING ROUTES ---
-
-        // GET: Get all tracking updates for a given tracking ID
-        app.get("/trackings/:trackingId", async (req, res) => {
-            const trackingId = req.params.trackingId;
-            try {
-                const updates = await trackingsCollection
-                    .find({ tracking_id: trackingId })
-                    .sort({ timestamp: 1 }) // Sort by time ascending
-                    .toArray();
-                res.json(updates);
-            } catch (error) {
-                console.error("Error fetching tracking updates:", error);
-                res.status(500).send({ message: "Failed to retrieve tracking information" });
+        // GET: Proof of delivery on file for a parcel (owner, assigned rider or admin)
+        app.get("/parcels/:id/proof", verifyAuth, authorize("parcelOwner", "assignedRider", "admin"), (req, res) => {
+            const { proof_of_delivery: proof, proof_uploads: uploads } = req.parcel;
+            if (!proof && !uploads) {
+                return res.status(404).send({ message: "No proof of delivery on file" });
             }
+            res.send({ proof_of_delivery: proof || null, uploads: uploads || {}, valid: hasValidProof(req.parcel) });
         });
 
-        // POST: Add a new tracking update
-        app.post("/trackings", async (req, res) => {
-            const update = req.body;
-            update.timestamp = new Date(); // Ensure correct timestamp
-            if (!update.tracking_id || !update.status) {
-                return res.status(400).json({ message: "tracking_id and status are required." });
+        // GET: The proof photo or signature image itself
+        app.get("/parcels/:id/proof/:kind", verifyAuth, authorize("parcelOwner", "assignedRider", "admin"), async (req, res) => {
+            const upload = req.parcel.proof_of_delivery?.[req.params.kind] || req.parcel.proof_uploads?.[req.params.kind];
+            if (!PROOF_UPLOAD_KINDS.includes(req.params.kind) || !upload) {
+                return res.status(404).send({ message: "Proof image not found" });
             }
 
             try {
-                const result = await trackingsCollection.insertOne(update);
-                res.status(201).json(result);
+                const stream = await readFile(upload.key);
+                res.setHeader("Content-Type", upload.content_type);
+                res.setHeader("Cache-Control", "private, max-age=3600");
+                stream.on("error", (error) => {
+                    console.error("Error streaming proof image:", error);
+                    res.destroy(error);
+                });
+                stream.pipe(res);
             } catch (error) {
-                console.error("Error inserting tracking update:", error);
-                res.status(500).json({ message: "Failed to add tracking update." });
+                console.error("Error reading proof image:", error);
+                res.status(404).send({ message: "Proof image not found" });
             }
         });
 
-        // --- RIDER ROUTES ---
-
-        app.get("/riders", async (req, res) => {
+        // GET: Printable 4x6 in shipping label (PDF) with barcodes of the tracking id
+        app.get("/parcels/:id/label", verifyAuth, authorize("parcelOwner", "assignedRider", "admin"), async (req, res) => {
             try {
-                const riders = await ridersCollection.find({}).toArray();
-                res.send(riders);
+                const pdf = await renderShippingLabel(req.parcel);
+                res.type('application/pdf')
+                    .set('Content-Disposition', `inline; filename="label-${req.parcel.tracking_id}.pdf"`)
+                    .send(pdf);
             } catch (error) {
-                res.status(500).send({ message: "Failed to load riders" });
+                console.error("Error rendering shipping label:", error);
+                res.status(500).send({ message: "Failed to render shipping label" });
             }
         });
 
-        // POST: Register a new rider
-        app.post('/riders', async (req, res) => {
-            const rider = req.body;
-            // You might want to set an initial status like 'pending' here
-            rider.status = 'pending'; // Default status for new riders
+        // POST: Issue and send a new delivery code, e.g. after it was lost or locked by wrong attempts (sender or admin)
+        app.post("/parcels/:id/delivery-code", verifyAuth, authorize("parcelOwner", "admin"), async (req, res) => {
             try {
-                const result = await ridersCollection.insertOne(rider);
-                res.status(201).send(result);
+                const parcel = req.parcel; // Loaded by authorize
+                if (!["rider_assigned", "in_transit", "failed_attempt"].includes(parcel.delivery_status)) {
+                    return res.status(409).send({ message: "Delivery codes are only issued once a rider is assigned" });
+                }
+
+                const { code, set } = issueDeliveryCode(parcel);
+                await parcelsCollection.updateOne({ _id: parcel._id }, { $set: set });
+                await sendDeliveryCode({ ...parcel, ...set }, code);
+                res.send({ message: `A new delivery code was sent to ${parcel.receiver_email ? "the receiver" : "the sender"}` });
             } catch (error) {
-                console.error("Error creating rider:", error);
-                res.status(500).send({ message: "Failed to register rider" });
+                console.error("Error issuing delivery code:", error);
+                res.status(500).send({ message: "Failed to issue delivery code" });
             }
         });
 
-        // GET: Get pending rider applications (admin only)
-        app.get("/riders/pending", verifyFBToken, verifyAdmin, async (req, res) => {
+        // PATCH: Rider requests cashout for their delivered parcel, or for the legs they rode on a routed parcel
+        // The earnings are paid out later through an admin payout batch
+        app.patch("/parcels/:id/cashout", verifyAuth, authorize("assignedRider", "legRider"), async (req, res) => {
+            const parcelId = req.params.id;
+
             try {
-                const pendingRiders = await ridersCollection
-                    .find({ status: "pending" })
+                // 1-2. authorize has loaded the parcel and checked the caller is its assigned rider or rode one of its legs
+                const parcel = req.parcel;
+                const riderEmail = req.user.email;
+                const delivered = ["delivered", "service_center_delivered"].includes(parcel.delivery_status);
+
+                // 3. Check if already cashed out or requested
+                if (parcel.cashout_status === "cashed_out") {
+                    return res.status(400).send({ message: "This parcel has already been cashed out" });
+                }
+                if (parcel.cashout_status === "requested") {
+                    return res.status(400).send({ message: "Cashout has already been requested for this parcel" });
+                }
+
+                // 4. Check if delivery is completed and proven (earlier legs of a route end with the hub check-in)
+                if (!parcel.route && !delivered) {
+                    return res.status(400).send({ message: "Parcel must be delivered before cashout" });
+                }
+                if (delivered && parcel.assigned_rider_email === riderEmail) {
+                    if (!hasValidProof(parcel)) {
+                        return res.status(400).send({ message: "A valid proof of delivery is required before cashout" });
+                    }
+                    if (parcel.cash_collection?.status === "held") {
+                        return res.status(400).send({ message: "Hand the cash collected for this parcel to an admin before cashing out" });
+                    }
+                }
+
+                // 5. The caller's ledger entries (parcels delivered before the ledger existed get theirs now)
+                const earnings = await recordRiderEarnings(earningsCollection, parcel, riderEmail);
+                if (earnings.length === 0) {
+                    return res.status(400).send({ message: "Complete your leg of the route before cashout" });
+                }
+                const pending = earnings.filter((earning) => earning.status === "pending");
+                if (pending.length === 0) {
+                    const paid = earnings.every((earning) => earning.status === "paid");
+                    return res.status(400).send({ message: paid ? "Your earnings on this parcel have already been cashed out" : "Cashout has already been requested for your earnings on this parcel" });
+                }
+
+                // 6. Request cashout, per leg on a routed parcel
+                const requestedAt = new Date();
+                await earningsCollection.updateMany(
+                    { _id: { $in: pending.map((earning) => earning._id) }, status: "pending" },
+                    { $set: { status: "requested", requested_at: requestedAt } }
+                );
+                const set = parcel.route
+                    ? Object.fromEntries(pending.flatMap((earning) => [
+                        [`route.legs.${earning.leg_index}.cashout_status`, "requested"],
+                        [`route.legs.${earning.leg_index}.cashout_requested_at`, requestedAt],
+                    ]))
+                    : { cashout_status: "requested", cashout_requested_at: requestedAt };
+                const result = await parcelsCollection.updateOne({ _id: new ObjectId(parcelId) }, { $set: set });
+
+                if (result.modifiedCount === 0) {
+                    return res.status(500).send({ message: "Failed to update parcel cashout status" });
+                }
+                const amount = roundMoney(pending.reduce((sum, earning) => sum + earning.amount, 0));
+                await recordAudit(req, {
+                    action: "parcel.cashout_request",
+                    entity: "parcel",
+                    entityId: parcel._id,
+                    before: { cashout_status: parcel.cashout_status },
+                    after: { cashout_status: "requested" },
+                    metadata: {
+                        earning_ids: pending.map((earning) => earning._id),
+                        legs: parcel.route ? pending.map((earning) => earning.leg_index) : null,
+                        amount,
+                    },
+                });
+
+                res.send({ message: "Cashout requested", amount, result });
+
+            } catch (error) {
+                console.error("Error during cashout:", error);
+                res.status(500).send({ message: "Internal server error during cashout" });
+            }
+        });
+
+        // Refunds a parcel that was just cancelled. The cancellation is claimed first (moveParcel only succeeds once),
+        // so two concurrent requests can't both refund; a refund that fails leaves the parcel flagged for a retry.
+        // Resolves to the refund result, or null when it failed.
+        const refundCancelledParcel = async (parcel, { plan, reason, requestedBy, actor }) => {
+            try {
+                const refundResult = await refundParcelPayment({ stripe, parcel, plan, reason, requestedBy, paymentsCollection, parcelsCollection });
+                await recordTrackingEvent(trackingsCollection, parcel, "refunded", {
+                    actor,
+                    message: `Refund of ${refundResult.refund.amount} issued: ${reason}`,
+                });
+                return refundResult;
+            } catch (error) {
+                console.error(`Refund for cancelled parcel ${parcel._id} failed, flagged for retry:`, error);
+                await markRefundForRetry(parcelsCollection, parcel, { plan, reason, requestedBy, error });
+                return null;
+            }
+        };
+
+        // POST: Cancel a parcel (owner only)
+        // Free while pending or awaiting pickup, blocked once the parcel is in transit. Paid parcels are refunded whatever
+        // was not refunded yet, and open payment intents are cancelled (a payment that still gets through is refunded by the webhook).
+        app.post("/parcels/:id/cancel", verifyAuth, authorize("parcelOwner"), validateBody(schemas.parcelCancellation), async (req, res) => {
+            const { reason } = req.body;
+
+            try {
+                const parcel = req.parcel; // Loaded by authorize
+                const transitionError = getTransitionError(parcel, "cancelled", "sender");
+                if (transitionError) {
+                    return res.status(409).send({ message: `Parcel cannot be cancelled once it is ${parcel.delivery_status}` });
+                }
+
+                // Checked before cancelling, a parcel that can't be refunded stays as it is
+                const paid = ["paid", "partially_refunded"].includes(parcel.payment_status);
+                const plan = paid ? await planParcelRefund(paymentsCollection, parcel) : null;
+
+                const actor = { email: req.decoded.email, role: "sender" };
+                const cancelledParcel = await moveParcel(parcel, "cancelled", {
+                    actor,
+                    note: reason || null,
+                    set: {
+                        cancelled_by: req.decoded.email,
+                        cancel_reason: reason || null,
+                    },
+                    message: paid ? "Parcel cancelled by sender, the payment is being refunded" : "Parcel cancelled by sender",
+                });
+                // The parcel is cancelled either way, a payment that still gets through is refunded by the webhook
+                await releaseOpenIntents(stripe, { parcelsCollection, parcelBatchesCollection }, { parcels: [cancelledParcel] })
+                    .catch((error) => console.error(`Cancelling open payment intents of parcel ${parcel._id} failed:`, error));
+
+                if (!paid) {
+                    return res.send({ message: "Parcel cancelled", refund: null });
+                }
+                const refundResult = await refundCancelledParcel(cancelledParcel, {
+                    plan,
+                    reason: reason || "Cancelled by sender",
+                    requestedBy: req.decoded.email,
+                    actor,
+                });
+                if (!refundResult) {
+                    return res.send({ message: "Parcel cancelled, the refund could not be issued yet and will be retried", refund: null, refund_pending: true });
+                }
+                res.send({ message: "Parcel cancelled", refund: refundResult.refund });
+            } catch (error) {
+                if (sendClientError(res, error)) return;
+                console.error("Error cancelling parcel:", error);
+                res.status(500).send({ message: "Failed to cancel parcel" });
+            }
+        });
+
+        // POST: Admin refund override, supports partial refunds and optionally cancels the parcel regardless of status
+        app.post("/parcels/:id/refund", verifyAuth, authorize("admin"), validateBody(schemas.adminRefund), async (req, res) => {
+            const parcelId = req.params.id;
+            const { amount, reason, cancel } = req.body;
+
+            try {
+                const parcel = await parcelsCollection.findOne({ _id: new ObjectId(parcelId), ...NOT_DELETED });
+                if (!parcel) {
+                    return res.status(404).send({ message: "Parcel not found" });
+                }
+                if (!["paid", "partially_refunded"].includes(parcel.payment_status)) {
+                    return res.status(400).send({ message: "Only paid parcels can be refunded" });
+                }
+                const cancelling = cancel && parcel.delivery_status !== "cancelled";
+                if (cancelling) {
+                    const transitionError = getTransitionError(parcel, "cancelled", "admin");
+                    if (transitionError) throw transitionError;
+                }
+
+                // Validated before anything changes; when cancelling, the cancellation is claimed before refunding
+                const plan = await planParcelRefund(
+                    paymentsCollection,
+                    parcel,
+                    amount !== undefined ? toMinorUnits(amount, parcel.currency || CURRENCY) : undefined
+                );
+                const actor = { email: req.decoded.email, role: "admin" };
+                let refundResult;
+                if (cancelling) {
+                    const cancelledParcel = await moveParcel(parcel, "cancelled", {
+                        actor,
+                        note: reason,
+                        set: {
+                            cancelled_by: req.decoded.email,
+                            cancel_reason: reason,
+                        },
+                        message: `Parcel cancelled by admin, the payment is being refunded: ${reason}`,
+                    });
+                    refundResult = await refundCancelledParcel(cancelledParcel, { plan, reason, requestedBy: req.decoded.email, actor });
+                    if (!refundResult) {
+                        await recordAudit(req, {
+                            action: "parcel.refund",
+                            entity: "parcel",
+                            entityId: parcel._id,
+                            before: { payment_status: parcel.payment_status, delivery_status: parcel.delivery_status },
+                            after: { payment_status: parcel.payment_status, delivery_status: "cancelled" },
+                            metadata: { amount: fromMinorUnits(plan.refundInCents, plan.currency), reason, refund_failed: true },
+                        });
+                        return res.status(502).send({ message: "Parcel cancelled, but the refund failed. It is flagged for retry, send the refund again" });
+                    }
+                } else {
+                    refundResult = await refundParcelPayment({ stripe, parcel, plan, reason, requestedBy: req.decoded.email, paymentsCollection, parcelsCollection });
+                    await recordTrackingEvent(trackingsCollection, parcel, "refunded", {
+                        actor,
+                        message: `Refund of ${refundResult.refund.amount} issued by admin: ${reason}`,
+                    });
+                }
+
+                await recordAudit(req, {
+                    action: "parcel.refund",
+                    entity: "parcel",
+                    entityId: parcel._id,
+                    before: { payment_status: parcel.payment_status, delivery_status: parcel.delivery_status },
+                    after: {
+                        payment_status: refundResult.payment_status,
+                        delivery_status: cancelling ? "cancelled" : parcel.delivery_status,
+                    },
+                    metadata: { amount: refundResult.refund.amount, reason, refund_id: refundResult.refund.refundId },
+                });
+                res.send({ message: "Refund issued", ...refundResult });
+            } catch (error) {
+                if (sendClientError(res, error)) return;
+                console.error("Error issuing refund:", error);
+                res.status(500).send({ message: "Failed to issue refund" });
+            }
+        });
+
+        // DELETE: Move a parcel to the trash (admin only), it can be restored until it is purged
+        app.delete('/parcels/:id', verifyAuth, authorize("admin"), async (req, res) => { // Added admin verification
+            try {
+                const id = req.params.id;
+                const parcel = await softDeleteDocument(parcelsCollection, { _id: new ObjectId(id) }, req.user.email);
+                if (!parcel) {
+                    return res.status(404).send({ message: 'Parcel not found' });
+                }
+                await recordAudit(req, { action: "parcel.delete", entity: "parcel", entityId: id, before: { deleted_at: null }, after: { deleted_at: parcel.deleted_at } });
+                res.send({ message: 'Parcel moved to trash', deleted_at: parcel.deleted_at });
+            } catch (error) {
+                console.error('Error deleting parcel:', error);
+                res.status(500).send({ message: 'Failed to delete parcel' });
+            }
+        });
+
+        // --- TRACKING ROUTES ---
+
+        // GET: Get the tracking timeline and current summary for a given tracking ID
+        app.get("/trackings/:trackingId", async (req, res) => {
+            const trackingId = req.params.trackingId;
+            try {
+                const parcel = await parcelsCollection.findOne({ tracking_id: trackingId, ...NOT_DELETED });
+                if (!parcel) {
+                    return res.status(404).send({ message: "No parcel found for this tracking ID" });
+                }
+
+                const updates = await trackingsCollection
+                    .find({ tracking_id: trackingId })
+                    .sort({ timestamp: 1 }) // Sort by time ascending
                     .toArray();
+
+                // The rider's position is only shared while they are carrying the parcel
+                let riderLocation = null;
+                if (parcel.delivery_status === "in_transit" && parcel.assigned_rider_email) {
+                    const rider = await ridersCollection.findOne(
+                        { email: parcel.assigned_rider_email },
+                        { projection: { location: 1, last_seen_at: 1 } }
+                    );
+                    riderLocation = getPublicRiderPosition(rider);
+                }
+
+                res.json({
+                    parcel: getParcelSummary(parcel),
+                    rider_location: riderLocation,
+                    timeline: normalizeTimeline(updates),
+                });
+            } catch (error) {
+                console.error("Error fetching tracking updates:", error);
+                res.status(500).send({ message: "Failed to retrieve tracking information" });
+            }
+        });
+
+        // GET: Live tracking updates for a given tracking ID (Server-Sent Events)
+        app.get("/trackings/:trackingId/stream", async (req, res) => {
+            const trackingId = req.params.trackingId;
+            try {
+                const parcel = await parcelsCollection.findOne({ tracking_id: trackingId, ...NOT_DELETED }, { projection: { _id: 1 } });
+                if (!parcel) {
+                    return res.status(404).send({ message: "No parcel found for this tracking ID" });
+                }
+
+                await streamTrackingEvents(req, res, {
+                    trackingsCollection,
+                    query: { tracking_id: trackingId },
+                    filter: (entry) => entry.tracking_id === trackingId,
+                });
+            } catch (error) {
+                console.error("Error opening tracking stream:", error);
+                if (!res.headersSent) res.status(500).send({ message: "Failed to open tracking stream" });
+            }
+        });
+
+        // POST: Add a free-text note to a parcel's timeline (admins and the assigned rider only)
+        // Lifecycle entries are written by the server itself, so only notes can be posted here.
+        app.post("/trackings", verifyAuth, authorize("admin", "rider"), validateBody(schemas.trackingNote), async (req, res) => {
+            const { tracking_id, note } = req.body;
+
+            try {
+                const parcel = await parcelsCollection.findOne({ tracking_id, ...NOT_DELETED });
+                if (!parcel) {
+                    return res.status(404).json({ message: "No parcel found for this tracking ID." });
+                }
+
+                const actorRole = getActorRole(parcel, req.user);
+                if (!["admin", "rider"].includes(actorRole)) {
+                    return res.status(403).json({ message: "Forbidden: Only admins and the assigned rider can add notes." });
+                }
+
+                const result = await recordTrackingEvent(trackingsCollection, parcel, "note", {
+                    message: note,
+                    actor: { email: req.decoded.email, role: actorRole },
+                });
+                res.status(201).json(result);
+            } catch (error) {
+                console.error("Error inserting tracking update:", error);
+                res.status(500).json({ message: "Failed to add tracking update." });
+            }
+        });
+
+        // --- ADMIN ROUTES ---
+
+        // GET: Live stream of every parcel change (Server-Sent Events, admin only)
+        app.get("/admin/events", allowQueryToken, verifyAuth, authorize("admin"), async (req, res) => {
+            try {
+                await streamTrackingEvents(req, res, { trackingsCollection, query: {} });
+            } catch (error) {
+                console.error("Error opening admin event stream:", error);
+                if (!res.headersSent) res.status(500).send({ message: "Failed to open event stream" });
+            }
+        });
+
+        // GET: Audit trail of privileged actions, filterable by actor, entity and date range (admin only)
+        app.get("/admin/audit", verifyAuth, authorize("admin"), validateQuery(schemas.auditList), async (req, res) => {
+            try {
+                const { actor, entity, entity_id, action, from, to, search } = req.validatedQuery;
+                const filter = combineFilters(
+                    actor ? { actor_email: actor } : {},
+                    entity ? { entity } : {},
+                    entity_id ? { entity_id } : {},
+                    action ? { action } : {},
+                    dateRangeFilter('timestamp', from, to),
+                    searchFilter(search, ['action', 'actor_email', 'entity_id'])
+                );
+                res.send(await paginate(auditLogsCollection, filter, req.validatedQuery, { defaultSort: { timestamp: -1 } }));
+            } catch (error) {
+                console.error("Error fetching audit logs:", error);
+                res.status(500).send({ message: "Failed to load audit logs" });
+            }
+        });
+
+        // GET: Notification outbox, e.g. ?status=failed to see emails that could not be delivered (admin only)
+        app.get("/admin/notifications", verifyAuth, authorize("admin"), validateQuery(schemas.notificationList), async (req, res) => {
+            try {
+                const { status, type, recipient, from, to, search } = req.validatedQuery;
+                const filter = combineFilters(
+                    status ? { status } : {},
+                    type ? { type } : {},
+                    recipient ? { to: recipient } : {},
+                    dateRangeFilter('created_at', from, to),
+                    searchFilter(search, ['to', 'subject'])
+                );
+                const projection = { html: 0, text: 0 };
+                res.send(await paginate(notificationOutboxCollection, filter, req.validatedQuery, { defaultSort: { created_at: -1 }, projection }));
+            } catch (error) {
+                console.error("Error fetching notifications:", error);
+                res.status(500).send({ message: "Failed to load notifications" });
+            }
+        });
+
+        // POST: Send due notifications now, for deployments without a long-running worker (admin or cron)
+        app.post("/admin/notifications/process", verifyAuth, authorize("admin"), async (req, res) => {
+            try {
+                const processed = await notifier.processOutbox();
+                res.send({ processed });
+            } catch (error) {
+                console.error("Error processing notifications:", error);
+                res.status(500).send({ message: "Failed to process notifications" });
+            }
+        });
+
+        // PATCH: Queue a failed notification again (admin only)
+        app.patch("/admin/notifications/:id/retry", verifyAuth, authorize("admin"), async (req, res) => {
+            try {
+                const result = await notificationOutboxCollection.updateOne(
+                    { _id: new ObjectId(req.params.id), status: "failed" },
+                    { $set: { status: "queued", attempts: 0, next_attempt_at: new Date() } }
+                );
+                if (result.modifiedCount === 0) {
+                    return res.status(404).send({ message: "Failed notification not found" });
+                }
+                await recordAudit(req, { action: "notification.retry", entity: "notification", entityId: req.params.id, before: { status: "failed" }, after: { status: "queued" } });
+                notifier.processOutbox();
+                res.send({ message: "Notification queued" });
+            } catch (error) {
+                console.error("Error retrying notification:", error);
+                res.status(500).send({ message: "Failed to retry notification" });
+            }
+        });
+
+        // --- Trash (admin only) ---
+
+        const TRASH_COLLECTIONS = {
+            parcels: { collection: parcelsCollection, entity: "parcel" },
+            users: { collection: usersCollection, entity: "user" },
+            riders: { collection: ridersCollection, entity: "rider" },
+            "service-centers": { collection: serviceCentersCollection, entity: "service_center" },
+        };
+
+        const purgeTrash = () => purgeDeleted({
+            parcelsCollection,
+            usersCollection,
+            ridersCollection,
+            serviceCentersCollection,
+            paymentsCollection,
+            paymentsArchiveCollection,
+            trackingsCollection,
+            earningsCollection,
+        });
+
+        // GET: Deleted parcels, users, riders or service centers (/admin/trash/parcels, /users, /riders, /service-centers)
+        app.get("/admin/trash/:entity", verifyAuth, authorize("admin"), validateQuery(schemas.trashList), async (req, res) => {
+            const trash = TRASH_COLLECTIONS[req.params.entity];
+            if (!trash) {
+                return res.status(404).send({ message: "Unknown trash collection" });
+            }
+
+            try {
+                const { from, to, search } = req.validatedQuery;
+                const filter = combineFilters(
+                    DELETED,
+                    dateRangeFilter('deleted_at', from, to),
+                    searchFilter(search, ['email', 'name', 'tracking_id', 'created_by', 'deleted_by'])
+                );
+                res.send(await paginate(trash.collection, filter, req.validatedQuery, { defaultSort: { deleted_at: -1 } }));
+            } catch (error) {
+                console.error("Error fetching trash:", error);
+                res.status(500).send({ message: "Failed to load trash" });
+            }
+        });
+
+        // POST: Restore a deleted parcel, user, rider or service center
+        app.post("/admin/trash/:entity/:id/restore", verifyAuth, authorize("admin"), async (req, res) => {
+            const trash = TRASH_COLLECTIONS[req.params.entity];
+            if (!trash) {
+                return res.status(404).send({ message: "Unknown trash collection" });
+            }
+
+            try {
+                const document = await restoreDocument(trash.collection, { _id: new ObjectId(req.params.id) }, req.user.email);
+                if (!document) {
+                    return res.status(404).send({ message: "Nothing to restore" });
+                }
+
+                // A restored active rider gets the rider role back, but starts off shift
+                if (trash.entity === "rider" && document.status === "active") {
+                    const roleResult = await usersCollection.updateOne({ email: document.email, role: "user" }, { $set: { role: "rider" } });
+                    if (roleResult.modifiedCount > 0) {
+                        await revokeUserSessions(sessionsCollection, document.email, "role_changed");
+                    }
+                }
+
+                await recordAudit(req, {
+                    action: `${trash.entity}.restore`,
+                    entity: trash.entity,
+                    entityId: document._id,
+                    before: { deleted_at: document.last_deleted_at, deleted_by: document.last_deleted_by },
+                    after: { deleted_at: null, deleted_by: null },
+                });
+                res.send({ message: `${trash.entity} restored`, [trash.entity]: document });
+            } catch (error) {
+                console.error("Error restoring from trash:", error);
+                res.status(500).send({ message: "Failed to restore" });
+            }
+        });
+
+        // POST: Purge everything past the retention period now (also runs in the background)
+        app.post("/admin/trash/purge", verifyAuth, authorize("admin"), async (req, res) => {
+            try {
+                const result = await purgeTrash();
+                await recordAudit(req, { action: "trash.purge", entity: "trash", metadata: result });
+                res.send(result);
+            } catch (error) {
+                console.error("Error purging trash:", error);
+                res.status(500).send({ message: "Failed to purge trash" });
+            }
+        });
+
+        // Background purge, TRASH_PURGE_INTERVAL_HOURS apart (default 24)
+        const purgeInterval = setInterval(() => {
+            purgeTrash()
+                .then((result) => console.log("Trash purged:", JSON.stringify(result)))
+                .catch((error) => console.error("Error purging trash:", error));
+        }, (Number(process.env.TRASH_PURGE_INTERVAL_HOURS) || 24) * 60 * 60 * 1000);
+        purgeInterval.unref();
+
+        // --- Analytics (admin only; every endpoint takes ?from=&to=&district=) ---
+
+        // GET: Revenue per day, week or month (?interval=day|week|month), net of refunds
+        app.get("/admin/analytics/revenue", verifyAuth, authorize("admin"), validateQuery(schemas.analyticsQuery), async (req, res) => {
+            try {
+                res.send(await paymentsCollection.aggregate(analytics.revenuePipeline(req.validatedQuery)).toArray());
+            } catch (error) {
+                console.error("Error computing revenue analytics:", error);
+                res.status(500).send({ message: "Failed to load revenue analytics" });
+            }
+        });
+
+        // GET: Parcels created vs delivered per day
+        app.get("/admin/analytics/parcels", verifyAuth, authorize("admin"), validateQuery(schemas.analyticsQuery), async (req, res) => {
+            try {
+                const result = await parcelsCollection.aggregate(analytics.createdVsDeliveredPipeline(req.validatedQuery)).toArray();
+                res.send(analytics.mergeCreatedVsDelivered(result));
+            } catch (error) {
+                console.error("Error computing parcel analytics:", error);
+                res.status(500).send({ message: "Failed to load parcel analytics" });
+            }
+        });
+
+        // GET: Average hours from assignment to pickup to delivery
+        app.get("/admin/analytics/delivery-times", verifyAuth, authorize("admin"), validateQuery(schemas.analyticsQuery), async (req, res) => {
+            try {
+                const [result] = await parcelsCollection.aggregate(analytics.deliveryTimesPipeline(req.validatedQuery)).toArray();
+                res.send(result || { deliveries: 0, avg_hours: null });
+            } catch (error) {
+                console.error("Error computing delivery time analytics:", error);
+                res.status(500).send({ message: "Failed to load delivery time analytics" });
+            }
+        });
+
+        // GET: Parcel volume per sender district
+        app.get("/admin/analytics/districts", verifyAuth, authorize("admin"), validateQuery(schemas.analyticsQuery), async (req, res) => {
+            try {
+                res.send(await parcelsCollection.aggregate(analytics.districtVolumePipeline(req.validatedQuery)).toArray());
+            } catch (error) {
+                console.error("Error computing district analytics:", error);
+                res.status(500).send({ message: "Failed to load district analytics" });
+            }
+        });
+
+        // GET: Senders with the most parcels (?limit=, default 10)
+        app.get("/admin/analytics/top-senders", verifyAuth, authorize("admin"), validateQuery(schemas.analyticsQuery), async (req, res) => {
+            try {
+                res.send(await parcelsCollection.aggregate(analytics.topSendersPipeline(req.validatedQuery)).toArray());
+            } catch (error) {
+                console.error("Error computing top sender analytics:", error);
+                res.status(500).send({ message: "Failed to load top senders" });
+            }
+        });
+
+        // GET: Deliveries, on-time rate and earnings per rider
+        app.get("/admin/analytics/riders", verifyAuth, authorize("admin"), validateQuery(schemas.analyticsQuery), async (req, res) => {
+            try {
+                const [performance, earnings] = await Promise.all([
+                    parcelsCollection.aggregate(analytics.riderPerformancePipeline(req.validatedQuery)).toArray(),
+                    earningsCollection.aggregate(analytics.riderEarningsPipeline(req.validatedQuery)).toArray(),
+                ]);
+                res.send(analytics.mergeRiderEarnings(performance, earnings));
+            } catch (error) {
+                console.error("Error computing rider analytics:", error);
+                res.status(500).send({ message: "Failed to load rider analytics" });
+            }
+        });
+
+        // POST: Group requested cashouts into payout batches, one per rider (admin only)
+        app.post("/admin/payouts", verifyAuth, authorize("admin"), validateBody(schemas.payoutBatchCreation), async (req, res) => {
+            try {
+                const batches = await createPayoutBatches(
+                    { earningsCollection, payoutBatchesCollection },
+                    { riderEmail: req.body.riderEmail, createdBy: req.decoded.email }
+                );
+                for (const batch of batches) {
+                    await recordAudit(req, { action: "payout.create", entity: "payout_batch", entityId: batch._id, after: batch });
+                }
+                res.status(201).send({ message: `Created ${batches.length} payout batches`, batches });
+            } catch (error) {
+                console.error("Error creating payout batches:", error);
+                res.status(500).send({ message: "Failed to create payout batches" });
+            }
+        });
+
+        // GET: Payout batches, optionally by status or rider (admin only)
+        app.get("/admin/payouts", verifyAuth, authorize("admin"), validateQuery(schemas.payoutList), async (req, res) => {
+            try {
+                const { status, riderEmail, from, to } = req.validatedQuery;
+                const filter = combineFilters(
+                    status ? { status } : {},
+                    riderEmail ? { rider_email: riderEmail } : {},
+                    dateRangeFilter('created_at', from, to)
+                );
+                res.send(await paginate(payoutBatchesCollection, filter, req.validatedQuery, { defaultSort: { created_at: -1 } }));
+            } catch (error) {
+                console.error("Error fetching payout batches:", error);
+                res.status(500).send({ message: "Failed to load payout batches" });
+            }
+        });
+
+        // GET: A payout batch with the ledger entries it covers and a reconciliation check (admin only)
+        app.get("/admin/payouts/:id", verifyAuth, authorize("admin"), async (req, res) => {
+            try {
+                const batch = await payoutBatchesCollection.findOne({ _id: new ObjectId(req.params.id) });
+                if (!batch) {
+                    return res.status(404).send({ message: "Payout batch not found" });
+                }
+                const { earnings, reconciliation } = await reconcilePayoutBatch(earningsCollection, batch);
+                res.send({ ...batch, earnings, reconciliation });
+            } catch (error) {
+                console.error("Error fetching payout batch:", error);
+                res.status(500).send({ message: "Failed to load payout batch" });
+            }
+        });
+
+        // PATCH: Approve a payout batch (admin only)
+        app.patch("/admin/payouts/:id/approve", verifyAuth, authorize("admin"), async (req, res) => {
+            try {
+                const batch = await payoutBatchesCollection.findOneAndUpdate(
+                    { _id: new ObjectId(req.params.id), status: "pending_approval" },
+                    { $set: { status: "approved", approved_by: req.decoded.email, approved_at: new Date() } },
+                    { returnDocument: "after" }
+                );
+                if (!batch) {
+                    return res.status(409).send({ message: "Payout batch not found or not awaiting approval" });
+                }
+                await recordAudit(req, { action: "payout.approve", entity: "payout_batch", entityId: batch._id, before: { status: "pending_approval" }, after: { status: batch.status } });
+                res.send({ message: "Payout batch approved" });
+            } catch (error) {
+                console.error("Error approving payout batch:", error);
+                res.status(500).send({ message: "Failed to approve payout batch" });
+            }
+        });
+
+        // PATCH: Mark an approved payout batch as paid, which cashes out every parcel or route leg in it (admin only)
+        app.patch("/admin/payouts/:id/paid", verifyAuth, authorize("admin"), validateBody(schemas.payoutPaid), async (req, res) => {
+            const { reference } = req.body;
+            try {
+                // Riders settle the cash on delivery they collected before they are paid
+                const pending = await payoutBatchesCollection.findOne({ _id: new ObjectId(req.params.id) });
+                const heldCash = pending && await getHeldCash(parcelsCollection, pending.rider_email);
+                if (heldCash?.count > 0) {
+                    return res.status(409).send({
+                        message: `${pending.rider_email} still holds ${formatHeldCash(heldCash)} in cash from ${heldCash.count} parcel(s), settle it first`,
+                        cash: heldCash,
+                    });
+                }
+
+                const batch = await payoutBatchesCollection.findOneAndUpdate(
+                    { _id: new ObjectId(req.params.id), status: "approved" },
+                    { $set: { status: "paid", paid_by: req.decoded.email, paid_at: new Date(), payment_reference: reference || null } },
+                    { returnDocument: "after" }
+                );
+                if (!batch) {
+                    return res.status(409).send({ message: "Payout batch not found or not approved" });
+                }
+
+                const paidAt = new Date();
+                await earningsCollection.updateMany(
+                    { payout_batch_id: batch._id },
+                    { $set: { status: "paid", paid_at: paidAt } }
+                );
+                // Routed parcels are cashed out leg by leg, the others as a whole
+                const paidEarnings = await earningsCollection.find({ payout_batch_id: batch._id }).toArray();
+                for (const earning of paidEarnings) {
+                    const prefix = earning.leg_index === null || earning.leg_index === undefined ? "" : `route.legs.${earning.leg_index}.`;
+                    await parcelsCollection.updateOne(
+                        { _id: new ObjectId(earning.parcel_id) },
+                        { $set: { [`${prefix}cashout_status`]: "cashed_out", [`${prefix}cashed_out_at`]: paidAt, [`${prefix}payout_batch_id`]: batch._id } }
+                    );
+                }
+                const parcelIds = [...new Set(batch.parcel_ids)].map((id) => new ObjectId(id));
+                const parcels = await parcelsCollection.find({ _id: { $in: parcelIds } }).toArray();
+                for (const parcel of parcels) {
+                    await recordTrackingEvent(trackingsCollection, parcel, "cashed_out", {
+                        actor: { email: req.decoded.email, role: "admin" },
+                    });
+                }
+
+                await recordAudit(req, {
+                    action: "payout.paid",
+                    entity: "payout_batch",
+                    entityId: batch._id,
+                    before: { status: "approved" },
+                    after: { status: batch.status },
+                    metadata: { reference: reference || null, total: batch.total, count: batch.count },
+                });
+                res.send({ message: "Payout batch marked as paid", count: batch.count, total: batch.total });
+            } catch (error) {
+                console.error("Error marking payout batch as paid:", error);
+                res.status(500).send({ message: "Failed to mark payout batch as paid" });
+            }
+        });
+
+        // GET: Cash on delivery collected by riders, held or settled, optionally for one rider (admin only)
+        app.get("/admin/cash-collections", verifyAuth, authorize("admin"), validateQuery(schemas.cashCollectionList), async (req, res) => {
+            try {
+                const { rider, status, from, to } = req.validatedQuery;
+                const filter = combineFilters(
+                    { cash_collection: { $ne: null } },
+                    rider ? { "cash_collection.collected_by.email": rider } : {},
+                    status ? { "cash_collection.status": status } : {},
+                    dateRangeFilter("cash_collection.collected_at", from, to),
+                    searchFilter(req.validatedQuery.search, ["tracking_id", "receiver_name"])
+                );
+                const [collections, held] = await Promise.all([
+                    paginate(parcelsCollection, filter, req.validatedQuery, {
+                        defaultSort: { "cash_collection.collected_at": -1 },
+                        projection: { tracking_id: 1, receiver_name: 1, delivery_status: 1, delivered_at: 1, cash_collection: 1 },
+                    }),
+                    rider ? getHeldCash(parcelsCollection, rider) : null,
+                ]);
+                res.send({ ...collections, held });
+            } catch (error) {
+                console.error("Error fetching cash collections:", error);
+                res.status(500).send({ message: "Failed to get cash collections" });
+            }
+        });
+
+        // POST: Record cash a rider handed over, for all the cash they hold or the listed parcels (admin only)
+        app.post("/admin/cash-settlements", verifyAuth, authorize("admin"), validateBody(schemas.cashSettlement), async (req, res) => {
+            const { rider_email: riderEmail, parcel_ids: parcelIds, amount_received: amountReceived, note } = req.body;
+            if (parcelIds?.some((id) => !ObjectId.isValid(id))) {
+                return res.status(400).send({ message: "parcel_ids must be valid ids" });
+            }
+
+            try {
+                const settlement = await settleRiderCash(
+                    { parcelsCollection, cashSettlementsCollection },
+                    { riderEmail, parcelIds, amountReceived, note, receivedBy: req.decoded.email }
+                );
+                await recordAudit(req, {
+                    action: "cash.settle",
+                    entity: "cash_settlement",
+                    entityId: settlement._id,
+                    after: { total: settlement.total, currency: settlement.currency, count: settlement.count },
+                    metadata: { rider_email: riderEmail, note: note || null },
+                });
+                res.status(201).send(settlement);
+            } catch (error) {
+                if (sendClientError(res, error)) return;
+                console.error("Error settling rider cash:", error);
+                res.status(500).send({ message: "Failed to settle cash" });
+            }
+        });
+
+        // --- SERVICE CENTER ROUTES ---
+
+        // GET: Service centers (public, the booking form picks centers from it)
+        app.get("/service-centers", validateQuery(schemas.serviceCenterList), async (req, res) => {
+            try {
+                const { region, type, active } = req.validatedQuery;
+                const filter = combineFilters(
+                    NOT_DELETED,
+                    districtFilter(req.validatedQuery.district, ['district', 'covered_areas']),
+                    districtFilter(region, ['region']),
+                    type ? { type } : {},
+                    active !== undefined ? { active } : {},
+                    dateRangeFilter('created_at', req.validatedQuery.from, req.validatedQuery.to),
+                    searchFilter(req.validatedQuery.search, ['name', 'district', 'address'])
+                );
+                res.send(await paginate(serviceCentersCollection, filter, req.validatedQuery, { defaultSort: { name: 1 } }));
+            } catch (error) {
+                console.error("Error fetching service centers:", error);
+                res.status(500).send({ message: "Failed to load service centers" });
+            }
+        });
+
+        // GET: One service center
+        app.get("/service-centers/:id", async (req, res) => {
+            try {
+                const center = await serviceCentersCollection.findOne({ _id: new ObjectId(req.params.id), ...NOT_DELETED });
+                if (!center) {
+                    return res.status(404).send({ message: "Service center not found" });
+                }
+                res.send(center);
+            } catch (error) {
+                console.error("Error fetching service center:", error);
+                res.status(500).send({ message: "Failed to load service center" });
+            }
+        });
+
+        // POST: Add a service center (admin only)
+        app.post("/service-centers", verifyAuth, authorize("admin"), validateBody(schemas.serviceCenter), async (req, res) => {
+            try {
+                const center = {
+                    ...buildServiceCenterFields(req.body),
+                    created_by: req.user.email,
+                    created_at: new Date(),
+                };
+                const { insertedId } = await serviceCentersCollection.insertOne(center);
+                await recordAudit(req, { action: "service_center.create", entity: "service_center", entityId: insertedId, after: center });
+                res.status(201).send({ message: "Service center created", insertedId });
+            } catch (error) {
+                if (sendClientError(res, error)) return;
+                console.error("Error creating service center:", error);
+                res.status(500).send({ message: "Failed to create service center" });
+            }
+        });
+
+        // PATCH: Update a service center (admin only). Routes already planned keep the hubs they were planned with.
+        app.patch("/service-centers/:id", verifyAuth, authorize("admin"), validateBody(schemas.serviceCenterUpdate), async (req, res) => {
+            try {
+                const fields = buildServiceCenterFields(req.body);
+                if (Object.keys(fields).length === 0) {
+                    return res.status(400).send({ message: "Nothing to update" });
+                }
+
+                const before = await serviceCentersCollection.findOneAndUpdate(
+                    { _id: new ObjectId(req.params.id), ...NOT_DELETED },
+                    { $set: { ...fields, updated_by: req.user.email, updated_at: new Date() } },
+                    { returnDocument: "before" }
+                );
+                if (!before) {
+                    return res.status(404).send({ message: "Service center not found" });
+                }
+                const center = { ...before, ...fields };
+                await recordAudit(req, { action: "service_center.update", entity: "service_center", entityId: before._id, before, after: center });
+                res.send({ message: "Service center updated", center });
+            } catch (error) {
+                if (sendClientError(res, error)) return;
+                console.error("Error updating service center:", error);
+                res.status(500).send({ message: "Failed to update service center" });
+            }
+        });
+
+        // DELETE: Move a service center to the trash (admin only), refused while parcels are still routed through it
+        app.delete("/service-centers/:id", verifyAuth, authorize("admin"), async (req, res) => {
+            try {
+                const openParcels = await parcelsCollection.countDocuments({ ...openParcelsThroughCenter(req.params.id), ...NOT_DELETED });
+                if (openParcels > 0) {
+                    return res.status(409).send({ message: `${openParcels} open parcels are routed through this service center, deactivate it instead` });
+                }
+
+                const center = await softDeleteDocument(serviceCentersCollection, { _id: new ObjectId(req.params.id) }, req.user.email);
+                if (!center) {
+                    return res.status(404).send({ message: "Service center not found" });
+                }
+                await recordAudit(req, { action: "service_center.delete", entity: "service_center", entityId: center._id, before: { deleted_at: null }, after: { deleted_at: center.deleted_at } });
+                res.send({ message: "Service center moved to trash", deleted_at: center.deleted_at });
+            } catch (error) {
+                console.error("Error deleting service center:", error);
+                res.status(500).send({ message: "Failed to delete service center" });
+            }
+        });
+
+        // --- RIDER ROUTES ---
+
+        // Filter for rider lists; `status` is fixed by the pending/active routes
+        const buildRiderListFilter = (query, status) => combineFilters(
+            NOT_DELETED,
+            status || query.status ? { status: status || query.status } : {},
+            query.work_status ? { work_status: query.work_status } : {},
+            districtFilter(query.district, ['district']),
+            dateRangeFilter('created_at', query.from, query.to),
+            searchFilter(query.search, ['name', 'email', 'phone'])
+        );
+
+        // GET: All riders (admin only)
+        app.get("/riders", verifyAuth, authorize("admin"), validateQuery(schemas.riderList), async (req, res) => {
+            try {
+                const filter = buildRiderListFilter(req.validatedQuery);
+                res.send(await paginate(ridersCollection, filter, req.validatedQuery, { defaultSort: { created_at: -1 } }));
+            } catch (error) {
+                console.error("Error fetching riders:", error);
+                res.status(500).send({ message: "Failed to load riders" });
+            }
+        });
+
+        // POST: Apply to become a rider (the application is always filed under the caller's email).
+        // Each user has one application; a rejected applicant reapplies by submitting again.
+        app.post('/riders', verifyAuth, validateBody(schemas.riderApplication), async (req, res) => {
+            const email = req.decoded.email;
+            const actor = { email, role: "applicant" };
+            try {
+                const existing = await ridersCollection.findOne({ email });
+                if (existing?.deleted_at) {
+                    return res.status(403).send({ message: "Your rider application has been removed, please contact support" });
+                }
+                let rider;
+                if (!existing) {
+                    const now = new Date();
+                    rider = {
+                        ...req.body,
+                        email,
+                        status: 'pending',
+                        created_at: now,
+                        submitted_at: now,
+                        review_history: [{ from: null, to: 'pending', reason: null, actor_email: email, actor_role: actor.role, at: now }],
+                    };
+                    await ridersCollection.insertOne(rider);
+                } else if (existing.status === 'rejected') {
+                    rider = await reviewRiderApplication(ridersCollection, existing, 'pending', { actor, set: req.body });
+                } else {
+                    return res.status(409).send({ message: `You already have a rider application (${existing.status})`, status: existing.status });
+                }
+
+                notifier.notifyAdmins("rider_application", { rider }, { dedupeKey: `${rider._id}:${rider.review_history.length}` }); // Not awaited, never throws
+                res.status(201).send(getApplicationSummary(rider));
+            } catch (error) {
+                if (error?.code === 11000) {
+                    return res.status(409).send({ message: "You already have a rider application" });
+                }
+                if (sendClientError(res, error)) return;
+                console.error("Error creating rider:", error);
+                res.status(500).send({ message: "Failed to register rider" });
+            }
+        });
+
+        // GET: The caller's own rider application, with its status, reason and review history
+        app.get('/riders/me', verifyAuth, async (req, res) => {
+            try {
+                const rider = await ridersCollection.findOne({ email: req.decoded.email, ...NOT_DELETED });
+                if (!rider) return res.status(404).send({ message: "No rider application found" });
+                res.send(getApplicationSummary(rider));
+            } catch (error) {
+                console.error("Error fetching rider application:", error);
+                res.status(500).send({ message: "Failed to load rider application" });
+            }
+        });
+
+        // PATCH: Update the caller's application while it is pending, or resubmit it after more info was requested
+        app.patch('/riders/me', verifyAuth, validateBody(schemas.riderApplication), async (req, res) => {
+            const email = req.decoded.email;
+            try {
+                const existing = await ridersCollection.findOne({ email, ...NOT_DELETED });
+                if (!existing) return res.status(404).send({ message: "No rider application found" });
+
+                let rider;
+                if (existing.status === 'pending') {
+                    rider = await ridersCollection.findOneAndUpdate(
+                        { _id: existing._id, status: 'pending' },
+                        { $set: req.body },
+                        { returnDocument: "after" }
+                    );
+                    if (!rider) return res.status(409).send({ message: "Rider application was changed by someone else, please reload and try again" });
+                } else {
+                    rider = await reviewRiderApplication(ridersCollection, existing, 'pending', { actor: { email, role: "applicant" }, set: req.body });
+                    notifier.notifyAdmins("rider_application", { rider }, { dedupeKey: `${rider._id}:${rider.review_history.length}` });
+                }
+                res.send(getApplicationSummary(rider));
+            } catch (error) {
+                if (sendClientError(res, error)) return;
+                console.error("Error updating rider application:", error);
+                res.status(500).send({ message: "Failed to update rider application" });
+            }
+        });
+
+        // GET: Get pending rider applications (admin only)
+        app.get("/riders/pending", verifyAuth, authorize("admin"), validateQuery(schemas.riderList), async (req, res) => {
+            try {
+                const filter = buildRiderListFilter(req.validatedQuery, "pending");
+                const pendingRiders = await paginate(ridersCollection, filter, req.validatedQuery, { defaultSort: { created_at: 1 } }); // Oldest applications first
                 res.send(pendingRiders);
             } catch (error) {
                 console.error("Failed to load pending riders:", error);
@@ -651,9 +2118,10 @@ async function run() {
         });
 
         // GET: Get active riders (admin only)
-        app.get("/riders/active", verifyFBToken, verifyAdmin, async (req, res) => {
+        app.get("/riders/active", verifyAuth, authorize("admin"), validateQuery(schemas.riderList), async (req, res) => {
             try {
-                const result = await ridersCollection.find({ status: "active" }).toArray();
+                const filter = buildRiderListFilter(req.validatedQuery, "active");
+                const result = await paginate(ridersCollection, filter, req.validatedQuery, { defaultSort: { name: 1 } });
                 res.send(result);
             } catch (error) {
                 console.error("Error fetching active riders:", error);
@@ -662,69 +2130,233 @@ async function run() {
         });
 
         // GET: Get available riders by district
-        app.get("/riders/available", async (req, res) => {
-            const { district } = req.query;
+        // Only active, on-shift riders, least busy first
+        app.get("/riders/available", verifyAuth, authorize("admin"), validateQuery(schemas.availableRiders), async (req, res) => {
             try {
-                const riders = await ridersCollection.find({ district }).toArray();
+                const riders = await rankRidersForDistrict({ ridersCollection, parcelsCollection }, req.validatedQuery.district);
                 res.send(riders);
-            } catch (err) {
+            } catch (error) {
+                console.error("Error fetching available riders:", error);
                 res.status(500).send({ message: "Failed to load riders" });
             }
         });
 
-        // PATCH: Update rider status (admin only)
-        app.patch("/riders/:id/status", verifyFBToken, verifyAdmin, async (req, res) => {
-            const { id } = req.params;
-            const { status, email } = req.body;
-            const query = { _id: new ObjectId(id) };
-            const updateDoc = {
-                $set: {
-                    status
+        // GET: Active, on-shift riders near a point, nearest first, within at most 100 km (admin only)
+        app.get("/riders/nearby", verifyAuth, authorize("admin"), validateQuery(schemas.nearbyRiders), async (req, res) => {
+            const { lat, lng, radius } = req.validatedQuery;
+            try {
+                const riders = await ridersCollection.aggregate(buildNearbyRidersPipeline({ lat, lng }, radius)).toArray();
+                res.send(riders);
+            } catch (error) {
+                console.error("Error finding nearby riders:", error);
+                res.status(500).send({ message: "Failed to find nearby riders" });
+            }
+        });
+
+        // GET: Earnings totals, cash on delivery still held and recent ledger entries for the logged-in rider
+        app.get("/rider/earnings", verifyAuth, authorize("rider"), async (req, res) => {
+            try {
+                const riderEmail = req.decoded.email;
+                const [totals, cash] = await Promise.all([
+                    getEarningTotals(earningsCollection, riderEmail),
+                    getHeldCash(parcelsCollection, riderEmail), // Cash on delivery still to hand over
+                ]);
+                const earnings = await earningsCollection
+                    .find({ rider_email: riderEmail })
+                    .sort({ delivered_at: -1 })
+                    .limit(100)
+                    .toArray();
+                res.send({ totals, cash, earnings });
+            } catch (error) {
+                console.error("Error fetching rider earnings:", error);
+                res.status(500).send({ message: "Failed to load earnings" });
+            }
+        });
+
+        // PATCH: Rider starts or ends their shift
+        app.patch("/rider/shift", verifyAuth, authorize("rider"), validateBody(schemas.riderShift), async (req, res) => {
+            const { on_shift } = req.body;
+
+            try {
+                const rider = await ridersCollection.findOne({ email: req.decoded.email, ...NOT_DELETED });
+                if (!rider || rider.status !== "active") {
+                    return res.status(403).send({ message: "Forbidden: Only active riders can change shift" });
                 }
-            };
+
+                if (on_shift) {
+                    await ridersCollection.updateOne({ _id: rider._id }, { $set: { work_status: "available" } });
+                    await refreshRiderWorkStatus({ ridersCollection, parcelsCollection }, rider.email);
+                } else {
+                    await ridersCollection.updateOne({ _id: rider._id }, { $set: { work_status: "off_shift" } });
+                }
+                const updatedRider = await ridersCollection.findOne({ _id: rider._id }, { projection: { work_status: 1 } });
+                res.send({ message: on_shift ? "Shift started" : "Shift ended", work_status: updatedRider.work_status });
+            } catch (error) {
+                console.error("Error updating rider shift:", error);
+                res.status(500).send({ message: "Failed to update shift" });
+            }
+        });
+
+        // POST: Rider reports their current location while on shift
+        app.post("/rider/location", verifyAuth, authorize("rider"), validateBody(schemas.riderLocation), async (req, res) => {
+            const point = { lat: req.body.lat, lng: req.body.lng };
 
             try {
-                const result = await ridersCollection.updateOne(query, updateDoc);
-                if (result.modifiedCount === 0) {
-                    return res.status(404).send({ message: "Rider not found or status already set" });
+                const rider = await ridersCollection.findOne({ email: req.decoded.email, ...NOT_DELETED });
+                if (!rider || rider.status !== "active") {
+                    return res.status(403).send({ message: "Forbidden: Only active riders can report their location" });
+                }
+                if (rider.work_status === "off_shift") {
+                    return res.status(409).send({ message: "Location can only be reported while on shift" });
                 }
 
-                // Update user role to 'rider' in usersCollection if status becomes 'active'
-                if (status === 'active') {
-                    const userQuery = { email };
-                    const userUpdateDoc = {
+                await ridersCollection.updateOne(
+                    { _id: rider._id },
+                    {
                         $set: {
-                            role: 'rider'
-                        }
-                    };
-                    const roleResult = await usersCollection.updateOne(userQuery, userUpdateDoc);
-                    console.log(`User role updated to 'rider' for ${email}: ${roleResult.modifiedCount} modified`);
+                            location: toGeoPoint(point),
+                            location_accuracy_m: req.body.accuracy ?? null,
+                            last_seen_at: new Date(),
+                        },
+                    }
+                );
+                res.send({ message: "Location updated" });
+            } catch (error) {
+                console.error("Error updating rider location:", error);
+                res.status(500).send({ message: "Failed to update location" });
+            }
+        });
+
+        // Takes work away from a rider who was deactivated or banned: parcels not picked up yet go back to
+        // pending (at_hub on a later route leg, return_pending for returns), parcels already in their hands
+        // are returned so an admin can recover them
+        const unassignRiderParcels = async (rider, actor, note = `Rider ${rider.name || rider.email} was ${rider.status}`) => {
+            const openParcels = await parcelsCollection
+                .find({ assigned_rider_email: rider.email, delivery_status: { $in: OPEN_STATUSES } })
+                .toArray();
+
+            const unassigned = [];
+            const needsRecovery = [];
+            for (const parcel of openParcels) {
+                if (!["rider_assigned", "return_assigned"].includes(parcel.delivery_status)) {
+                    needsRecovery.push(parcel.tracking_id || parcel._id);
+                    continue;
                 }
-                res.send(result);
+                try {
+                    let to = parcel.route?.current_leg > 0 ? "at_hub" : "pending";
+                    if (parcel.delivery_status === "return_assigned") to = "return_pending";
+                    await moveParcel(parcel, to, {
+                        actor,
+                        note,
+                        message: "Waiting for a new rider",
+                        set: { assigned_rider_id: null, assigned_rider_email: null, assigned_rider_name: null },
+                    });
+                    unassigned.push(parcel.tracking_id || parcel._id);
+                } catch (error) {
+                    // The parcel moved on in the meantime (picked up, cancelled), leave it for the admin
+                    console.error(`Error unassigning parcel ${parcel._id}:`, error.message);
+                    needsRecovery.push(parcel.tracking_id || parcel._id);
+                }
+            }
+            return { unassigned, needs_recovery: needsRecovery };
+        };
+
+        const RIDER_STATUS_NOTIFICATIONS = {
+            active: "rider_approved",
+            rejected: "rider_rejected",
+            info_requested: "rider_info_requested",
+            deactivated: "rider_deactivated",
+            banned: "rider_deactivated",
+        };
+
+        // PATCH: Review a rider application or change an active rider's status (admin only).
+        // A reason is required to reject, request more info or ban. The user role follows the rider status.
+        app.patch("/riders/:id/status", verifyAuth, authorize("admin"), validateBody(schemas.riderStatusChange), async (req, res) => {
+            const { status, reason } = req.body;
+            const actor = { email: req.user.email, role: "admin" };
+
+            try {
+                const existing = await ridersCollection.findOne({ _id: new ObjectId(req.params.id), ...NOT_DELETED });
+                if (!existing) {
+                    return res.status(404).send({ message: "Rider not found" });
+                }
+                const rider = await reviewRiderApplication(ridersCollection, existing, status, { actor, reason });
+
+                // The role always follows the application's own email, admins keep their role
+                let roleResult = null;
+                if (status === 'active') {
+                    roleResult = await usersCollection.updateOne({ email: rider.email, role: 'user' }, { $set: { role: 'rider' } });
+                } else if (INACTIVE_RIDER_STATUSES.includes(status)) {
+                    roleResult = await usersCollection.updateOne({ email: rider.email, role: 'rider' }, { $set: { role: 'user' } });
+                }
+                if (roleResult?.modifiedCount > 0) {
+                    await revokeUserSessions(sessionsCollection, rider.email, "role_changed");
+                }
+
+                const parcels = INACTIVE_RIDER_STATUSES.includes(status) ? await unassignRiderParcels(rider, actor) : undefined;
+
+                await recordAudit(req, {
+                    action: "rider.status_change",
+                    entity: "rider",
+                    entityId: rider._id,
+                    before: existing,
+                    after: rider,
+                    metadata: { reason: reason || null, role_changed: roleResult?.modifiedCount > 0, parcels },
+                });
+
+                notifier.notify(RIDER_STATUS_NOTIFICATIONS[status], rider.email, { rider, reason }); // Not awaited, never throws
+                res.send({ message: `Rider status updated to ${status}`, rider, parcels });
             } catch (err) {
+                if (sendClientError(res, err)) return;
                 console.error("Error updating rider status:", err);
                 res.status(500).send({ message: "Failed to update rider status" });
             }
         });
 
+        // DELETE: Move a rider to the trash (admin only). Like deactivation, they lose the rider role and their open parcels.
+        app.delete("/riders/:id", verifyAuth, authorize("admin"), async (req, res) => {
+            const actor = { email: req.user.email, role: "admin" };
+            try {
+                const rider = await softDeleteDocument(ridersCollection, { _id: new ObjectId(req.params.id) }, req.user.email);
+                if (!rider) {
+                    return res.status(404).send({ message: "Rider not found" });
+                }
+                await ridersCollection.updateOne({ _id: rider._id }, { $set: { work_status: "off_shift" } });
+
+                const roleResult = await usersCollection.updateOne({ email: rider.email, role: "rider" }, { $set: { role: "user" } });
+                if (roleResult.modifiedCount > 0) {
+                    await revokeUserSessions(sessionsCollection, rider.email, "role_changed");
+                }
+                const parcels = await unassignRiderParcels(rider, actor, `Rider ${rider.name || rider.email} was removed`);
+
+                await recordAudit(req, {
+                    action: "rider.delete",
+                    entity: "rider",
+                    entityId: rider._id,
+                    before: { deleted_at: null },
+                    after: { deleted_at: rider.deleted_at },
+                    metadata: { email: rider.email, role_changed: roleResult.modifiedCount > 0, parcels },
+                });
+                res.send({ message: "Rider moved to trash", deleted_at: rider.deleted_at, parcels });
+            } catch (error) {
+                console.error("Error deleting rider:", error);
+                res.status(500).send({ message: "Failed to delete rider" });
+            }
+        });
+
         // --- PAYMENT ROUTES ---
 
-        // GET: Get payment history for a user
-        app.get('/payments', verifyFBToken, async (req, res) => {
+        // GET: Get payment history for a user (admins can list everyone's, optionally by ?email=)
+        app.get('/payments', verifyAuth, authorize("user"), validateQuery(schemas.paymentList), async (req, res) => {
             try {
-                const userEmail = req.query.email;
-                if (!userEmail) {
-                    return res.status(400).send({ message: 'Email query parameter is required.' });
-                }
+                const userEmail = req.validatedQuery.email;
                 // Ensure user is only fetching their own payment history
-                if (req.decoded.email !== userEmail) {
+                if (req.user.role !== 'admin' && userEmail && userEmail !== req.user.email) {
                     return res.status(403).send({ message: 'Forbidden access' });
                 }
 
-                const query = { email: userEmail };
-                const options = { sort: { paid_at: -1 } }; // Latest first
-
-                const payments = await paymentsCollection.find(query, options).toArray();
+                const filter = buildPaymentListFilter(req.validatedQuery, { email: req.user.role !== 'admin' ? req.user.email : undefined });
+                const payments = await paginate(paymentsCollection, filter, req.validatedQuery, { defaultSort: { paid_at: -1 } }); // Latest first
                 res.send(payments);
             } catch (error) {
                 console.error('Error fetching payment history:', error);
@@ -732,65 +2364,242 @@ async function run() {
             }
         });
 
-        // POST: Record payment and update parcel status
-        app.post('/payments', async (req, res) => {
+        // POST: Confirm a payment from the client
+        // The parcel is only marked paid by the Stripe webhook, this just reports the current state back
+        app.post('/payments', verifyAuth, validateBody(schemas.parcelPayment), authorize("parcelOwner"), async (req, res) => {
             try {
-                const { parcelId, email, amount, paymentMethod, transactionId } = req.body;
+                const parcel = req.parcel; // Loaded from body.parcelId by authorize
 
-                // 1. Update parcel's payment_status
-                const updateResult = await parcelsCollection.updateOne(
-                    { _id: new ObjectId(parcelId) },
-                    {
-                        $set: {
-                            payment_status: 'paid'
-                        }
+                const paid = parcel.payment_status === 'paid';
+                res.status(paid ? 200 : 202).send({
+                    message: paid ? 'Payment confirmed' : 'Payment is being confirmed',
+                    payment_status: parcel.payment_status,
+                });
+
+            } catch (error) {
+                console.error('Payment confirmation failed:', error);
+                res.status(500).send({ message: 'Failed to confirm payment' });
+            }
+        });
+
+        // Loads the payment behind :id and points authorize at its parcel
+        const loadInvoicePayment = async (req, res, next) => {
+            try {
+                const payment = await paymentsCollection.findOne({ _id: new ObjectId(req.params.id) });
+                if (!payment || !payment.parcelId) {
+                    return res.status(404).send({ message: 'Payment not found' });
+                }
+                if (!['payment', 'return_charge'].includes(payment.type) || payment.status !== 'succeeded') {
+                    return res.status(400).send({ message: 'Invoices are only issued for successful payments' });
+                }
+                req.payment = payment;
+                req.parcelId = payment.parcelId;
+                next();
+            } catch (error) {
+                console.error("Error loading payment:", error);
+                res.status(500).send({ message: 'Failed to load payment' });
+            }
+        };
+
+        // GET: Invoice (PDF) for a payment, from the stored payment record and the parcel's price breakdown
+        app.get('/payments/:id/invoice', verifyAuth, loadInvoicePayment, authorize("parcelOwner", "assignedRider", "admin"), async (req, res) => {
+            try {
+                const payment = req.payment;
+                const refunds = await paymentsCollection
+                    .find({ transactionId: payment.transactionId, parcelId: payment.parcelId, type: 'refund', status: { $ne: 'failed' } })
+                    .sort({ refunded_at: 1 })
+                    .toArray();
+                const pdf = await renderInvoice(payment, req.parcel, refunds);
+                res.type('application/pdf')
+                    .set('Content-Disposition', `inline; filename="invoice-${payment._id}.pdf"`)
+                    .send(pdf);
+            } catch (error) {
+                console.error("Error rendering invoice:", error);
+                res.status(500).send({ message: "Failed to render invoice" });
+            }
+        });
+
+        // Stripe: Create Payment Intent
+        // The amount is looked up from the stored parcel price (or return charge), never taken from the client.
+        // Charged in the parcel's currency (the deployment's CURRENCY) with the configured PAYMENT_METHOD_TYPES.
+        app.post('/create-payment-intent', verifyAuth, validateBody(schemas.parcelPayment), authorize("parcelOwner"), async (req, res) => {
+            try {
+                const parcel = req.parcel; // Loaded from body.parcelId by authorize
+                const currency = parcel.currency || CURRENCY;
+                if (req.body.purpose === 'return_charge') {
+                    if (parcel.return_charge?.status !== 'due') {
+                        return res.status(400).json({ error: "This parcel has no return charge to pay." });
                     }
-                );
+                    const amountInCents = toMinorUnits(parcel.return_charge.amount, currency);
+                    const openIntent = await releaseReturnChargeIntent(stripe, parcelsCollection, parcel, { amountInCents, currency });
+                    if (openIntent) {
+                        return res.json({ clientSecret: openIntent.client_secret, amount: parcel.return_charge.amount, amountInCents, currency });
+                    }
+                    const paymentIntent = await stripe.paymentIntents.create({
+                        amount: amountInCents,
+                        currency,
+                        payment_method_types: PAYMENT_METHOD_TYPES,
+                        metadata: {
+                            parcelId: parcel._id.toString(),
+                            email: parcel.created_by,
+                            purpose: 'return_charge',
+                        },
+                    });
+                    await parcelsCollection.updateOne({ _id: parcel._id }, { $set: { 'return_charge.open_payment_intent_id': paymentIntent.id } });
+                    return res.json({ clientSecret: paymentIntent.client_secret, amount: parcel.return_charge.amount, amountInCents, currency });
+                }
 
-                if (updateResult.modifiedCount === 0) {
-                    return res.status(404).send({ message: 'Parcel not found or already paid' });
+                if (parcel.payment_status === 'paid') {
+                    return res.status(400).json({ error: "Parcel is already paid." });
+                }
+                if (["cancelled", "returned", "delivered"].includes(parcel.delivery_status)) {
+                    return res.status(409).json({ error: `Parcel is ${parcel.delivery_status}, it can no longer be paid.` });
+                }
+                if (isCashOnDelivery(parcel)) {
+                    return res.status(400).json({ error: "This parcel is paid in cash on delivery." });
                 }
 
-                // 2. Insert payment record
-                const paymentDoc = {
-                    parcelId,
-                    email,
-                    amount,
-                    paymentMethod,
-                    transactionId,
-                    paid_at_string: new Date().toISOString(),
-                    paid_at: new Date(),
-                };
+                // Older parcels were stored without a breakdown, so price them on the fly
+                const pricing = parcel.pricing || (!getPricingError(parcel) && calculateParcelPrice(parcel));
+                if (!pricing || !(pricing.total > 0)) {
+                    return res.status(400).json({ error: "Parcel price could not be determined." });
+                }
 
-                const paymentResult = await paymentsCollection.insertOne(paymentDoc);
+                const amountInCents = toMinorUnits(pricing.total, currency);
+                // Hands out the parcel's open intent again, or cancels it and its batch's before creating one
+                const openIntent = await releaseOpenIntents(stripe, { parcelsCollection, parcelBatchesCollection }, { parcels: [parcel], amountInCents, currency });
+                if (openIntent) {
+                    return res.json({ clientSecret: openIntent.client_secret, amount: pricing.total, amountInCents, currency });
+                }
+                const paymentIntent = await stripe.paymentIntents.create({
+                    amount: amountInCents, // Amount in minor units
+                    currency,
+                    payment_method_types: PAYMENT_METHOD_TYPES,
+                    // Lets the webhook match the payment back to the parcel
+                    metadata: {
+                        parcelId: parcel._id.toString(),
+                        email: parcel.created_by,
+                    },
+                });
+                await parcelsCollection.updateOne({ _id: parcel._id }, { $set: { open_payment_intent_id: paymentIntent.id } });
+                res.json({ clientSecret: paymentIntent.client_secret, amount: pricing.total, amountInCents, currency });
+            } catch (error) {
+                if (sendClientError(res, error)) return;
+                console.error("Error creating payment intent:", error);
+                res.status(500).json({ error: error.message });
+            }
+        });
 
-                res.status(201).send({
-                    message: 'Payment recorded and parcel marked as paid',
-                    insertedId: paymentResult.insertedId,
+        // Stripe: Webhook for payment events
+        // Verifies the signature against the raw body and reconciles payments from Stripe's side
+        app.post('/stripe/webhook', async (req, res) => {
+            const signature = req.headers['stripe-signature'];
+            if (!signature || !req.rawBody) {
+                return res.status(400).send({ message: 'Missing Stripe signature or body' });
+            }
+
+            let event;
+            try {
+                event = stripe.webhooks.constructEvent(req.rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+            } catch (error) {
+                console.error("Stripe webhook signature verification failed:", error.message);
+                return res.status(400).send({ message: 'Webhook signature verification failed' });
+            }
+
+            try {
+                const handled = await handleStripeEvent(event, {
+                    parcelsCollection,
+                    paymentsCollection,
+                    trackingsCollection,
+                    stripeEventsCollection,
+                    parcelBatchesCollection,
+                    stripe,
                 });
+                res.send({ received: true, handled });
+            } catch (error) {
+                console.error(`Error handling Stripe event ${event.id}:`, error);
+                res.status(500).send({ message: 'Failed to process webhook event' }); // Stripe will retry
+            }
+        });
+
+        // --- EXPORT ROUTES ---
+        // Same filters and sorting as the matching list endpoints, ?format=csv (default) or ndjson
 
+        // GET: Export parcels (admin only)
+        app.get('/exports/parcels', verifyAuth, authorize("admin"), validateQuery(schemas.parcelExport), async (req, res) => {
+            try {
+                const query = req.validatedQuery;
+                const cursor = parcelsCollection.find(buildParcelListFilter(query)).sort(buildSort(query, { createdAt: -1 }));
+                await streamExport(res, cursor, { format: query.format, columns: PARCEL_COLUMNS, filename: 'parcels' });
             } catch (error) {
-                console.error('Payment processing failed:', error);
-                res.status(500).send({ message: 'Failed to record payment' });
+                console.error('Error exporting parcels:', error);
+                res.status(500).send({ message: 'Failed to export parcels' });
             }
         });
 
-        // Stripe: Create Payment Intent
-        app.post('/create-payment-intent', async (req, res) => {
-            const { amountInCents } = req.body;
-            if (!amountInCents || amountInCents <= 0) {
-                return res.status(400).json({ error: "Amount in cents is required and must be positive." });
+        // GET: Export payment history, users get their own, admins anyone's (optionally by ?email=)
+        app.get('/exports/payments', verifyAuth, authorize("user"), validateQuery(schemas.paymentExport), async (req, res) => {
+            try {
+                const query = req.validatedQuery;
+                if (req.user.role !== 'admin' && query.email && query.email !== req.user.email) {
+                    return res.status(403).send({ message: 'Forbidden access' });
+                }
+
+                const filter = buildPaymentListFilter(query, { email: req.user.role !== 'admin' ? req.user.email : undefined });
+                const cursor = paymentsCollection.find(filter).sort(buildSort(query, { paid_at: -1 }));
+                await streamExport(res, cursor, { format: query.format, columns: PAYMENT_COLUMNS, filename: 'payments' });
+            } catch (error) {
+                console.error('Error exporting payments:', error);
+                res.status(500).send({ message: 'Failed to export payments' });
+            }
+        });
+
+        // Whose history a rider export covers: riders always their own, admins everyone's or ?rider='s
+        const getExportRider = (req, res) => {
+            const { rider } = req.validatedQuery;
+            if (req.user.role === 'admin') return { riderEmail: rider };
+            if (rider && rider !== req.user.email) {
+                res.status(403).send({ message: 'Forbidden access' });
+                return null;
             }
+            return { riderEmail: req.user.email };
+        };
+
+        // GET: Export completed deliveries, returns and hub legs with their cashout status (rider: own, admin: all)
+        app.get('/exports/rider-deliveries', verifyAuth, authorize("rider", "admin"), validateQuery(schemas.riderDeliveryExport), async (req, res) => {
             try {
-                const paymentIntent = await stripe.paymentIntents.create({
-                    amount: amountInCents, // Amount in cents
-                    currency: 'usd',
-                    payment_method_types: ['card'],
-                });
-                res.json({ clientSecret: paymentIntent.client_secret });
+                const exportRider = getExportRider(req, res);
+                if (!exportRider) return;
+
+                const query = req.validatedQuery;
+                const cursor = parcelsCollection
+                    .find(buildRiderCompletedFilter(exportRider.riderEmail, query))
+                    .sort(buildSort(query, { delivered_at: -1 }));
+                await streamExport(res, cursor, { format: query.format, columns: RIDER_DELIVERY_COLUMNS, filename: 'rider-deliveries' });
             } catch (error) {
-                console.error("Error creating payment intent:", error);
-                res.status(500).json({ error: error.message });
+                console.error('Error exporting rider deliveries:', error);
+                res.status(500).send({ message: 'Failed to export deliveries' });
+            }
+        });
+
+        // GET: Export the earnings ledger, i.e. cashout history (rider: own, admin: all)
+        app.get('/exports/rider-earnings', verifyAuth, authorize("rider", "admin"), validateQuery(schemas.riderEarningExport), async (req, res) => {
+            try {
+                const exportRider = getExportRider(req, res);
+                if (!exportRider) return;
+
+                const query = req.validatedQuery;
+                const filter = combineFilters(
+                    exportRider.riderEmail ? { rider_email: exportRider.riderEmail } : {},
+                    query.status ? { status: query.status } : {},
+                    dateRangeFilter('delivered_at', query.from, query.to),
+                    searchFilter(query.search, ['tracking_id'])
+                );
+                const cursor = earningsCollection.find(filter).sort(buildSort(query, { delivered_at: -1 }));
+                await streamExport(res, cursor, { format: query.format, columns: EARNING_COLUMNS, filename: 'rider-earnings' });
+            } catch (error) {
+                console.error('Error exporting rider earnings:', error);
+                res.status(500).send({ message: 'Failed to export earnings' });
             }
         });
 
@@ -811,7 +2620,11 @@ app.get('/', (req, res) => {
     res.send('Parcel Delivery Server is running');
 });
 
-// Start the server
-app.listen(port, () => {
-    console.log(`Server is listening on port ${port}`);
-});
+// Start the server when run directly; tests and serverless hosts import the app instead
+if (require.main === module) {
+    app.listen(port, () => {
+        console.log(`Server is listening on port ${port}`);
+    });
+}
+
+module.exports = app;
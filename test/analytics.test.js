@@ -0,0 +1,189 @@
+// /admin/analytics pipelines (utils/analytics.js) on a seeded week of parcels, payments and earnings
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { MemoryDb } = require('./helpers/memoryMongo');
+const { loadApp, listen, tokenFor } = require('./helpers/app');
+const analytics = require('../utils/analytics');
+
+const at = (iso) => new Date(iso);
+const day = (date) => date.toISOString().slice(0, 10);
+
+const ids = { p1: new ObjectId(), p2: new ObjectId(), p3: new ObjectId(), p4: new ObjectId(), p5: new ObjectId() };
+
+const route = (sender, receiver) => ({ sender_district: sender, receiver_district: receiver, within_district: sender === receiver });
+
+// Week of Monday 2026-03-02. Rider 1 delivers a Dhaka parcel on time and a Dhaka -> Chittagong parcel late,
+// rider 2 delivers inside Chittagong. P5 is in the trash and never counts.
+const PARCELS = [
+    {
+        _id: ids.p1, created_by: 'alice@example.com', pricing: route('Dhaka', 'Dhaka'), cost: 100, payment_status: 'paid',
+        delivery_status: 'delivered', assigned_rider_email: 'rider1@example.com', assigned_rider_name: 'Rider One',
+        createdAt: at('2026-03-02T08:00:00Z'), assigned_at: at('2026-03-02T09:00:00Z'),
+        picked_at: '2026-03-02T10:00:00.000Z', delivered_at: '2026-03-02T14:00:00.000Z', // Stored as ISO strings
+    },
+    {
+        _id: ids.p2, created_by: 'alice@example.com', pricing: route('Dhaka', 'Chittagong'), cost: 200, payment_status: 'paid',
+        delivery_status: 'delivered', assigned_rider_email: 'rider1@example.com', assigned_rider_name: 'Rider One',
+        createdAt: at('2026-03-02T09:00:00Z'), assigned_at: at('2026-03-02T10:00:00Z'),
+        picked_at: '2026-03-02T12:00:00.000Z', delivered_at: '2026-03-06T10:00:00.000Z',
+    },
+    {
+        _id: ids.p3, created_by: 'bob@example.com', pricing: route('Chittagong', 'Chittagong'), cost: 80, payment_status: 'paid',
+        delivery_status: 'delivered', assigned_rider_email: 'rider2@example.com', assigned_rider_name: 'Rider Two',
+        createdAt: at('2026-03-03T10:00:00Z'), assigned_at: at('2026-03-03T11:00:00Z'),
+        picked_at: '2026-03-03T12:00:00.000Z', delivered_at: '2026-03-03T20:00:00.000Z',
+    },
+    {
+        _id: ids.p4, created_by: 'bob@example.com', pricing: route('Chittagong', 'Chittagong'), cost: 50, payment_status: 'unpaid',
+        delivery_status: 'pending', createdAt: at('2026-03-04T10:00:00Z'),
+    },
+    {
+        _id: ids.p5, created_by: 'carol@example.com', pricing: route('Dhaka', 'Dhaka'), cost: 60, payment_status: 'paid',
+        delivery_status: 'pending', createdAt: at('2026-03-04T11:00:00Z'), deleted_at: at('2026-03-05T00:00:00Z'),
+    },
+];
+
+const PAYMENTS = [
+    { parcelId: ids.p1.toString(), type: 'payment', status: 'succeeded', amount: 100, paid_at: at('2026-03-02T08:30:00Z') },
+    { parcelId: ids.p2.toString(), type: 'payment', status: 'succeeded', amount: 200, paid_at: at('2026-03-02T09:30:00Z') },
+    { parcelId: ids.p3.toString(), type: 'payment', status: 'succeeded', amount: 80, paid_at: at('2026-03-03T10:30:00Z') },
+    { parcelId: ids.p4.toString(), type: 'payment', status: 'failed', amount: 50, failed_at: at('2026-03-04T10:30:00Z') },
+    { parcelId: ids.p2.toString(), type: 'refund', status: 'succeeded', amount: 50, refunded_at: at('2026-03-10T12:00:00Z') },
+];
+
+const EARNINGS = [
+    { parcel_id: ids.p1.toString(), rider_email: 'rider1@example.com', amount: 80, status: 'paid', delivered_at: at('2026-03-02T14:00:00Z') },
+    { parcel_id: ids.p2.toString(), rider_email: 'rider1@example.com', amount: 60, status: 'pending', delivered_at: at('2026-03-06T10:00:00Z') },
+    { parcel_id: ids.p3.toString(), rider_email: 'rider2@example.com', amount: 64, status: 'pending', delivered_at: at('2026-03-03T20:00:00Z') },
+];
+
+const seed = async (db) => {
+    await db.reset();
+    await db.collection('parcels').insertMany(PARCELS.map((parcel) => ({ ...parcel })));
+    await db.collection('payments').insertMany(PAYMENTS.map((payment) => ({ ...payment })));
+    await db.collection('earnings').insertMany(EARNINGS.map((earning) => ({ ...earning })));
+};
+
+describe('analytics pipelines', () => {
+    const db = new MemoryDb();
+    const run = (collection, pipeline) => db.collection(collection).aggregate(pipeline).toArray();
+
+    before(() => seed(db));
+
+    it('buckets revenue per day, net of refunds, leaving failed payments out', async () => {
+        const rows = await run('payments', analytics.revenuePipeline({ interval: 'day' }));
+        assert.deepEqual(rows.map((row) => [day(row.period), row.gross, row.refunds, row.net, row.payments]), [
+            ['2026-03-02', 300, 0, 300, 2],
+            ['2026-03-03', 80, 0, 80, 1],
+            ['2026-03-10', 0, 50, -50, 0],
+        ]);
+    });
+
+    it('buckets revenue per week starting on Monday', async () => {
+        const rows = await run('payments', analytics.revenuePipeline({ interval: 'week' }));
+        assert.deepEqual(rows.map((row) => [day(row.period), row.net]), [['2026-03-02', 380], ['2026-03-09', -50]]);
+    });
+
+    it('limits revenue to a date range and to parcels sent from or to a district', async () => {
+        const ranged = await run('payments', analytics.revenuePipeline({ from: at('2026-03-03T00:00:00Z'), to: at('2026-03-05T00:00:00Z') }));
+        assert.deepEqual(ranged.map((row) => [day(row.period), row.gross]), [['2026-03-03', 80]]);
+
+        const chittagong = await run('payments', analytics.revenuePipeline({ district: 'chittagong' }));
+        assert.deepEqual(chittagong.map((row) => [day(row.period), row.net]), [['2026-03-02', 200], ['2026-03-03', 80], ['2026-03-10', -50]]);
+    });
+
+    it('counts parcels created and delivered per day', async () => {
+        const result = await run('parcels', analytics.createdVsDeliveredPipeline({}));
+        const rows = analytics.mergeCreatedVsDelivered(result);
+        assert.deepEqual(rows.map((row) => [day(row.date), row.created, row.delivered]), [
+            ['2026-03-02', 2, 1],
+            ['2026-03-03', 1, 1],
+            ['2026-03-04', 1, 0],
+            ['2026-03-06', 0, 1],
+        ]);
+    });
+
+    it('averages the hours between assignment, pickup and delivery', async () => {
+        const [result] = await run('parcels', analytics.deliveryTimesPipeline({}));
+        assert.deepEqual(result, {
+            deliveries: 3,
+            avg_hours: {
+                assigned_to_picked: 1.33,
+                picked_to_delivered: 35.33,
+                assigned_to_delivered: 36.67,
+                created_to_delivered: 37.67,
+            },
+        });
+
+        const [dhaka] = await run('parcels', analytics.deliveryTimesPipeline({ district: 'Dhaka', to: at('2026-03-05T00:00:00Z') }));
+        assert.equal(dhaka.deliveries, 1);
+        assert.equal(dhaka.avg_hours.assigned_to_delivered, 5);
+    });
+
+    it('sums volume per sender district', async () => {
+        const rows = await run('parcels', analytics.districtVolumePipeline({}));
+        const byDistrict = Object.fromEntries(rows.map(({ district, ...row }) => [district, row]));
+        assert.deepEqual(byDistrict, {
+            Dhaka: { parcels: 2, delivered: 2, total_cost: 300 },
+            Chittagong: { parcels: 2, delivered: 1, total_cost: 130 },
+        });
+    });
+
+    it('ranks senders by parcels and paid value', async () => {
+        const rows = await run('parcels', analytics.topSendersPipeline({ limit: 10 }));
+        assert.deepEqual(rows.map((row) => [row.email, row.parcels, row.total_paid]), [
+            ['alice@example.com', 2, 300],
+            ['bob@example.com', 2, 80],
+        ]);
+        assert.equal((await run('parcels', analytics.topSendersPipeline({ limit: 1 }))).length, 1);
+    });
+
+    it('rates riders against the delivery SLA and adds their earnings', async () => {
+        const performance = await run('parcels', analytics.riderPerformancePipeline({}));
+        const earnings = await run('earnings', analytics.riderEarningsPipeline({}));
+        const rows = analytics.mergeRiderEarnings(performance, earnings);
+        assert.deepEqual(rows.map((row) => [row.rider_email, row.deliveries, row.on_time, row.on_time_rate, row.earned, row.paid_out]), [
+            ['rider1@example.com', 2, 1, 0.5, 140, 80],
+            ['rider2@example.com', 1, 1, 1, 64, 0],
+        ]);
+    });
+
+    it('scopes rider earnings to the district filter like the deliveries', async () => {
+        const query = { district: 'Chittagong' };
+        const performance = await run('parcels', analytics.riderPerformancePipeline(query));
+        const earnings = await run('earnings', analytics.riderEarningsPipeline(query));
+        const rows = analytics.mergeRiderEarnings(performance, earnings);
+        const byRider = Object.fromEntries(rows.map((row) => [row.rider_email, [row.deliveries, row.earned, row.paid_out]]));
+        assert.deepEqual(byRider, {
+            'rider1@example.com': [1, 60, 0], // Only the Dhaka -> Chittagong delivery
+            'rider2@example.com': [1, 64, 0],
+        });
+    });
+});
+
+describe('GET /admin/analytics/riders', () => {
+    const { app, db } = loadApp();
+    let server;
+
+    before(async () => {
+        server = await listen(app);
+        await seed(db);
+        await db.collection('users').insertOne({ email: 'admin@example.com', role: 'admin' });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('applies the district filter to earnings', async () => {
+        const response = await fetch(`${server.baseUrl}/admin/analytics/riders?district=Chittagong`, {
+            headers: { authorization: `Bearer ${tokenFor('admin@example.com')}` },
+        });
+        assert.equal(response.status, 200);
+        const rows = await response.json();
+        const byRider = Object.fromEntries(rows.map((row) => [row.rider_email, [row.deliveries, row.earned]]));
+        assert.deepEqual(byRider, { 'rider1@example.com': [1, 60], 'rider2@example.com': [1, 64] });
+    });
+});
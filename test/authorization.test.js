@@ -0,0 +1,292 @@
+// Every route against every role: callers outside a route's rules get 401/403, callers inside them get past
+// authorization (whatever the route then answers). Each request runs against freshly seeded data.
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { loadApp, listen, tokenFor } = require('./helpers/app');
+
+const { app, db } = loadApp();
+
+const USERS = {
+    owner: { email: 'owner@example.com', role: 'user' },
+    otherUser: { email: 'other@example.com', role: 'user' },
+    rider: { email: 'rider@example.com', role: 'rider' },
+    otherRider: { email: 'other-rider@example.com', role: 'rider' },
+    admin: { email: 'admin@example.com', role: 'admin' },
+    deleted: { email: 'deleted@example.com', role: 'user', deleted_at: new Date('2026-01-01T00:00:00Z') }, // Token still verifies
+};
+const ROLES = ['anonymous', ...Object.keys(USERS)];
+const AUTHENTICATED = Object.keys(USERS).filter((role) => role !== 'deleted');
+const RIDERS = ['rider', 'otherRider'];
+const PARCEL_PARTIES = ['owner', 'rider', 'admin'];
+
+const ids = {
+    parcel: new ObjectId(),
+    payment: new ObjectId(),
+    batch: new ObjectId(),
+};
+const TRACKING_ID = 'TRK-TEST-0001';
+
+const seed = async () => {
+    await db.reset();
+    await db.collection('users').insertMany(Object.values(USERS).map((user) => ({ ...user })));
+    await db.collection('riders').insertMany(RIDERS.map((role) => ({
+        email: USERS[role].email,
+        name: role,
+        status: 'active',
+        district: 'Dhaka',
+        work_status: 'available',
+    })));
+    await db.collection('parcels').insertOne({
+        _id: ids.parcel,
+        tracking_id: TRACKING_ID,
+        created_by: USERS.owner.email,
+        type: 'document',
+        sender_center: 'Dhaka',
+        receiver_center: 'Dhaka',
+        cost: 60,
+        currency: 'usd',
+        payment_status: 'paid',
+        delivery_status: 'in_transit',
+        assigned_rider_email: USERS.rider.email,
+        createdAt: new Date(),
+    });
+    await db.collection('payments').insertOne({
+        _id: ids.payment,
+        parcelId: ids.parcel.toString(),
+        email: USERS.owner.email,
+        amount: 60,
+        currency: 'usd',
+        type: 'payment',
+        status: 'succeeded',
+        transactionId: 'pi_test',
+        paid_at: new Date(),
+    });
+    await db.collection('parcel_batches').insertOne({
+        _id: ids.batch,
+        created_by: USERS.owner.email,
+        count: 0,
+        total: 0,
+        payment_status: 'unpaid',
+        created_at: new Date(),
+    });
+};
+
+// Route -> roles that pass authorization. `public` routes take no credentials; `null` marks routes that
+// authenticate some other way (session cookies, Stripe signatures) and are left out of the role matrix.
+const ROUTES = {
+    'GET /': 'public',
+    'POST /login': null,
+    'POST /auth/refresh': null,
+    'POST /logout': null,
+    'POST /stripe/webhook': null,
+
+    'GET /users': { allowed: ['owner', 'admin'], query: `?email=${USERS.owner.email}` },
+    'GET /users/:email': ['owner', 'admin'],
+    'POST /users': AUTHENTICATED,
+    'GET /users/role/:email': ['owner', 'admin'],
+    'GET /users/:email/notifications': ['owner', 'admin'],
+    'PATCH /users/:email/notifications': ['owner', 'admin'],
+    'PATCH /users/make-admin/:email': ['admin'],
+    'PATCH /users/:id/role': ['admin'],
+    'DELETE /users/:id': ['admin'],
+
+    'GET /parcels': AUTHENTICATED,
+    'GET /parcels/:id': PARCEL_PARTIES,
+    'GET /parcels/delivery/status-count': ['admin'],
+    'GET /rider/parcels/me': RIDERS,
+    'GET /rider/parcels': RIDERS,
+    'GET /rider/completed-parcels': RIDERS,
+    'POST /parcels/quote': 'public',
+    'POST /parcels': AUTHENTICATED,
+    'POST /parcels/bulk': AUTHENTICATED,
+    'GET /parcels/batches/:id': { allowed: ['owner', 'admin'], id: 'batch' },
+    'POST /parcels/batches/:id/payment-intent': { allowed: ['owner'], id: 'batch' },
+    'PATCH /parcels/:id/assign': ['admin'],
+    'POST /parcels/:id/auto-assign': ['admin'],
+    'POST /parcels/auto-assign': ['admin'],
+    'POST /parcels/:id/route': ['admin'],
+    'PATCH /parcels/:id/status': PARCEL_PARTIES,
+    'PUT /parcels/:id/proof/:kind': ['rider'],
+    'GET /parcels/:id/proof': PARCEL_PARTIES,
+    'GET /parcels/:id/proof/:kind': PARCEL_PARTIES,
+    'GET /parcels/:id/label': PARCEL_PARTIES,
+    'POST /parcels/:id/delivery-code': ['owner', 'admin'],
+    'PATCH /parcels/:id/cashout': ['rider'],
+    'POST /parcels/:id/cancel': ['owner'],
+    'POST /parcels/:id/refund': ['admin'],
+    'DELETE /parcels/:id': ['admin'],
+
+    'GET /trackings/:trackingId': 'public',
+    'GET /trackings/:trackingId/stream': 'public',
+    'POST /trackings': ['admin', ...RIDERS],
+
+    'GET /admin/events': ['admin'],
+    'GET /admin/audit': ['admin'],
+    'GET /admin/notifications': ['admin'],
+    'POST /admin/notifications/process': ['admin'],
+    'PATCH /admin/notifications/:id/retry': ['admin'],
+    'GET /admin/trash/:entity': ['admin'],
+    'POST /admin/trash/:entity/:id/restore': ['admin'],
+    'POST /admin/trash/purge': ['admin'],
+    'GET /admin/analytics/revenue': ['admin'],
+    'GET /admin/analytics/parcels': ['admin'],
+    'GET /admin/analytics/delivery-times': ['admin'],
+    'GET /admin/analytics/districts': ['admin'],
+    'GET /admin/analytics/top-senders': ['admin'],
+    'GET /admin/analytics/riders': ['admin'],
+    'POST /admin/payouts': ['admin'],
+    'GET /admin/payouts': ['admin'],
+    'GET /admin/payouts/:id': ['admin'],
+    'PATCH /admin/payouts/:id/approve': ['admin'],
+    'PATCH /admin/payouts/:id/paid': ['admin'],
+    'GET /admin/cash-collections': ['admin'],
+    'POST /admin/cash-settlements': ['admin'],
+
+    'GET /service-centers': 'public',
+    'GET /service-centers/:id': 'public',
+    'POST /service-centers': ['admin'],
+    'PATCH /service-centers/:id': ['admin'],
+    'DELETE /service-centers/:id': ['admin'],
+
+    'GET /riders': ['admin'],
+    'POST /riders': AUTHENTICATED,
+    'GET /riders/me': AUTHENTICATED,
+    'PATCH /riders/me': AUTHENTICATED,
+    'GET /riders/pending': ['admin'],
+    'GET /riders/active': ['admin'],
+    'GET /riders/available': ['admin'],
+    'GET /riders/nearby': ['admin'],
+    'GET /rider/earnings': RIDERS,
+    'PATCH /rider/shift': RIDERS,
+    'POST /rider/location': RIDERS,
+    'PATCH /riders/:id/status': ['admin'],
+    'DELETE /riders/:id': ['admin'],
+
+    'GET /payments': AUTHENTICATED,
+    'POST /payments': { allowed: ['owner'], body: { parcelId: ids.parcel.toString() } },
+    'GET /payments/:id/invoice': { allowed: PARCEL_PARTIES, id: 'payment' },
+    'POST /create-payment-intent': { allowed: ['owner'], body: { parcelId: ids.parcel.toString() } },
+
+    'GET /exports/parcels': ['admin'],
+    'GET /exports/payments': AUTHENTICATED,
+    'GET /exports/rider-deliveries': ['admin', ...RIDERS],
+    'GET /exports/rider-earnings': ['admin', ...RIDERS],
+};
+
+const normalize = (spec) => {
+    if (spec === 'public') return { allowed: ROLES };
+    return Array.isArray(spec) ? { allowed: spec } : spec;
+};
+
+// Routes registered on the app, as "METHOD /path"
+const registeredRoutes = () => app.router.stack
+    .filter((layer) => layer.route)
+    .flatMap((layer) => Object.keys(layer.route.methods).map((method) => `${method.toUpperCase()} ${layer.route.path}`));
+
+const buildPath = (path, spec) => path
+    .replace(':email', USERS.owner.email)
+    .replace(':trackingId', TRACKING_ID)
+    .replace(':kind', 'photo')
+    .replace(':entity', 'parcels')
+    .replace(':id', ids[spec.id || 'parcel'].toString());
+
+let server;
+
+before(async () => {
+    server = await listen(app);
+});
+
+after(async () => {
+    await server.close();
+});
+
+const request = async (route, spec, role) => {
+    const [method, path] = route.split(' ');
+    const headers = { 'content-type': 'application/json' };
+    if (role !== 'anonymous') headers.authorization = `Bearer ${tokenFor(USERS[role].email)}`;
+
+    // Event streams never end, the status line is all that is needed
+    const controller = new AbortController();
+    const response = await fetch(`${server.baseUrl}${buildPath(path, spec)}${spec.query || ''}`, {
+        method,
+        headers,
+        body: method === 'GET' ? undefined : JSON.stringify(spec.body || {}),
+        signal: controller.signal,
+    });
+    if (response.headers.get('content-type')?.startsWith('text/event-stream')) controller.abort();
+    else await response.arrayBuffer();
+    return response.status;
+};
+
+describe('authorization', () => {
+    it('declares access for every registered route', () => {
+        const routes = registeredRoutes();
+        assert.deepEqual(routes.filter((route) => !(route in ROUTES)), [], 'routes missing from ROUTES');
+        assert.deepEqual(Object.keys(ROUTES).filter((route) => !routes.includes(route)), [], 'ROUTES entries with no route');
+    });
+
+    for (const [route, rawSpec] of Object.entries(ROUTES)) {
+        if (!rawSpec) continue;
+        const spec = normalize(rawSpec);
+
+        describe(route, () => {
+            for (const role of ROLES) {
+                const allowed = spec.allowed.includes(role);
+                it(`${allowed ? 'lets in' : 'turns away'} ${role}`, async () => {
+                    await seed();
+                    const status = await request(route, spec, role);
+                    if (allowed) {
+                        assert.ok(![401, 403].includes(status), `expected ${role} to pass authorization, got ${status}`);
+                    } else {
+                        assert.equal(status, role === 'anonymous' ? 401 : 403);
+                    }
+                });
+            }
+        });
+    }
+});
+
+describe('response scoping', () => {
+    beforeEach(seed);
+
+    const getJson = async (path, role) => {
+        const response = await fetch(`${server.baseUrl}${path}`, {
+            headers: { authorization: `Bearer ${tokenFor(USERS[role].email)}` },
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    it('lists only the caller\'s own parcels, whatever the query asks for', async () => {
+        const own = await getJson('/parcels', 'owner');
+        assert.equal(own.status, 200);
+        assert.deepEqual(own.body.data.map((parcel) => parcel._id), [ids.parcel.toString()]);
+
+        const other = await getJson(`/parcels?email=${USERS.owner.email}`, 'otherUser');
+        assert.equal(other.status, 200);
+        assert.deepEqual(other.body.data, []);
+    });
+
+    it('lists only the caller\'s own payments', async () => {
+        assert.equal((await getJson('/payments', 'owner')).body.data.length, 1);
+        assert.deepEqual((await getJson('/payments', 'otherUser')).body.data, []);
+    });
+
+    it('lists every parcel for admins', async () => {
+        await db.collection('parcels').insertOne({ created_by: USERS.otherUser.email, delivery_status: 'pending', createdAt: new Date() });
+        assert.equal((await getJson('/parcels', 'admin')).body.data.length, 2);
+    });
+
+    it('only shows riders the parcels assigned to them', async () => {
+        const assigned = await getJson('/rider/parcels', 'rider');
+        assert.equal(assigned.status, 200);
+        assert.deepEqual(assigned.body.data.map((parcel) => parcel._id), [ids.parcel.toString()]);
+        assert.deepEqual((await getJson('/rider/parcels', 'otherRider')).body.data, []);
+    });
+
+    it('does not show a deleted user\'s notification preferences', async () => {
+        const { status } = await getJson(`/users/${USERS.deleted.email}/notifications`, 'admin');
+        assert.equal(status, 404);
+    });
+});
@@ -0,0 +1,74 @@
+// Cash on delivery held by riders (utils/cashOnDelivery.js), collected and settled per currency
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { MemoryDb } = require('./helpers/memoryMongo');
+const { getHeldCash, formatHeldCash, settleRiderCash } = require('../utils/cashOnDelivery');
+
+const RIDER = 'rider@example.com';
+const ADMIN = 'admin@example.com';
+
+describe('cash on delivery', () => {
+    let db;
+    let collections;
+    let parcels;
+
+    const heldParcel = (amount, amountMinor, currency) => ({
+        _id: new ObjectId(),
+        payment_method: 'cash_on_delivery',
+        payment_status: 'paid',
+        cash_collection: {
+            amount,
+            amount_minor: amountMinor,
+            currency,
+            collected_by: { email: RIDER },
+            collected_at: new Date(),
+            status: 'held',
+            settlement_id: null,
+            settled_at: null,
+        },
+    });
+
+    const settle = (input) => settleRiderCash(collections, { riderEmail: RIDER, receivedBy: ADMIN, ...input });
+
+    beforeEach(async () => {
+        db = new MemoryDb();
+        collections = { parcelsCollection: db.collection('parcels'), cashSettlementsCollection: db.collection('cash_settlements') };
+        parcels = [heldParcel(12.5, 1250, 'usd'), heldParcel(7.5, 750, 'usd'), heldParcel(300, 300, 'jpy')];
+        await collections.parcelsCollection.insertMany(parcels);
+    });
+
+    it('totals the held cash per currency', async () => {
+        const held = await getHeldCash(collections.parcelsCollection, RIDER);
+
+        assert.deepEqual(held, {
+            count: 3,
+            totals: [
+                { currency: 'jpy', count: 1, total: 300, total_minor: 300 },
+                { currency: 'usd', count: 2, total: 20, total_minor: 2000 },
+            ],
+        });
+        assert.equal(formatHeldCash(held), '300 JPY and 20.00 USD');
+        assert.deepEqual(await getHeldCash(collections.parcelsCollection, 'other@example.com'), { count: 0, totals: [] });
+    });
+
+    it('refuses to settle cash collected in several currencies at once', async () => {
+        await assert.rejects(settle({ amountReceived: 320 }), { status: 400, message: /settle each currency separately/ });
+        assert.equal(await collections.parcelsCollection.countDocuments({ 'cash_collection.status': 'held' }), 3);
+    });
+
+    it('settles one currency at a time, in that currency', async () => {
+        const usdIds = parcels.slice(0, 2).map((parcel) => parcel._id.toString());
+        await assert.rejects(settle({ parcelIds: usdIds, amountReceived: 2000 }), { status: 400, message: /holds 20\.00 USD/ });
+
+        const settlement = await settle({ parcelIds: usdIds, amountReceived: 20 });
+        assert.equal(settlement.currency, 'usd');
+        assert.equal(settlement.total_minor, 2000);
+
+        const yen = await settle({ amountReceived: 300 });
+        assert.equal(yen.currency, 'jpy');
+        assert.equal(yen.total, 300);
+        assert.equal((await getHeldCash(collections.parcelsCollection, RIDER)).count, 0);
+    });
+});
@@ -0,0 +1,247 @@
+// Rider earnings (utils/earnings.js): one ledger entry per completed leg of a hub route, cashed out leg by leg
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { loadApp, listen, tokenFor } = require('./helpers/app');
+const { MemoryDb } = require('./helpers/memoryMongo');
+const { createPayoutBatches } = require('../utils/earnings');
+
+const { app, db } = loadApp();
+
+const ADMIN = 'admin@example.com';
+const RIDERS = {
+    firstMile: { _id: new ObjectId(), email: 'first@example.com', name: 'First Mile' },
+    lineHaul: { _id: new ObjectId(), email: 'haul@example.com', name: 'Line Haul' },
+    lastMile: { _id: new ObjectId(), email: 'last@example.com', name: 'Last Mile' },
+    bystander: { _id: new ObjectId(), email: 'bystander@example.com', name: 'Bystander' },
+};
+
+const hub = (name, district) => ({ center_id: new ObjectId().toString(), name, district, region: district });
+const DHAKA_HUB = hub('Dhaka Hub', 'Dhaka');
+const SYLHET_HUB = hub('Sylhet Hub', 'Sylhet');
+
+const leg = (index, type, from, to) => ({
+    index,
+    type,
+    from,
+    to,
+    status: 'pending',
+    rider_id: null,
+    rider_email: null,
+    rider_name: null,
+    assigned_at: null,
+    picked_at: null,
+    completed_at: null,
+});
+
+describe('earnings on hub routes', () => {
+    let server;
+    let parcelId;
+
+    const call = async (method, path, email, body) => {
+        const response = await fetch(`${server.baseUrl}${path}`, {
+            method,
+            headers: { 'content-type': 'application/json', authorization: `Bearer ${tokenFor(email)}` },
+            body: body && JSON.stringify(body),
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    const assign = async (rider) => {
+        const { status } = await call('PATCH', `/parcels/${parcelId}/assign`, ADMIN, { riderId: rider._id.toString() });
+        assert.equal(status, 200);
+    };
+
+    const move = async (email, body) => {
+        const response = await call('PATCH', `/parcels/${parcelId}/status`, email, body);
+        assert.equal(response.status, 200, response.body.message);
+    };
+
+    // Rider picks the parcel up and checks it in at the end of their leg
+    const rideLeg = async (rider) => {
+        await assign(rider);
+        await move(rider.email, { status: 'in_transit' });
+        await move(rider.email, { status: 'at_hub' });
+    };
+
+    const getEarnings = () => db.collection('earnings').find({ parcel_id: parcelId.toString() }).sort({ leg_index: 1 }).toArray();
+    const getParcel = () => db.collection('parcels').findOne({ _id: parcelId });
+
+    before(async () => {
+        server = await listen(app);
+    });
+
+    beforeEach(async () => {
+        await db.reset();
+        parcelId = new ObjectId();
+        await db.collection('users').insertMany([
+            { email: ADMIN, role: 'admin' },
+            ...Object.values(RIDERS).map((rider) => ({ email: rider.email, role: 'rider' })),
+        ]);
+        await db.collection('riders').insertMany(Object.values(RIDERS).map((rider) => ({
+            ...rider,
+            status: 'active',
+            work_status: 'available',
+            district: 'Dhaka',
+        })));
+        await db.collection('parcels').insertOne({
+            _id: parcelId,
+            tracking_id: 'TRK-ROUTE-1',
+            created_by: 'sender@example.com',
+            receiver_name: 'Karim',
+            pricing: { sender_district: 'Dhaka', receiver_district: 'Sylhet', within_district: false },
+            cost: 33.34, // 30% commission is 10.00, three legs of 3.33
+            currency: 'usd',
+            payment_status: 'paid',
+            delivery_status: 'pending',
+            route: {
+                origin_center_id: DHAKA_HUB.center_id,
+                destination_center_id: SYLHET_HUB.center_id,
+                legs: [
+                    leg(0, 'first_mile', { address: 'Gulshan 1', district: 'Dhaka' }, DHAKA_HUB),
+                    leg(1, 'line_haul', DHAKA_HUB, SYLHET_HUB),
+                    leg(2, 'last_mile', SYLHET_HUB, { address: 'Zindabazar', district: 'Sylhet' }),
+                ],
+                current_leg: 0,
+                planned_at: new Date(),
+            },
+            createdAt: new Date(),
+        });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('records an earning for every completed leg, for that leg\'s rider', async () => {
+        await rideLeg(RIDERS.firstMile);
+        let earnings = await getEarnings();
+        assert.deepEqual(earnings.map((earning) => [earning.leg_index, earning.leg_type, earning.rider_email, earning.amount]), [
+            [0, 'first_mile', RIDERS.firstMile.email, 3.33],
+        ]);
+
+        await rideLeg(RIDERS.lineHaul);
+        await assign(RIDERS.lastMile);
+        await move(RIDERS.lastMile.email, { status: 'in_transit' });
+        await move(ADMIN, { status: 'delivered', note: 'Receiver confirmed by phone' });
+
+        earnings = await getEarnings();
+        assert.deepEqual(earnings.map((earning) => [earning.leg_index, earning.rider_email, earning.amount, earning.status]), [
+            [0, RIDERS.firstMile.email, 3.33, 'pending'],
+            [1, RIDERS.lineHaul.email, 3.33, 'pending'],
+            [2, RIDERS.lastMile.email, 3.34, 'pending'], // Takes the rounding remainder
+        ]);
+    });
+
+    it('pays the rest of the commission to the leg that drops the parcel at the destination hub', async () => {
+        await rideLeg(RIDERS.firstMile);
+        await assign(RIDERS.lineHaul);
+        await move(RIDERS.lineHaul.email, { status: 'in_transit' });
+        await move(ADMIN, { status: 'service_center_delivered', note: 'Left at the Sylhet hub for pickup' });
+
+        const earnings = await getEarnings();
+        assert.deepEqual(earnings.map((earning) => [earning.leg_index, earning.amount]), [[0, 3.33], [1, 6.67]]);
+    });
+
+    it('lets each leg\'s rider cash out their own legs only', async () => {
+        await rideLeg(RIDERS.firstMile);
+
+        // Before the parcel is delivered, the first-mile rider is no longer assigned to it
+        let response = await call('PATCH', `/parcels/${parcelId}/cashout`, RIDERS.firstMile.email);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.amount, 3.33);
+        let parcel = await getParcel();
+        assert.equal(parcel.route.legs[0].cashout_status, 'requested');
+        assert.equal(parcel.cashout_status, undefined);
+
+        response = await call('PATCH', `/parcels/${parcelId}/cashout`, RIDERS.firstMile.email);
+        assert.equal(response.status, 400);
+        assert.match(response.body.message, /already been requested/);
+
+        assert.equal((await call('PATCH', `/parcels/${parcelId}/cashout`, RIDERS.bystander.email)).status, 403);
+
+        await rideLeg(RIDERS.lineHaul);
+        await assign(RIDERS.lastMile);
+        await move(RIDERS.lastMile.email, { status: 'in_transit' });
+
+        // Assigned but the leg isn't done yet
+        response = await call('PATCH', `/parcels/${parcelId}/cashout`, RIDERS.lastMile.email);
+        assert.equal(response.status, 400);
+
+        await move(ADMIN, { status: 'delivered', note: 'Receiver confirmed by phone' });
+        response = await call('PATCH', `/parcels/${parcelId}/cashout`, RIDERS.lastMile.email);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.amount, 3.34);
+        response = await call('PATCH', `/parcels/${parcelId}/cashout`, RIDERS.lineHaul.email);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.amount, 3.33);
+
+        const earnings = await getEarnings();
+        assert.ok(earnings.every((earning) => earning.status === 'requested'));
+        parcel = await getParcel();
+        assert.deepEqual(parcel.route.legs.map((routeLeg) => routeLeg.cashout_status), ['requested', 'requested', 'requested']);
+    });
+
+    it('keeps one earning and a parcel-wide cashout for parcels without a route', async () => {
+        await db.collection('parcels').updateOne({ _id: parcelId }, {
+            $set: { pricing: { sender_district: 'Dhaka', receiver_district: 'Dhaka', within_district: true } },
+            $unset: { route: '' },
+        });
+        await assign(RIDERS.lastMile);
+        await move(RIDERS.lastMile.email, { status: 'in_transit' });
+        await move(ADMIN, { status: 'delivered', note: 'Receiver confirmed by phone' });
+
+        const response = await call('PATCH', `/parcels/${parcelId}/cashout`, RIDERS.lastMile.email);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.amount, 26.67);
+        const earnings = await getEarnings();
+        assert.deepEqual(earnings.map((earning) => [earning.leg_index, earning.rider_email, earning.status]), [[null, RIDERS.lastMile.email, 'requested']]);
+        assert.equal((await getParcel()).cashout_status, 'requested');
+    });
+
+    it('marks only the paid riders\' legs as cashed out', async () => {
+        await rideLeg(RIDERS.firstMile);
+        await rideLeg(RIDERS.lineHaul);
+        await call('PATCH', `/parcels/${parcelId}/cashout`, RIDERS.firstMile.email);
+        await call('PATCH', `/parcels/${parcelId}/cashout`, RIDERS.lineHaul.email);
+
+        const created = await call('POST', '/admin/payouts', ADMIN, { riderEmail: RIDERS.firstMile.email });
+        assert.equal(created.status, 201);
+        const [batch] = created.body.batches;
+        assert.equal(batch.total, 3.33);
+        assert.equal((await call('PATCH', `/admin/payouts/${batch._id}/approve`, ADMIN)).status, 200);
+        assert.equal((await call('PATCH', `/admin/payouts/${batch._id}/paid`, ADMIN, { reference: 'TX-1' })).status, 200);
+
+        const parcel = await getParcel();
+        assert.deepEqual(parcel.route.legs.map((routeLeg) => routeLeg.cashout_status), ['cashed_out', 'requested', undefined]);
+        assert.equal(parcel.cashout_status, undefined);
+        const earnings = await getEarnings();
+        assert.deepEqual(earnings.map((earning) => earning.status), ['paid', 'requested']);
+    });
+});
+
+describe('payout batches', () => {
+    it('creates no batch when every requested earning changes before it is claimed', async () => {
+        const memory = new MemoryDb();
+        const earnings = memory.collection('earnings');
+        const payoutBatchesCollection = memory.collection('payout_batches');
+        await earnings.insertMany([
+            { parcel_id: 'p1', rider_email: RIDERS.lastMile.email, amount: 5, status: 'requested' },
+            { parcel_id: 'p2', rider_email: RIDERS.lastMile.email, amount: 7, status: 'requested' },
+        ]);
+        // The rider's requests are withdrawn (e.g. by a concurrent payout run) right after they were grouped
+        const earningsCollection = Object.create(earnings);
+        earningsCollection.aggregate = (pipeline) => ({
+            toArray: async () => {
+                const groups = await earnings.aggregate(pipeline).toArray();
+                await earnings.updateMany({}, { $set: { status: 'pending' } });
+                return groups;
+            },
+        });
+
+        const batches = await createPayoutBatches({ earningsCollection, payoutBatchesCollection }, { createdBy: ADMIN });
+        assert.deepEqual(batches, []);
+        assert.equal(await payoutBatchesCollection.countDocuments({}), 0);
+    });
+});
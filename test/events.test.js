@@ -0,0 +1,164 @@
+// Parcel event fan-out (utils/events.js) and its delivery to SSE clients (utils/sse.js)
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { loadApp, listen, tokenFor } = require('./helpers/app');
+const { openStream } = require('./helpers/sse');
+const { MemoryDb } = require('./helpers/memoryMongo');
+const {
+    createMemoryBackend,
+    createMongoChangeStreamBackend,
+    setEventBackend,
+    publishParcelEvent,
+    subscribeParcelEvents,
+} = require('../utils/events');
+const { recordTrackingEvent } = require('../utils/tracking');
+
+const { app, db } = loadApp();
+
+const ADMIN = 'admin@example.com';
+const RIDER = 'rider@example.com';
+
+const fixtureEntry = (trackingId, status) => ({
+    _id: new ObjectId(),
+    tracking_id: trackingId,
+    parcel_id: new ObjectId().toString(),
+    status,
+    delivery_status: status,
+    message: `Parcel ${status}`,
+    timestamp: new Date(),
+});
+
+describe('event fan-out', () => {
+    after(() => setEventBackend(createMemoryBackend()));
+
+    it('delivers published events to every matching subscriber until it unsubscribes', () => {
+        setEventBackend(createMemoryBackend());
+        const all = [];
+        const delivered = [];
+        const unsubscribeAll = subscribeParcelEvents(null, (entry) => all.push(entry.status));
+        const unsubscribeDelivered = subscribeParcelEvents((entry) => entry.status === 'delivered', (entry) => delivered.push(entry.tracking_id));
+
+        publishParcelEvent(fixtureEntry('TRK-1', 'in_transit'));
+        publishParcelEvent(fixtureEntry('TRK-1', 'delivered'));
+        unsubscribeDelivered();
+        publishParcelEvent(fixtureEntry('TRK-2', 'delivered'));
+        unsubscribeAll();
+        publishParcelEvent(fixtureEntry('TRK-3', 'paid'));
+
+        assert.deepEqual(all, ['in_transit', 'delivered', 'delivered']);
+        assert.deepEqual(delivered, ['TRK-1']);
+    });
+
+    it('never lets a failing subscriber break the publisher', () => {
+        setEventBackend(createMemoryBackend());
+        subscribeParcelEvents(null, () => { throw new Error('broken listener'); });
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            assert.doesNotThrow(() => publishParcelEvent(fixtureEntry('TRK-1', 'paid')));
+        } finally {
+            console.error = originalError;
+        }
+    });
+
+    it('picks up inserted tracking entries from a change stream with the mongo backend', async () => {
+        const trackings = new MemoryDb().collection('trackings');
+        setEventBackend(createMongoChangeStreamBackend(trackings));
+        const received = [];
+        const unsubscribe = subscribeParcelEvents((entry) => entry.tracking_id === 'TRK-1', (entry) => received.push(entry.status));
+
+        const parcel = { _id: new ObjectId(), tracking_id: 'TRK-1', delivery_status: 'in_transit' };
+        await recordTrackingEvent(trackings, parcel, 'in_transit'); // publish is a no-op, the insert is the event
+        await recordTrackingEvent(trackings, { ...parcel, tracking_id: 'TRK-2' }, 'in_transit');
+        unsubscribe();
+        await recordTrackingEvent(trackings, { ...parcel, delivery_status: 'delivered' }, 'delivered');
+
+        assert.deepEqual(received, ['in_transit']);
+    });
+});
+
+describe('SSE delivery', () => {
+    let server;
+    const streams = [];
+
+    const open = async (path, headers) => {
+        const stream = await openStream(`${server.baseUrl}${path}`, headers);
+        streams.push(stream);
+        return stream;
+    };
+
+    const addNote = async (trackingId, note) => {
+        const response = await fetch(`${server.baseUrl}/trackings`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', authorization: `Bearer ${tokenFor(ADMIN)}` },
+            body: JSON.stringify({ tracking_id: trackingId, note }),
+        });
+        assert.equal(response.status, 201);
+        return response.json();
+    };
+
+    before(async () => {
+        server = await listen(app);
+    });
+
+    beforeEach(async () => {
+        await db.reset();
+        await db.collection('users').insertMany([{ email: ADMIN, role: 'admin' }, { email: RIDER, role: 'rider' }]);
+        await db.collection('parcels').insertMany([
+            { tracking_id: 'TRK-A', created_by: 'owner@example.com', delivery_status: 'in_transit', assigned_rider_email: RIDER },
+            { tracking_id: 'TRK-B', created_by: 'owner@example.com', delivery_status: 'pending' },
+        ]);
+    });
+
+    after(async () => {
+        streams.forEach((stream) => stream.close());
+        await server.close();
+    });
+
+    it('streams new entries for one tracking id only', async () => {
+        const stream = await open('/trackings/TRK-A/stream');
+        assert.equal(stream.status, 200);
+
+        await addNote('TRK-B', 'Not for this stream');
+        await addNote('TRK-A', 'Left at the front desk');
+
+        const [event] = await stream.next(1);
+        assert.equal(event.event, 'tracking');
+        assert.equal(event.data.tracking_id, 'TRK-A');
+        assert.equal(event.data.status, 'note');
+        assert.equal(event.data.message, 'Left at the front desk');
+        assert.equal(event.data.updated_by, ADMIN);
+        assert.equal(event.id, event.data.id);
+        assert.equal(stream.events.length, 1);
+    });
+
+    it('streams every parcel\'s entries to admins, with the token as a query parameter', async () => {
+        const stream = await open(`/admin/events?token=${encodeURIComponent(tokenFor(ADMIN))}`);
+        assert.equal(stream.status, 200);
+
+        await addNote('TRK-A', 'First');
+        await addNote('TRK-B', 'Second');
+
+        const events = await stream.next(2);
+        assert.deepEqual(events.map((event) => [event.data.tracking_id, event.data.message]), [['TRK-A', 'First'], ['TRK-B', 'Second']]);
+    });
+
+    it('replays the entries missed since Last-Event-ID before live ones', async () => {
+        const first = await addNote('TRK-A', 'Seen');
+        await addNote('TRK-A', 'Missed 1');
+        await addNote('TRK-A', 'Missed 2');
+
+        const stream = await open('/trackings/TRK-A/stream', { 'Last-Event-ID': first.insertedId });
+        await addNote('TRK-A', 'Live');
+
+        const events = await stream.next(3);
+        assert.deepEqual(events.map((event) => event.data.message), ['Missed 1', 'Missed 2', 'Live']);
+    });
+
+    it('answers 404 for an unknown tracking id instead of opening a stream', async () => {
+        const response = await fetch(`${server.baseUrl}/trackings/TRK-NONE/stream`);
+        assert.equal(response.status, 404);
+    });
+});
@@ -0,0 +1,64 @@
+// Streaming exports (utils/export.js) into a response that the client can drop mid-download
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('node:stream');
+const { streamExport } = require('../utils/export');
+
+const COLUMNS = [['tracking_id', (doc) => doc.tracking_id]];
+
+// Minimal Express-like response collecting what was written
+const createResponse = () => {
+    const res = new Writable({
+        write(chunk, encoding, callback) {
+            res.chunks.push(chunk.toString());
+            callback();
+        },
+    });
+    res.chunks = [];
+    res.headers = {};
+    res.headersSent = false;
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.setHeader = (name, value) => { res.headers[name] = value; res.headersSent = true; };
+    return res;
+};
+
+// Cursor over `docs` that runs `onRow` before handing out each one
+const createCursor = (docs, onRow = () => {}) => ({
+    closed: false,
+    hasNext: async () => docs.length > 0,
+    close: async function close() { this.closed = true; },
+    [Symbol.asyncIterator]: async function* iterate() {
+        for (const [index, doc] of docs.entries()) {
+            onRow(index);
+            yield doc;
+        }
+    },
+});
+
+const docs = ['TRK-1', 'TRK-2', 'TRK-3'].map((trackingId) => ({ tracking_id: trackingId }));
+
+describe('streamExport', () => {
+    it('writes a header and one line per document', async () => {
+        const res = createResponse();
+        const cursor = createCursor(docs);
+        await streamExport(res, cursor, { format: 'csv', columns: COLUMNS, filename: 'parcels' });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.chunks.join(''), 'tracking_id\r\nTRK-1\r\nTRK-2\r\nTRK-3\r\n');
+        assert.ok(res.writableEnded);
+        assert.ok(cursor.closed);
+    });
+
+    it('stops writing as soon as the response is destroyed', async () => {
+        const res = createResponse();
+        const cursor = createCursor(docs, (index) => {
+            if (index === 1) res.destroy(); // Client drops the connection after the first row
+        });
+        await streamExport(res, cursor, { format: 'ndjson', columns: COLUMNS, filename: 'parcels' });
+
+        assert.deepEqual(res.chunks, ['{"tracking_id":"TRK-1"}\n']);
+        assert.equal(res.writableEnded, false);
+        assert.ok(cursor.closed);
+    });
+});
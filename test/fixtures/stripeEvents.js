@@ -0,0 +1,65 @@
+// Stripe webhook events as Stripe sends them, trimmed to the fields the handlers read.
+// `sign` produces the Stripe-Signature header for a payload with the test webhook secret.
+
+const Stripe = require('stripe');
+
+const stripe = Stripe('sk_test_dummy');
+
+let sequence = 0;
+const nextId = (prefix) => `${prefix}_test${String(++sequence).padStart(6, '0')}`;
+const unixTime = (date = new Date()) => Math.floor(date.getTime() / 1000);
+
+const paymentIntent = ({ id = nextId('pi'), amount, currency = 'usd', metadata, lastError = null }) => ({
+    id,
+    object: 'payment_intent',
+    amount,
+    amount_received: lastError ? 0 : amount,
+    currency,
+    created: unixTime(),
+    metadata,
+    payment_method_types: ['card'],
+    last_payment_error: lastError && { message: lastError },
+});
+
+const event = (type, object) => ({
+    id: nextId('evt'),
+    object: 'event',
+    type,
+    created: unixTime(),
+    data: { object },
+});
+
+const paymentSucceeded = (intent) => event('payment_intent.succeeded', paymentIntent(intent));
+
+const paymentFailed = (intent) => event('payment_intent.payment_failed', paymentIntent({ lastError: 'Your card was declined.', ...intent }));
+
+// `refunds` are [{ amount, reason? }], amount_refunded is their sum
+const chargeRefunded = ({ paymentIntentId, amount, currency = 'usd', refunds, metadata = {} }) => event('charge.refunded', {
+    id: nextId('ch'),
+    object: 'charge',
+    payment_intent: paymentIntentId,
+    amount,
+    amount_refunded: refunds.reduce((sum, refund) => sum + refund.amount, 0),
+    currency,
+    metadata,
+    refunds: {
+        data: refunds.map((refund) => ({
+            id: nextId('re'),
+            amount: refund.amount,
+            currency,
+            status: 'succeeded',
+            reason: refund.reason || null,
+            metadata: {},
+            created: unixTime(),
+        })),
+    },
+});
+
+const sign = (payload, secret = process.env.STRIPE_WEBHOOK_SECRET) => stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+module.exports = {
+    paymentSucceeded,
+    paymentFailed,
+    chargeRefunded,
+    sign,
+};
@@ -0,0 +1,77 @@
+// --- Test Server ---
+// Loads index.js against the in-memory database (helpers/memoryMongo.js) and Stripe stand-in (helpers/stripe.js),
+// with Firebase token verification stubbed out: a bearer token `test:<email>` verifies as that email, anything
+// else is rejected.
+// index.js registers its routes once per process, so every test file gets one app and resets the data.
+
+const { MemoryClient } = require('./memoryMongo');
+const { createStripeStub } = require('./stripe');
+
+const TEST_ENV = {
+    FB_SERVICE_KEY: Buffer.from('{}').toString('base64'),
+    PAYMENT_GATEWAY_KEY: 'sk_test_dummy', // Only reaches the Stripe stand-in
+    STRIPE_WEBHOOK_SECRET: 'whsec_test',
+    DELIVERY_CODE_SECRET: 'test-delivery-code-secret',
+    JWT_ACCESS_SECRET: 'test-access-secret',
+    UPLOAD_DIR: require('path').join(require('os').tmpdir(), 'parcel-delivery-test-uploads'),
+};
+
+const tokenFor = (email) => `test:${email}`;
+
+const firebaseAdmin = {
+    initializeApp: () => {},
+    credential: { cert: () => ({}) },
+    auth: () => ({
+        verifyIdToken: async (token) => {
+            if (!token.startsWith('test:')) throw new Error('Invalid test token');
+            const email = token.slice('test:'.length);
+            return { email, uid: `uid-${email}` };
+        },
+    }),
+};
+
+// Replaces a module for everything required after this call
+const stubModule = (name, exports) => {
+    const filename = require.resolve(name);
+    require.cache[filename] = { id: filename, filename, loaded: true, exports };
+};
+
+let loaded = null;
+
+// Returns { app, db, stripe }; `db` is the in-memory database the routes use, `stripe` the client they call
+const loadApp = () => {
+    if (loaded) return loaded;
+    Object.entries(TEST_ENV).forEach(([key, value]) => {
+        if (process.env[key] === undefined) process.env[key] = value;
+    });
+
+    const client = new MemoryClient();
+    const mongodb = require('mongodb');
+    stubModule('mongodb', { ...mongodb, MongoClient: function MongoClient() { return client; } });
+    stubModule('firebase-admin', firebaseAdmin);
+    const stripe = createStripeStub();
+    stubModule('stripe', () => stripe);
+
+    const app = require('../../index');
+    loaded = { app, db: client.db('servicedb'), stripe };
+    return loaded;
+};
+
+// Starts the app on a free port; resolves to { baseUrl, close }
+const listen = (app) => new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+        resolve({
+            baseUrl: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise((done) => {
+                server.closeAllConnections();
+                server.close(done);
+            }),
+        });
+    });
+});
+
+module.exports = {
+    tokenFor,
+    loadApp,
+    listen,
+};
@@ -0,0 +1,365 @@
+// --- In-memory MongoDB ---
+// A stand-in for the parts of the MongoDB driver the server uses, so routes and pipelines can be tested
+// without a database. Queries, updates and aggregations are evaluated by mingo; unique indexes, upserts
+// and change streams (inserts only) are handled here. Transactions run their callback without isolation.
+
+const { EventEmitter } = require('events');
+const mingo = require('mingo');
+const { Context, evalExpr } = require('mingo/core');
+const { Aggregator } = require('mingo/aggregator');
+const expressionOperators = require('mingo/operators/expression');
+const { ObjectId } = require('mongodb');
+
+// mingo has no BSON types, so conversions to ObjectId (used to join string ids to parcels) are added here
+const toObjectId = (obj, expr, options) => {
+    const value = evalExpr(obj, expr, options);
+    if (value === null || value === undefined) return null;
+    if (value instanceof ObjectId) return value;
+    if (typeof value === 'string' && ObjectId.isValid(value)) return new ObjectId(value);
+    throw new Error(`Failed to parse objectId '${value}' in $convert`);
+};
+
+const $convert = (obj, expr, options) => {
+    if (expr.to !== 'objectId') return expressionOperators.$convert(obj, expr, options);
+    const input = evalExpr(obj, expr.input, options);
+    if (input === null || input === undefined) return 'onNull' in expr ? evalExpr(obj, expr.onNull, options) : null;
+    try {
+        return toObjectId(obj, expr.input, options);
+    } catch (error) {
+        if ('onError' in expr) return evalExpr(obj, expr.onError, options);
+        throw error;
+    }
+};
+
+const AGGREGATION_CONTEXT = Context.init({
+    accumulator: require('mingo/operators/accumulator'),
+    expression: { ...expressionOperators, $convert, $toObjectId: toObjectId },
+    pipeline: require('mingo/operators/pipeline'),
+    projection: require('mingo/operators/projection'),
+    query: require('mingo/operators/query'),
+    window: require('mingo/operators/window'),
+});
+
+// Deep copy that keeps ObjectIds, Dates and Buffers intact, like documents coming back from the driver
+const clone = (value) => {
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof ObjectId) return new ObjectId(value.toHexString());
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Buffer.isBuffer(value)) return Buffer.from(value);
+    if (Array.isArray(value)) return value.map(clone);
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((target, key) => {
+        if (target[key] === null || typeof target[key] !== 'object') target[key] = {};
+        return target[key];
+    }, doc);
+    parent[keys[keys.length - 1]] = value;
+};
+
+const duplicateKeyError = (collectionName, key) => {
+    const error = new Error(`E11000 duplicate key error collection: ${collectionName} index: ${Object.keys(key).join('_')}`);
+    error.code = 11000;
+    return error;
+};
+
+// Swaps a stored document's fields in place, so references held by the collection stay valid
+const replaceContents = (doc, replacement) => {
+    if (doc === replacement) return;
+    Object.keys(doc).forEach((key) => delete doc[key]);
+    Object.assign(doc, replacement);
+};
+
+const isOperatorUpdate = (update) => !Array.isArray(update) && Object.keys(update).some((key) => key.startsWith('$'));
+
+// The equality fields of a filter, the starting point of an upserted document
+const seedFromFilter = (filter) => {
+    const seed = {};
+    for (const [key, value] of Object.entries(filter)) {
+        if (key.startsWith('$')) continue;
+        const isOperator = value && typeof value === 'object' && !(value instanceof ObjectId) && !(value instanceof Date)
+            && Object.keys(value).some((operator) => operator.startsWith('$'));
+        if (!isOperator) setPath(seed, key, clone(value));
+    }
+    return seed;
+};
+
+class MemoryCursor {
+    constructor(load) {
+        this.load = load; // () => documents, evaluated on first read so sort/skip/limit can be chained
+        this.options = {};
+        this.buffer = null;
+    }
+
+    sort(spec) { this.options.sort = spec; return this; }
+    skip(count) { this.options.skip = count; return this; }
+    limit(count) { this.options.limit = count; return this; }
+    project(projection) { this.options.projection = projection; return this; }
+
+    read() {
+        if (!this.buffer) this.buffer = this.load(this.options);
+        return this.buffer;
+    }
+
+    async toArray() { return this.read().splice(0); }
+    async hasNext() { return this.read().length > 0; }
+    async next() { return this.read().shift() ?? null; }
+    async close() { this.buffer = []; }
+
+    async *[Symbol.asyncIterator]() {
+        while (await this.hasNext()) yield this.next();
+    }
+}
+
+class MemoryCollection {
+    constructor(db, name) {
+        this.db = db;
+        this.collectionName = name;
+        this.docs = [];
+        this.uniqueIndexes = [];
+        this.changes = new EventEmitter();
+    }
+
+    // Index names follow the driver's, e.g. { parcel_id: 1 } -> parcel_id_1
+    async createIndex(key, options = {}) {
+        const name = Object.entries(key).map(([path, direction]) => `${path}_${direction}`).join('_');
+        if (options.unique && !this.uniqueIndexes.some((index) => index.name === name)) {
+            this.uniqueIndexes.push({ name, key, sparse: Boolean(options.sparse) });
+        }
+        return name;
+    }
+
+    async dropIndex(name) {
+        const index = this.uniqueIndexes.findIndex((unique) => unique.name === name);
+        if (index === -1) throw Object.assign(new Error(`index not found with name [${name}]`), { code: 27 });
+        this.uniqueIndexes.splice(index, 1);
+    }
+
+    // Throws the driver's duplicate key error when `doc` collides with another document on a unique index
+    checkUnique(doc) {
+        for (const { key, sparse } of this.uniqueIndexes) {
+            const values = Object.keys(key).map((path) => getPath(doc, path));
+            if (sparse && values.every((value) => value === undefined)) continue;
+            const taken = this.docs.some((other) => other !== doc
+                && Object.keys(key).every((path, i) => mingo.find([{ value: getPath(other, path) }], { value: values[i] ?? null }).all().length > 0));
+            if (taken) throw duplicateKeyError(this.collectionName, key);
+        }
+    }
+
+    match(filter = {}, { sort, skip, limit, projection } = {}) {
+        let cursor = mingo.find(this.docs, filter);
+        if (sort) cursor = cursor.sort(sort);
+        if (skip) cursor = cursor.skip(skip);
+        if (limit) cursor = cursor.limit(limit);
+        const docs = cursor.all();
+        return projection ? mingo.find(docs, {}, projection).all() : docs;
+    }
+
+    find(filter = {}, options = {}) {
+        return new MemoryCursor((chained) => this.match(filter, { ...options, ...chained }).map(clone));
+    }
+
+    async findOne(filter = {}, options = {}) {
+        const [doc] = this.match(filter, { ...options, limit: 1 });
+        return doc ? clone(doc) : null;
+    }
+
+    async countDocuments(filter = {}) {
+        return this.match(filter).length;
+    }
+
+    async insertOne(doc) {
+        if (!doc._id) doc._id = new ObjectId(); // The driver sets _id on the caller's object too
+        if (this.docs.some((other) => mingo.find([other], { _id: doc._id }).all().length > 0)) {
+            throw duplicateKeyError(this.collectionName, { _id: 1 });
+        }
+        const stored = clone(doc);
+        this.checkUnique(stored);
+        this.docs.push(stored);
+        this.changes.emit('change', { operationType: 'insert', fullDocument: clone(stored) });
+        return { acknowledged: true, insertedId: doc._id };
+    }
+
+    async insertMany(docs) {
+        const insertedIds = {};
+        for (const [index, doc] of docs.entries()) {
+            insertedIds[index] = (await this.insertOne(doc)).insertedId;
+        }
+        return { acknowledged: true, insertedCount: docs.length, insertedIds };
+    }
+
+    // Applies an update document or pipeline to a stored document in place, undone if it breaks a unique index
+    applyUpdate(doc, update, { arrayFilters, inserting = false } = {}) {
+        const before = clone(doc);
+        let modified = true;
+        if (isOperatorUpdate(update)) {
+            const { $setOnInsert, ...rest } = update;
+            const modifier = inserting && $setOnInsert ? { ...rest, $set: { ...$setOnInsert, ...rest.$set } } : rest;
+            modified = Object.keys(modifier).length > 0 && mingo.update(doc, modifier, arrayFilters, undefined, { cloneMode: 'deep' }).length > 0;
+        } else if (Array.isArray(update)) {
+            const target = [doc];
+            modified = mingo.updateOne(target, {}, update, { cloneMode: 'deep' }).modifiedCount > 0;
+            replaceContents(doc, target[0]);
+        } else {
+            replaceContents(doc, { ...clone(update), _id: doc._id }); // A replacement document
+        }
+        try {
+            this.checkUnique(doc);
+        } catch (error) {
+            replaceContents(doc, before);
+            throw error;
+        }
+        return modified;
+    }
+
+    async upsert(filter, update, options) {
+        const doc = { _id: new ObjectId(), ...seedFromFilter(filter) };
+        this.applyUpdate(doc, update, { ...options, inserting: true });
+        this.checkUnique(doc);
+        this.docs.push(doc);
+        this.changes.emit('change', { operationType: 'insert', fullDocument: clone(doc) });
+        return doc;
+    }
+
+    async updateOne(filter, update, options = {}) {
+        const [doc] = this.match(filter, { sort: options.sort, limit: 1 });
+        if (!doc) {
+            if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+            const inserted = await this.upsert(filter, update, options);
+            return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+        }
+        const modified = this.applyUpdate(doc, update, options);
+        return { acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedCount: 0, upsertedId: null };
+    }
+
+    async updateMany(filter, update, options = {}) {
+        const docs = this.match(filter);
+        if (docs.length === 0 && options.upsert) {
+            const inserted = await this.upsert(filter, update, options);
+            return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+        }
+        const modifiedCount = docs.filter((doc) => this.applyUpdate(doc, update, options)).length;
+        return { acknowledged: true, matchedCount: docs.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+    }
+
+    async replaceOne(filter, replacement, options = {}) {
+        return this.updateOne(filter, replacement, options);
+    }
+
+    // Returns the document (before or after the update), as the v6 driver does by default
+    async findOneAndUpdate(filter, update, options = {}) {
+        const [doc] = this.match(filter, { sort: options.sort, limit: 1 });
+        if (!doc) {
+            if (!options.upsert) return null;
+            const inserted = await this.upsert(filter, update, options);
+            return options.returnDocument === 'after' ? clone(inserted) : null;
+        }
+        const before = clone(doc);
+        this.applyUpdate(doc, update, options);
+        const result = options.returnDocument === 'after' ? clone(doc) : before;
+        return options.projection ? mingo.find([result], {}, options.projection).all()[0] : result;
+    }
+
+    async findOneAndDelete(filter, options = {}) {
+        const [doc] = this.match(filter, { sort: options.sort, limit: 1 });
+        if (!doc) return null;
+        this.docs.splice(this.docs.indexOf(doc), 1);
+        return clone(doc);
+    }
+
+    async deleteOne(filter) {
+        const [doc] = this.match(filter, { limit: 1 });
+        if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+        return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+    }
+
+    async deleteMany(filter = {}) {
+        const docs = new Set(this.match(filter));
+        this.docs = this.docs.filter((doc) => !docs.has(doc));
+        return { acknowledged: true, deletedCount: docs.size };
+    }
+
+    async bulkWrite(operations) {
+        const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0 };
+        for (const operation of operations) {
+            const [type, spec] = Object.entries(operation)[0];
+            let outcome;
+            if (type === 'insertOne') outcome = await this.insertOne(spec.document);
+            else if (type === 'updateOne') outcome = await this.updateOne(spec.filter, spec.update, spec);
+            else if (type === 'updateMany') outcome = await this.updateMany(spec.filter, spec.update, spec);
+            else if (type === 'replaceOne') outcome = await this.replaceOne(spec.filter, spec.replacement, spec);
+            else if (type === 'deleteOne') outcome = await this.deleteOne(spec.filter);
+            else if (type === 'deleteMany') outcome = await this.deleteMany(spec.filter);
+            else throw new Error(`Unsupported bulkWrite operation: ${type}`);
+
+            if (type === 'insertOne') result.insertedCount++;
+            result.matchedCount += outcome.matchedCount || 0;
+            result.modifiedCount += outcome.modifiedCount || 0;
+            result.deletedCount += outcome.deletedCount || 0;
+            result.upsertedCount += outcome.upsertedCount || 0;
+        }
+        return result;
+    }
+
+    aggregate(pipeline = []) {
+        return new MemoryCursor(() => new Aggregator(pipeline, {
+            context: AGGREGATION_CONTEXT,
+            collectionResolver: (name) => this.db.collection(name).docs,
+        }).run(this.docs).map(clone));
+    }
+
+    // Change stream of inserts, enough for the mongo event backend
+    watch() {
+        const stream = new EventEmitter();
+        const forward = (change) => stream.emit('change', change);
+        this.changes.on('change', forward);
+        stream.close = async () => this.changes.off('change', forward);
+        return stream;
+    }
+}
+
+class MemoryDb {
+    constructor() {
+        this.collections = new Map();
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) this.collections.set(name, new MemoryCollection(this, name));
+        return this.collections.get(name);
+    }
+
+    // Empties every collection, indexes are kept
+    async reset() {
+        for (const collection of this.collections.values()) collection.docs = [];
+    }
+}
+
+class MemoryClient {
+    constructor() {
+        this.dbs = new Map();
+    }
+
+    db(name = 'test') {
+        if (!this.dbs.has(name)) this.dbs.set(name, new MemoryDb());
+        return this.dbs.get(name);
+    }
+
+    startSession() {
+        return {
+            withTransaction: async (callback) => callback(),
+            endSession: async () => {},
+        };
+    }
+
+    async connect() { return this; }
+    async close() {}
+}
+
+module.exports = {
+    MemoryClient,
+    MemoryDb,
+};
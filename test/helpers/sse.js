@@ -0,0 +1,55 @@
+// Minimal EventSource client for tests: collects the events of a text/event-stream response.
+
+const http = require('http');
+
+// Opens the stream; resolves to { status, events, next(count), close() } once the headers arrive.
+// `next(count)` resolves when at least `count` events have been received.
+const openStream = (url, headers = {}) => new Promise((resolve, reject) => {
+    const events = [];
+    const waiters = [];
+    let buffer = '';
+
+    const settle = () => {
+        for (const waiter of waiters.splice(0)) {
+            if (events.length >= waiter.count) waiter.resolve(events.slice(0, waiter.count));
+            else waiters.push(waiter);
+        }
+    };
+
+    const request = http.get(url, { headers }, (response) => {
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+            buffer += chunk;
+            const frames = buffer.split('\n\n');
+            buffer = frames.pop();
+            for (const frame of frames) {
+                const fields = {};
+                for (const line of frame.split('\n')) {
+                    if (!line || line.startsWith(':')) continue; // Comments are heartbeats
+                    const [name, ...value] = line.split(': ');
+                    fields[name] = value.join(': ');
+                }
+                if (fields.data) events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+            }
+            settle();
+        });
+
+        resolve({
+            status: response.statusCode,
+            events,
+            next: (count, timeoutMs = 2000) => new Promise((done, fail) => {
+                const timer = setTimeout(() => fail(new Error(`Expected ${count} event(s), got ${events.length}`)), timeoutMs);
+                waiters.push({ count, resolve: (received) => { clearTimeout(timer); done(received); } });
+                settle();
+            }),
+            close: () => request.destroy(),
+        });
+    });
+    request.on('error', (error) => {
+        if (error.code !== 'ECONNRESET') reject(error);
+    });
+});
+
+module.exports = {
+    openStream,
+};
@@ -0,0 +1,81 @@
+// --- Stripe Stand-in ---
+// Replaces the Stripe client the app creates: payment intents and refunds are kept in memory and every call is
+// recorded in `calls`. Webhook signing and verification stay Stripe's own. Tests can swap a method to make
+// it fail and `reset()` puts the defaults back.
+
+const Stripe = require('stripe');
+
+const createStripeStub = () => {
+    const { webhooks } = Stripe('sk_test_dummy');
+    const stub = { webhooks, calls: [], intents: new Map() };
+    let sequence = 0;
+    const nextId = (prefix) => `${prefix}_stub${String(++sequence).padStart(6, '0')}`;
+
+    const record = (method, params, options) => stub.calls.push({ method, params, options: options || {} });
+
+    const findIntent = (id) => {
+        const intent = stub.intents.get(id);
+        if (!intent) throw Object.assign(new Error(`No such payment_intent: '${id}'`), { type: 'StripeInvalidRequestError', statusCode: 404 });
+        return intent;
+    };
+
+    const defaults = () => ({
+        paymentIntents: {
+            create: async (params, options) => {
+                record('paymentIntents.create', params, options);
+                const id = nextId('pi');
+                const intent = {
+                    id,
+                    object: 'payment_intent',
+                    client_secret: `${id}_secret`,
+                    status: 'requires_payment_method',
+                    amount: params.amount,
+                    currency: params.currency,
+                    metadata: params.metadata || {},
+                };
+                stub.intents.set(id, intent);
+                return { ...intent };
+            },
+            retrieve: async (id) => {
+                record('paymentIntents.retrieve', { id });
+                return { ...findIntent(id) };
+            },
+            cancel: async (id, params, options) => {
+                record('paymentIntents.cancel', { id, ...params }, options);
+                const intent = findIntent(id);
+                if (intent.status === 'succeeded') {
+                    throw Object.assign(new Error('This PaymentIntent has already succeeded'), { type: 'StripeInvalidRequestError', statusCode: 400 });
+                }
+                intent.status = 'canceled';
+                return { ...intent };
+            },
+        },
+        refunds: {
+            create: async (params, options) => {
+                record('refunds.create', params, options);
+                const intent = stub.intents.get(params.payment_intent);
+                return {
+                    id: nextId('re'),
+                    object: 'refund',
+                    payment_intent: params.payment_intent,
+                    amount: params.amount ?? intent?.amount,
+                    currency: intent?.currency || 'usd',
+                    status: 'succeeded',
+                    metadata: params.metadata || {},
+                };
+            },
+        },
+    });
+
+    stub.reset = () => {
+        stub.calls.length = 0;
+        stub.intents.clear();
+        Object.assign(stub, defaults());
+    };
+    stub.reset();
+    return stub;
+};
+
+module.exports = {
+    createStripeStub,
+};
@@ -0,0 +1,172 @@
+// Email notifications (utils/notifications.js) rendered into the outbox and sent through a stubbed SMTP transport
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { MemoryDb } = require('./helpers/memoryMongo');
+const { createNotifier } = require('../utils/notifications');
+const { createMemoryBackend, setEventBackend, publishParcelEvent } = require('../utils/events');
+
+const SENDER = 'sender@example.com';
+
+// Captures what would have gone to the SMTP server; `failWith` makes the next sends throw
+const createTransport = () => {
+    const transport = {
+        sent: [],
+        failWith: null,
+        sendMail: async (mail) => {
+            if (transport.failWith) throw new Error(transport.failWith);
+            transport.sent.push(mail);
+            return { messageId: `<${transport.sent.length}@test>` };
+        },
+    };
+    return transport;
+};
+
+// Lets subscribers and the immediate outbox run started by notify() finish
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+describe('notifications', () => {
+    let db;
+    let transport;
+    let notifiers;
+    let parcel;
+
+    const outbox = () => db.collection('notification_outbox');
+
+    const createTestNotifier = () => {
+        const notifier = createNotifier({
+            outboxCollection: outbox(),
+            usersCollection: db.collection('users'),
+            parcelsCollection: db.collection('parcels'),
+            transporter: transport,
+        });
+        notifiers.push(notifier);
+        return notifier;
+    };
+
+    beforeEach(async () => {
+        db = new MemoryDb();
+        transport = createTransport();
+        notifiers = [];
+        setEventBackend(createMemoryBackend());
+        await outbox().createIndex({ dedupe_key: 1 }, { unique: true, sparse: true });
+        parcel = {
+            _id: new ObjectId(),
+            tracking_id: 'TRK-MAIL-1',
+            title: 'Books <vintage>',
+            created_by: SENDER,
+            cost: 120,
+            receiver_name: 'Rahim',
+            delivery_status: 'delivered',
+        };
+        await db.collection('parcels').insertOne(parcel);
+        await db.collection('users').insertOne({ email: SENDER, role: 'user' });
+    });
+
+    afterEach(async () => {
+        notifiers.forEach((notifier) => notifier.stop());
+        await settle();
+    });
+
+    it('renders the template into the outbox and sends it as text and escaped HTML', async () => {
+        const notifier = createTestNotifier();
+        await notifier.notify('parcel_paid', SENDER, { parcel });
+        await notifier.processOutbox();
+
+        assert.equal(transport.sent.length, 1);
+        const [mail] = transport.sent;
+        assert.equal(mail.to, SENDER);
+        assert.equal(mail.from, 'Parcel Delivery <no-reply@localhost>');
+        assert.equal(mail.subject, 'Payment received for TRK-MAIL-1');
+        assert.equal(mail.text, [
+            'Payment received',
+            '',
+            'We received your payment of 120 for "Books <vintage>".',
+            'We will assign a rider to pick it up shortly.',
+            '',
+            '- Parcel Delivery',
+        ].join('\n'));
+        assert.match(mail.html, /<h2 style="margin-top: 0;">Payment received<\/h2>/);
+        assert.match(mail.html, /<p>We received your payment of 120 for &quot;Books &lt;vintage&gt;&quot;\.<\/p>/);
+        assert.doesNotMatch(mail.html, /<vintage>/);
+
+        const [message] = await outbox().find({}).toArray();
+        assert.equal(message.type, 'parcel_paid');
+        assert.equal(message.status, 'sent');
+        assert.equal(message.attempts, 1);
+        assert.equal(message.message_id, '<1@test>');
+        assert.equal(message.subject, mail.subject);
+    });
+
+    it('queues and sends a message once per dedupe key', async () => {
+        const notifier = createTestNotifier();
+        await notifier.notify('parcel_delivered', SENDER, { parcel }, { dedupeKey: 'event-1' });
+        await notifier.notify('parcel_delivered', SENDER, { parcel }, { dedupeKey: 'event-1' });
+        await notifier.notify('parcel_delivered', SENDER, { parcel }, { dedupeKey: 'event-2' });
+        await notifier.processOutbox();
+        await settle();
+
+        const keys = (await outbox().find({}).toArray()).map((message) => message.dedupe_key).sort();
+        assert.deepEqual(keys, [`parcel_delivered:${SENDER}:event-1`, `parcel_delivered:${SENDER}:event-2`]);
+        assert.equal(transport.sent.length, 2);
+        assert.ok(transport.sent.every((mail) => mail.subject === 'TRK-MAIL-1 has been delivered'));
+    });
+
+    it('emails the sender once for a parcel event seen by several instances', async () => {
+        createTestNotifier().start();
+        createTestNotifier().start();
+
+        publishParcelEvent({ _id: new ObjectId(), tracking_id: 'TRK-MAIL-1', status: 'delivered' });
+        await settle();
+        await Promise.all(notifiers.map((notifier) => notifier.processOutbox()));
+
+        assert.equal(await outbox().countDocuments({}), 1);
+        assert.equal(transport.sent.length, 1);
+        assert.equal(transport.sent[0].to, SENDER);
+        assert.match(transport.sent[0].text, /"Books <vintage>" has been delivered to Rahim\./);
+    });
+
+    it('skips users who opted out or were deleted, except for delivery codes', async () => {
+        const notifier = createTestNotifier();
+        await db.collection('users').updateOne({ email: SENDER }, { $set: { notification_preferences: { parcel_updates: false } } });
+        await db.collection('users').insertOne({ email: 'gone@example.com', deleted_at: new Date() });
+
+        assert.equal(await notifier.notify('parcel_paid', SENDER, { parcel }), null);
+        assert.equal(await notifier.notify('parcel_paid', 'gone@example.com', { parcel }), null);
+        const code = await notifier.notify('delivery_code', SENDER, { parcel, code: '482913', forSender: true });
+        await notifier.processOutbox();
+
+        assert.equal(code.type, 'delivery_code');
+        assert.deepEqual(transport.sent.map((mail) => mail.subject), ['Delivery code for TRK-MAIL-1']);
+        assert.match(transport.sent[0].text, /^482913$/m);
+    });
+
+    it('keeps a failed send queued for a later retry with the error', async () => {
+        const notifier = createTestNotifier();
+        transport.failWith = 'Connection refused';
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            await notifier.notify('parcel_paid', SENDER, { parcel });
+            await notifier.processOutbox();
+        } finally {
+            console.error = originalError;
+        }
+
+        let [message] = await outbox().find({}).toArray();
+        assert.equal(message.status, 'queued');
+        assert.equal(message.attempts, 1);
+        assert.equal(message.last_error, 'Connection refused');
+        assert.ok(message.next_attempt_at > new Date());
+        assert.equal(await notifier.processOutbox(), 0); // Not due yet
+
+        transport.failWith = null;
+        await outbox().updateOne({ _id: message._id }, { $set: { next_attempt_at: new Date() } });
+        await notifier.processOutbox();
+        [message] = await outbox().find({}).toArray();
+        assert.equal(message.status, 'sent');
+        assert.equal(message.attempts, 2);
+        assert.equal(transport.sent.length, 1);
+    });
+});
@@ -0,0 +1,205 @@
+// Paying for a parcel, a batch or a return charge (utils/paymentIntents.js): one open intent per parcel (and per
+// return charge), and a second payment that still reaches a parcel is refunded by the webhook
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { loadApp, listen, tokenFor } = require('./helpers/app');
+const fixtures = require('./fixtures/stripeEvents');
+
+const { app, db, stripe } = loadApp();
+
+const OWNER = 'owner@example.com';
+
+describe('payment intents', () => {
+    let server;
+    let batchId;
+    let parcelIds;
+
+    const call = async (path, body = {}) => {
+        const response = await fetch(`${server.baseUrl}${path}`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', authorization: `Bearer ${tokenFor(OWNER)}` },
+            body: JSON.stringify(body),
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    const deliver = async (event) => {
+        const payload = JSON.stringify(event);
+        const response = await fetch(`${server.baseUrl}/stripe/webhook`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', 'stripe-signature': fixtures.sign(payload) },
+            body: payload,
+        });
+        assert.equal(response.status, 200);
+    };
+
+    const payParcel = () => call('/create-payment-intent', { parcelId: parcelIds[0].toString() });
+    const payReturnCharge = () => call('/create-payment-intent', { parcelId: parcelIds[0].toString(), purpose: 'return_charge' });
+    const returnParcel = () => db.collection('parcels').updateOne(
+        { _id: parcelIds[0] },
+        { $set: { payment_status: 'paid', delivery_status: 'returned', return_charge: { status: 'due', amount: 5 } } }
+    );
+    const payBatch = () => call(`/parcels/batches/${batchId}/payment-intent`);
+    const getParcel = (id) => db.collection('parcels').findOne({ _id: id });
+    const getBatch = () => db.collection('parcel_batches').findOne({ _id: batchId });
+    const callsTo = (method) => stripe.calls.filter((entry) => entry.method === method);
+    const intentId = (clientSecret) => clientSecret.replace(/_secret$/, '');
+
+    before(async () => {
+        server = await listen(app);
+    });
+
+    beforeEach(async () => {
+        await db.reset();
+        stripe.reset();
+        batchId = new ObjectId();
+        parcelIds = [new ObjectId(), new ObjectId()];
+        await db.collection('users').insertOne({ email: OWNER, role: 'user' });
+        await db.collection('parcel_batches').insertOne({ _id: batchId, created_by: OWNER, currency: 'usd', count: 2, payment_status: 'unpaid' });
+        await db.collection('parcels').insertMany(parcelIds.map((_id, index) => ({
+            _id,
+            tracking_id: `TRK-BATCH-${index + 1}`,
+            batch_id: batchId.toString(),
+            created_by: OWNER,
+            cost: 20,
+            cost_minor: 2000,
+            currency: 'usd',
+            pricing: { total: 20 },
+            payment_status: 'unpaid',
+            delivery_status: 'pending',
+        })));
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('hands out the open intent again for the same parcel', async () => {
+        const first = await payParcel();
+        const second = await payParcel();
+
+        assert.equal(first.status, 200);
+        assert.equal(second.body.clientSecret, first.body.clientSecret);
+        assert.equal(callsTo('paymentIntents.create').length, 1);
+        assert.equal((await getParcel(parcelIds[0])).open_payment_intent_id, intentId(first.body.clientSecret));
+    });
+
+    it('cancels the parcel\'s own intent when its batch is paid, and the batch\'s when the parcel is paid alone', async () => {
+        const single = await payParcel();
+        const batch = await payBatch();
+
+        assert.equal(batch.status, 200);
+        assert.equal(batch.body.amountInCents, 4000);
+        assert.deepEqual(callsTo('paymentIntents.cancel').map((entry) => entry.params.id), [intentId(single.body.clientSecret)]);
+        assert.equal((await getParcel(parcelIds[0])).open_payment_intent_id, undefined);
+        assert.equal((await payBatch()).body.clientSecret, batch.body.clientSecret); // Still open, handed out again
+
+        const again = await payParcel();
+        assert.notEqual(again.body.clientSecret, single.body.clientSecret);
+        const batchIntentId = intentId(batch.body.clientSecret);
+        assert.equal(stripe.intents.get(batchIntentId).status, 'canceled');
+        assert.equal((await getBatch()).payment_intents[batchIntentId].status, 'canceled');
+    });
+
+    it('refuses a new intent while a payment for the parcel is processing', async () => {
+        const batch = await payBatch();
+        stripe.intents.get(intentId(batch.body.clientSecret)).status = 'processing';
+
+        const { status } = await payParcel();
+        assert.equal(status, 409);
+        assert.equal(callsTo('paymentIntents.create').length, 1);
+    });
+
+    it('refunds a batch payment for a parcel already paid on its own, and keeps the parcel paid', async () => {
+        const parcelId = parcelIds[0].toString();
+        const batch = await payBatch();
+        // Paid on its own in another tab, with an intent created before the batch's
+        const single = fixtures.paymentSucceeded({ amount: 2000, metadata: { parcelId, email: OWNER } });
+        await deliver(single);
+        const batchIntentId = intentId(batch.body.clientSecret);
+        await deliver(fixtures.paymentSucceeded({ id: batchIntentId, amount: 4000, metadata: { batchId: batchId.toString(), email: OWNER } }));
+
+        const [refund] = callsTo('refunds.create');
+        assert.equal(callsTo('refunds.create').length, 1);
+        assert.equal(refund.params.payment_intent, batchIntentId);
+        assert.equal(refund.params.amount, 2000);
+        assert.equal(refund.params.metadata.parcelId, parcelId);
+        assert.equal(refund.options.idempotencyKey, `duplicate-${batchIntentId}-${parcelId}`);
+
+        const duplicate = await db.collection('payments').findOne({ transactionId: batchIntentId, parcelId, type: 'payment' });
+        const duplicateRefund = await db.collection('payments').findOne({ transactionId: batchIntentId, parcelId, type: 'refund' });
+        assert.equal(duplicateRefund.reason, 'duplicate');
+        assert.equal(duplicate.duplicate_of, single.data.object.id);
+        assert.equal((await getParcel(parcelIds[0])).payment_intent_id, single.data.object.id);
+        assert.equal((await getParcel(parcelIds[1])).payment_status, 'paid');
+        const storedBatch = await getBatch();
+        assert.equal(storedBatch.payment_status, 'paid');
+        assert.equal(storedBatch.payment_intents[batchIntentId].status, 'succeeded');
+
+        // Stripe then reports the refund, the parcel's own payment is untouched
+        const refunded = fixtures.chargeRefunded({ paymentIntentId: batchIntentId, amount: 4000, refunds: [{ amount: 2000 }] });
+        Object.assign(refunded.data.object.refunds.data[0], { id: duplicateRefund.refundId, metadata: { parcelId, reason: 'duplicate' } });
+        await deliver(refunded);
+        const parcel = await getParcel(parcelIds[0]);
+        assert.equal(parcel.payment_status, 'paid');
+        assert.equal(parcel.refunded_amount, undefined);
+    });
+
+    it('refunds a second payment of the same parcel', async () => {
+        const metadata = { parcelId: parcelIds[0].toString(), email: OWNER };
+        const first = fixtures.paymentSucceeded({ amount: 2000, metadata });
+        const second = fixtures.paymentSucceeded({ amount: 2000, metadata });
+        await deliver(first);
+        await deliver(second);
+        await deliver(first);
+
+        assert.deepEqual(callsTo('refunds.create').map((entry) => entry.params.payment_intent), [second.data.object.id]);
+        const parcel = await getParcel(parcelIds[0]);
+        assert.equal(parcel.payment_status, 'paid');
+        assert.equal(parcel.payment_intent_id, first.data.object.id);
+
+        const duplicateRefund = await db.collection('payments').findOne({ type: 'refund', transactionId: second.data.object.id });
+        const refunded = fixtures.chargeRefunded({ paymentIntentId: second.data.object.id, amount: 2000, refunds: [{ amount: 2000 }] });
+        refunded.data.object.refunds.data[0].id = duplicateRefund.refundId;
+        await deliver(refunded);
+        assert.equal((await getParcel(parcelIds[0])).payment_status, 'paid');
+        assert.equal(await db.collection('payments').countDocuments({ type: 'refund', transactionId: second.data.object.id }), 1);
+    });
+
+    it('hands out the open return charge intent again, and cancels it when the charge changed', async () => {
+        await returnParcel();
+        const first = await payReturnCharge();
+        const second = await payReturnCharge();
+
+        assert.equal(first.status, 200);
+        assert.equal(first.body.amountInCents, 500);
+        assert.equal(second.body.clientSecret, first.body.clientSecret);
+        assert.equal((await getParcel(parcelIds[0])).return_charge.open_payment_intent_id, intentId(first.body.clientSecret));
+
+        await db.collection('parcels').updateOne({ _id: parcelIds[0] }, { $set: { 'return_charge.amount': 7 } });
+        const changed = await payReturnCharge();
+        assert.notEqual(changed.body.clientSecret, first.body.clientSecret);
+        assert.equal(stripe.intents.get(intentId(first.body.clientSecret)).status, 'canceled');
+        assert.equal(callsTo('paymentIntents.create').length, 2);
+    });
+
+    it('refunds a second successful return charge payment', async () => {
+        await returnParcel();
+        const metadata = { parcelId: parcelIds[0].toString(), email: OWNER, purpose: 'return_charge' };
+        const first = fixtures.paymentSucceeded({ amount: 500, metadata });
+        const second = fixtures.paymentSucceeded({ amount: 500, metadata });
+        await deliver(first);
+        await deliver(second);
+
+        const refunds = callsTo('refunds.create');
+        assert.deepEqual(refunds.map((entry) => [entry.params.payment_intent, entry.params.amount]), [[second.data.object.id, 500]]);
+        const parcel = await getParcel(parcelIds[0]);
+        assert.equal(parcel.return_charge.status, 'paid');
+        assert.equal(parcel.return_charge.payment_intent_id, first.data.object.id);
+        const extra = await db.collection('payments').findOne({ transactionId: second.data.object.id, type: 'return_charge' });
+        assert.equal(extra.duplicate_of, first.data.object.id);
+        assert.equal(await db.collection('payments').countDocuments({ type: 'refund', transactionId: second.data.object.id }), 1);
+    });
+});
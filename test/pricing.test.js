@@ -0,0 +1,44 @@
+// Parcel pricing (utils/pricing.js) and the weight limit of the quote and booking schemas
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, listen } = require('./helpers/app');
+const { MAX_WEIGHT_KG, getPricingError, calculateParcelPrice } = require('../utils/pricing');
+
+const { app } = loadApp();
+
+const quote = (weight) => ({ type: 'non-document', weight, sender_center: 'Dhaka', receiver_center: 'Sylhet' });
+
+describe('parcel weight limit', () => {
+    let server;
+
+    const postQuote = async (body) => {
+        const response = await fetch(`${server.baseUrl}/parcels/quote`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    before(async () => {
+        server = await listen(app);
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('prices parcels up to the limit', async () => {
+        const { status, body } = await postQuote(quote(MAX_WEIGHT_KG));
+        assert.equal(status, 200);
+        assert.equal(body.total, calculateParcelPrice(quote(MAX_WEIGHT_KG)).total);
+    });
+
+    it('rejects heavier parcels with a 400', async () => {
+        const { status, body } = await postQuote(quote(1e12));
+        assert.equal(status, 400);
+        assert.deepEqual(body.errors, [{ field: 'weight', message: `weight must be at most ${MAX_WEIGHT_KG}` }]);
+        assert.match(getPricingError(quote(MAX_WEIGHT_KG + 1)), /at most/);
+    });
+});
@@ -0,0 +1,62 @@
+// Delivery codes (utils/proofOfDelivery.js): HMAC-keyed with a server secret, never with an empty key, and the
+// server doesn't start without one
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { ObjectId } = require('mongodb');
+const { issueDeliveryCode, verifyDeliveryCode } = require('../utils/proofOfDelivery');
+
+const SECRETS = ['DELIVERY_CODE_SECRET', 'JWT_ACCESS_SECRET'];
+
+describe('delivery codes', () => {
+    let saved;
+    const parcel = { _id: new ObjectId() };
+
+    beforeEach(() => {
+        saved = Object.fromEntries(SECRETS.map((name) => [name, process.env[name]]));
+    });
+
+    afterEach(() => {
+        for (const name of SECRETS) {
+            if (saved[name] === undefined) delete process.env[name];
+            else process.env[name] = saved[name];
+        }
+    });
+
+    it('accepts the issued code', async () => {
+        process.env.DELIVERY_CODE_SECRET = 'delivery-secret';
+        const { code, set } = issueDeliveryCode(parcel);
+
+        assert.match(code, /^\d{6}$/);
+        await verifyDeliveryCode(null, { ...parcel, ...set }, code);
+    });
+
+    it('falls back to JWT_ACCESS_SECRET', () => {
+        delete process.env.DELIVERY_CODE_SECRET;
+        process.env.JWT_ACCESS_SECRET = 'access-secret';
+
+        assert.match(issueDeliveryCode(parcel).set.delivery_code_hash, /^[0-9a-f]{64}$/);
+    });
+
+    it('refuses to issue or check codes without a secret', async () => {
+        process.env.DELIVERY_CODE_SECRET = 'delivery-secret';
+        const { code, set } = issueDeliveryCode(parcel);
+        SECRETS.forEach((name) => delete process.env[name]);
+
+        assert.throws(() => issueDeliveryCode(parcel), /DELIVERY_CODE_SECRET/);
+        await assert.rejects(verifyDeliveryCode(null, { ...parcel, ...set }, code), /DELIVERY_CODE_SECRET/);
+    });
+
+    it('refuses to start the server without a secret', () => {
+        const { status, stderr } = spawnSync(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+            env: { PATH: process.env.PATH, PAYMENT_GATEWAY_KEY: 'sk_test_dummy' }, // Only the secrets are missing
+            encoding: 'utf8',
+            timeout: 30000,
+        });
+
+        assert.equal(status, 1);
+        assert.match(stderr, /DELIVERY_CODE_SECRET \(or JWT_ACCESS_SECRET\) must be set/);
+    });
+});
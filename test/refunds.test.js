@@ -0,0 +1,203 @@
+// Cancelling paid parcels (POST /parcels/:id/cancel, POST /parcels/:id/refund with cancel): the cancellation is
+// claimed before the refund, and a refund that fails leaves the parcel flagged for retry (utils/refunds.js).
+// Open payment intents are cancelled with the parcel and a payment that still comes in is refunded.
+
+const { describe, it, before, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { loadApp, listen, tokenFor } = require('./helpers/app');
+const fixtures = require('./fixtures/stripeEvents');
+
+const { app, db, stripe } = loadApp();
+
+const OWNER = 'owner@example.com';
+const ADMIN = 'admin@example.com';
+
+describe('refunds on cancellation', () => {
+    let server;
+    let parcelId;
+    let originalError;
+
+    const call = async (method, path, email, body = {}) => {
+        const response = await fetch(`${server.baseUrl}${path}`, {
+            method,
+            headers: { 'content-type': 'application/json', authorization: `Bearer ${tokenFor(email)}` },
+            body: method === 'GET' ? undefined : JSON.stringify(body),
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    const deliver = async (event) => {
+        const payload = JSON.stringify(event);
+        const response = await fetch(`${server.baseUrl}/stripe/webhook`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', 'stripe-signature': fixtures.sign(payload) },
+            body: payload,
+        });
+        assert.equal(response.status, 200);
+    };
+
+    const getParcel = () => db.collection('parcels').findOne({ _id: parcelId });
+    const makeUnpaid = () => db.collection('parcels').updateOne(
+        { _id: parcelId },
+        { $set: { payment_status: 'unpaid', pricing: { total: 60 } }, $unset: { payment_intent_id: '' } }
+    );
+    const refundCalls = () => stripe.calls.filter((call) => call.method === 'refunds.create');
+    const failRefunds = () => {
+        stripe.refunds.create = async () => { throw new Error('Stripe is unavailable'); };
+    };
+
+    before(async () => {
+        server = await listen(app);
+    });
+
+    beforeEach(async () => {
+        await db.reset();
+        stripe.reset();
+        originalError = console.error;
+        console.error = () => {}; // Failed refunds are logged on purpose
+        parcelId = new ObjectId();
+        await db.collection('users').insertMany([{ email: OWNER, role: 'user' }, { email: ADMIN, role: 'admin' }]);
+        await db.collection('parcels').insertOne({
+            _id: parcelId,
+            tracking_id: 'TRK-REFUND-1',
+            created_by: OWNER,
+            cost: 60,
+            currency: 'usd',
+            payment_status: 'paid',
+            payment_intent_id: 'pi_paid',
+            delivery_status: 'pending',
+        });
+        await db.collection('payments').insertOne({
+            parcelId: parcelId.toString(),
+            email: OWNER,
+            amount: 60,
+            amountInCents: 6000,
+            currency: 'usd',
+            type: 'payment',
+            status: 'succeeded',
+            transactionId: 'pi_paid',
+            paid_at: new Date(),
+        });
+    });
+
+    afterEach(() => {
+        console.error = originalError;
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('cancels first, then refunds the sender in full', async () => {
+        const { status, body } = await call('POST', `/parcels/${parcelId}/cancel`, OWNER, { reason: 'Changed my mind' });
+
+        assert.equal(status, 200);
+        assert.equal(body.refund.amount, 60);
+        const parcel = await getParcel();
+        assert.equal(parcel.delivery_status, 'cancelled');
+        assert.equal(parcel.payment_status, 'refunded');
+        assert.equal(parcel.refund_retry, undefined);
+        const trackings = await db.collection('trackings').find({ tracking_id: 'TRK-REFUND-1' }).sort({ timestamp: 1 }).toArray();
+        assert.deepEqual(trackings.map((entry) => entry.status), ['cancelled', 'refunded']);
+    });
+
+    it('refunds once when the sender cancels twice at the same time', async () => {
+        const { create } = stripe.refunds;
+        stripe.refunds.create = async (...args) => {
+            await new Promise((resolve) => setTimeout(resolve, 50)); // Both requests are in flight during the refund
+            return create(...args);
+        };
+        const responses = await Promise.all([
+            call('POST', `/parcels/${parcelId}/cancel`, OWNER),
+            call('POST', `/parcels/${parcelId}/cancel`, OWNER),
+        ]);
+
+        assert.deepEqual(responses.map((response) => response.status).sort(), [200, 409]);
+        assert.equal(refundCalls().length, 1);
+        assert.equal(await db.collection('payments').countDocuments({ type: 'refund' }), 1);
+    });
+
+    it('keeps the cancellation and flags the parcel when the refund fails, an admin retry clears it', async () => {
+        failRefunds();
+        const cancelled = await call('POST', `/parcels/${parcelId}/cancel`, OWNER);
+
+        assert.equal(cancelled.status, 200);
+        assert.equal(cancelled.body.refund_pending, true);
+        let parcel = await getParcel();
+        assert.equal(parcel.delivery_status, 'cancelled');
+        assert.equal(parcel.payment_status, 'paid');
+        assert.equal(parcel.refund_retry.amount, 60);
+        assert.equal(parcel.refund_retry.error, 'Stripe is unavailable');
+
+        const flagged = await call('GET', '/parcels?refund_retry=true', ADMIN);
+        assert.deepEqual(flagged.body.data.map((entry) => entry._id), [parcelId.toString()]);
+
+        stripe.reset();
+        const retried = await call('POST', `/parcels/${parcelId}/refund`, ADMIN, { reason: 'Retry failed cancellation refund' });
+        assert.equal(retried.status, 200);
+        parcel = await getParcel();
+        assert.equal(parcel.payment_status, 'refunded');
+        assert.equal(parcel.refund_retry, undefined);
+        assert.deepEqual((await call('GET', '/parcels?refund_retry=true', ADMIN)).body.data, []);
+    });
+
+    it('reports a failed admin refund after cancelling, with the parcel flagged for retry', async () => {
+        failRefunds();
+        const { status } = await call('POST', `/parcels/${parcelId}/refund`, ADMIN, { reason: 'Lost at the hub', cancel: true });
+
+        assert.equal(status, 502);
+        const parcel = await getParcel();
+        assert.equal(parcel.delivery_status, 'cancelled');
+        assert.equal(parcel.refund_retry.reason, 'Lost at the hub');
+    });
+
+    it('refunds the rest of a partially refunded parcel', async () => {
+        await db.collection('parcels').updateOne({ _id: parcelId }, { $set: { payment_status: 'partially_refunded', refunded_amount: 20 } });
+        const { status, body } = await call('POST', `/parcels/${parcelId}/cancel`, OWNER);
+
+        assert.equal(status, 200);
+        assert.equal(body.refund.amount, 40);
+        const parcel = await getParcel();
+        assert.equal(parcel.payment_status, 'refunded');
+        assert.equal(parcel.refunded_amount, 60);
+    });
+
+    it('cancels the open payment intent and refuses new ones for the cancelled parcel', async () => {
+        await makeUnpaid();
+        const intent = await call('POST', '/create-payment-intent', OWNER, { parcelId: parcelId.toString() });
+        assert.equal(intent.status, 200);
+
+        assert.equal((await call('POST', `/parcels/${parcelId}/cancel`, OWNER)).status, 200);
+        const intentId = intent.body.clientSecret.replace(/_secret$/, '');
+        assert.equal(stripe.intents.get(intentId).status, 'canceled');
+        assert.equal((await getParcel()).open_payment_intent_id, undefined);
+
+        const again = await call('POST', '/create-payment-intent', OWNER, { parcelId: parcelId.toString() });
+        assert.equal(again.status, 409);
+        assert.equal(stripe.calls.filter((entry) => entry.method === 'paymentIntents.create').length, 1);
+    });
+
+    it('refunds a payment that succeeds after the parcel was cancelled', async () => {
+        await makeUnpaid();
+        assert.equal((await call('POST', `/parcels/${parcelId}/cancel`, OWNER)).status, 200);
+        const late = fixtures.paymentSucceeded({ amount: 6000, metadata: { parcelId: parcelId.toString(), email: OWNER } });
+        await deliver(late);
+        await deliver(late);
+
+        assert.deepEqual(refundCalls().map((entry) => [entry.params.payment_intent, entry.params.metadata.reason]), [[late.data.object.id, 'parcel_cancelled']]);
+        const parcel = await getParcel();
+        assert.equal(parcel.delivery_status, 'cancelled');
+        assert.equal(parcel.payment_status, 'unpaid');
+        const payment = await db.collection('payments').findOne({ transactionId: late.data.object.id, type: 'payment' });
+        assert.equal(payment.not_applied, 'parcel_cancelled');
+    });
+
+    it('leaves the parcel untouched when the refund is rejected up front', async () => {
+        const { status } = await call('POST', `/parcels/${parcelId}/refund`, ADMIN, { reason: 'Too much', amount: 80, cancel: true });
+
+        assert.equal(status, 400);
+        assert.equal((await getParcel()).delivery_status, 'pending');
+        assert.equal(refundCalls().length, 0);
+    });
+});
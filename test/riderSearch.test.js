@@ -0,0 +1,48 @@
+// Admin rider searches (GET /riders/available, GET /riders/nearby): query strings are validated before they reach Mongo
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, listen, tokenFor } = require('./helpers/app');
+
+const { app, db } = loadApp();
+
+const ADMIN = 'admin@example.com';
+
+describe('rider searches', () => {
+    let server;
+
+    const get = async (path) => {
+        const response = await fetch(`${server.baseUrl}${path}`, { headers: { authorization: `Bearer ${tokenFor(ADMIN)}` } });
+        return { status: response.status, body: await response.json() };
+    };
+
+    before(async () => {
+        server = await listen(app);
+    });
+
+    beforeEach(async () => {
+        await db.reset();
+        await db.collection('users').insertOne({ email: ADMIN, role: 'admin' });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('requires a single district for available riders', async () => {
+        assert.equal((await get('/riders/available')).status, 400);
+        const repeated = await get('/riders/available?district=Dhaka&district=Sylhet');
+        assert.equal(repeated.status, 400);
+        assert.deepEqual(repeated.body.errors.map((error) => error.field), ['district']);
+        assert.equal((await get('/riders/available?district[$ne]=x')).status, 400);
+        assert.equal((await get('/riders/available?district=Dhaka')).status, 200);
+    });
+
+    it('caps the nearby radius at 100 km', async () => {
+        const tooFar = await get('/riders/nearby?lat=23.8&lng=90.4&radius=5000');
+        assert.equal(tooFar.status, 400);
+        assert.deepEqual(tooFar.body.errors, [{ field: 'radius', message: 'radius must be at most 100' }]);
+        assert.equal((await get('/riders/nearby?lat=23.8&lng=90.4&radius=0')).status, 400);
+        assert.equal((await get('/riders/nearby?lat=95&lng=90.4')).status, 400);
+    });
+});
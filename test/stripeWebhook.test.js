@@ -0,0 +1,134 @@
+// Stripe webhook reconciliation with locally signed fixture events (test/fixtures/stripeEvents.js)
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { loadApp, listen } = require('./helpers/app');
+const { subscribeParcelEvents } = require('../utils/events');
+const fixtures = require('./fixtures/stripeEvents');
+
+const { app, db } = loadApp();
+
+const OWNER = 'owner@example.com';
+
+describe('POST /stripe/webhook', () => {
+    let server;
+    let parcelId;
+
+    const deliver = async (event, { signature } = {}) => {
+        const payload = JSON.stringify(event);
+        const response = await fetch(`${server.baseUrl}/stripe/webhook`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', 'stripe-signature': signature || fixtures.sign(payload) },
+            body: payload,
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    const getParcel = () => db.collection('parcels').findOne({ _id: parcelId });
+    const getPayments = (filter = {}) => db.collection('payments').find({ parcelId: parcelId.toString(), ...filter }).toArray();
+
+    before(async () => {
+        server = await listen(app);
+    });
+
+    beforeEach(async () => {
+        await db.reset();
+        parcelId = new ObjectId();
+        await db.collection('parcels').insertOne({
+            _id: parcelId,
+            tracking_id: 'TRK-PAY-1',
+            created_by: OWNER,
+            cost: 25.5,
+            currency: 'usd',
+            payment_status: 'unpaid',
+            delivery_status: 'pending',
+        });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('rejects events without a valid signature', async () => {
+        const event = fixtures.paymentSucceeded({ amount: 2550, metadata: { parcelId: parcelId.toString(), email: OWNER } });
+        const forged = await deliver(event, { signature: fixtures.sign(JSON.stringify(event), 'whsec_other') });
+        assert.equal(forged.status, 400);
+        assert.equal((await getParcel()).payment_status, 'unpaid');
+        assert.deepEqual(await getPayments(), []);
+    });
+
+    it('records the payment, marks the parcel paid and publishes a paid event', async () => {
+        const published = [];
+        const unsubscribe = subscribeParcelEvents((entry) => entry.tracking_id === 'TRK-PAY-1', (entry) => published.push(entry.status));
+
+        const event = fixtures.paymentSucceeded({ amount: 2550, metadata: { parcelId: parcelId.toString(), email: OWNER } });
+        const { status, body } = await deliver(event);
+        unsubscribe();
+
+        assert.equal(status, 200);
+        assert.deepEqual(body, { received: true, handled: true });
+        const parcel = await getParcel();
+        assert.equal(parcel.payment_status, 'paid');
+        assert.equal(parcel.payment_intent_id, event.data.object.id);
+        const [payment] = await getPayments();
+        assert.equal(payment.amount, 25.5);
+        assert.equal(payment.amountInCents, 2550);
+        assert.equal(payment.status, 'succeeded');
+        assert.equal(payment.email, OWNER);
+        assert.deepEqual(published, ['paid']);
+    });
+
+    it('ignores a replayed event', async () => {
+        const event = fixtures.paymentSucceeded({ amount: 2550, metadata: { parcelId: parcelId.toString(), email: OWNER } });
+        await deliver(event);
+        const replay = await deliver(event);
+
+        assert.equal(replay.status, 200);
+        assert.equal(replay.body.handled, false);
+        assert.equal((await getPayments()).length, 1);
+        assert.equal(await db.collection('trackings').countDocuments({ status: 'paid' }), 1);
+    });
+
+    it('flags the parcel when a payment fails, and a later success still pays it', async () => {
+        const metadata = { parcelId: parcelId.toString(), email: OWNER };
+        await deliver(fixtures.paymentFailed({ amount: 2550, metadata }));
+        assert.equal((await getParcel()).payment_status, 'failed');
+        const [failed] = await getPayments({ status: 'failed' });
+        assert.equal(failed.failure_message, 'Your card was declined.');
+
+        await deliver(fixtures.paymentSucceeded({ amount: 2550, metadata }));
+        assert.equal((await getParcel()).payment_status, 'paid');
+    });
+
+    it('records refunds once and moves the parcel to partially refunded, then refunded', async () => {
+        const succeeded = fixtures.paymentSucceeded({ amount: 2550, metadata: { parcelId: parcelId.toString(), email: OWNER } });
+        await deliver(succeeded);
+        const paymentIntentId = succeeded.data.object.id;
+
+        const partial = fixtures.chargeRefunded({ paymentIntentId, amount: 2550, refunds: [{ amount: 1000 }] });
+        await deliver(partial);
+        let parcel = await getParcel();
+        assert.equal(parcel.payment_status, 'partially_refunded');
+        assert.equal(parcel.refunded_amount, 10);
+
+        // Stripe lists every refund of the charge, the first one must not be recorded twice
+        const full = fixtures.chargeRefunded({ paymentIntentId, amount: 2550, refunds: [{ amount: 1550 }] });
+        full.data.object.refunds.data.unshift(partial.data.object.refunds.data[0]);
+        full.data.object.amount_refunded = 2550;
+        await deliver(full);
+
+        parcel = await getParcel();
+        assert.equal(parcel.payment_status, 'refunded');
+        assert.equal(parcel.refunded_amount, 25.5);
+        const refunds = await getPayments({ type: 'refund' });
+        assert.deepEqual(refunds.map((refund) => refund.amount).sort(), [10, 15.5]);
+    });
+
+    it('acknowledges event types it does not handle', async () => {
+        const event = { ...fixtures.paymentSucceeded({ amount: 100, metadata: {} }), type: 'customer.created' };
+        const { status, body } = await deliver(event);
+        assert.equal(status, 200);
+        assert.equal(body.handled, false);
+    });
+});
@@ -0,0 +1,261 @@
+// --- Admin Analytics ---
+// Aggregation pipelines behind the /admin/analytics endpoints. Every builder takes the validated
+// filters ({ from, to, district, interval, limit }) and returns a plain pipeline, so the numbers
+// are computed by Mongo and the builders can be checked against seeded data.
+
+const { dateRangeFilter, districtFilter, combineFilters } = require('./listing');
+const { NOT_DELETED } = require('./softDelete');
+const { roundMoney } = require('./currency');
+
+// Hours a delivery may take from rider assignment to handoff before it counts as late
+const DELIVERY_SLA_HOURS = {
+    withinDistrict: 24,
+    outsideDistrict: 72,
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DELIVERED_STATUSES = ['delivered', 'service_center_delivered'];
+
+// picked_at / delivered_at are stored as ISO strings, $convert copes with both strings and dates
+const toDate = (field) => ({ $convert: { input: field, to: 'date', onError: null, onNull: null } });
+
+const hoursBetween = (start, end) => ({ $divide: [{ $subtract: [toDate(end), toDate(start)] }, HOUR_MS] });
+
+const PARCEL_DISTRICT_FIELDS = ['pricing.sender_district', 'sender_center', 'pricing.receiver_district', 'receiver_center'];
+
+// Parcels in the trash are left out; with a district, only parcels sent from or to it
+const parcelScope = (district) => combineFilters(NOT_DELETED, districtFilter(district, PARCEL_DISTRICT_FIELDS));
+
+// For payments and earnings: with a district, keeps only rows whose parcel (`parcelIdField`, a string id)
+// was sent from or to it
+const parcelDistrictStages = (parcelIdField, district) => (district
+    ? [
+        {
+            $lookup: {
+                from: 'parcels',
+                let: { parcelObjectId: { $convert: { input: parcelIdField, to: 'objectId', onError: null, onNull: null } } },
+                pipeline: [{ $match: { $expr: { $eq: ['$_id', '$$parcelObjectId'] } } }],
+                as: 'parcel',
+            },
+        },
+        { $unwind: '$parcel' },
+        { $match: districtFilter(district, PARCEL_DISTRICT_FIELDS.map((field) => `parcel.${field}`)) },
+    ]
+    : []);
+
+const senderDistrict = { $ifNull: ['$pricing.sender_district', '$sender_center'] };
+
+// Delivery metrics are dated by delivered_at rather than createdAt
+const deliveredBetween = (from, to) => [
+    { $addFields: { delivered_date: toDate('$delivered_at') } },
+    { $match: combineFilters({ delivered_date: { $type: 'date' } }, dateRangeFilter('delivered_date', from, to)) },
+];
+
+const round = (expression, places = 2) => ({ $round: [expression, places] });
+
+// Revenue per day/week/month: gross payments (parcels and return charges), refunds and net
+const revenuePipeline = ({ from, to, district, interval = 'day' }) => [
+    {
+        $match: combineFilters(
+            { $or: [{ type: { $in: ['payment', 'return_charge', 'refund'] } }, { type: { $exists: false } }] },
+            { status: { $ne: 'failed' } }
+        ),
+    },
+    // Refunds are dated by refunded_at, payments by paid_at
+    { $addFields: { booked_at: { $ifNull: ['$paid_at', '$refunded_at'] } } },
+    { $match: combineFilters({ booked_at: { $type: 'date' } }, dateRangeFilter('booked_at', from, to)) },
+    ...parcelDistrictStages('$parcelId', district),
+    {
+        $group: {
+            _id: { $dateTrunc: { date: '$booked_at', unit: interval, startOfWeek: 'monday' } },
+            gross: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, 0, '$amount'] } },
+            refunds: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, '$amount', 0] } },
+            payments: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, 0, 1] } },
+        },
+    },
+    { $sort: { _id: 1 } },
+    {
+        $project: {
+            _id: 0,
+            period: '$_id',
+            gross: round('$gross'),
+            refunds: round('$refunds'),
+            net: round({ $subtract: ['$gross', '$refunds'] }),
+            payments: 1,
+        },
+    },
+];
+
+// Parcels created vs delivered per day
+const createdVsDeliveredPipeline = ({ from, to, district }) => [
+    { $match: parcelScope(district) },
+    {
+        $facet: {
+            created: [
+                { $match: dateRangeFilter('createdAt', from, to) },
+                { $group: { _id: { $dateTrunc: { date: '$createdAt', unit: 'day' } }, count: { $sum: 1 } } },
+            ],
+            delivered: [
+                { $match: { delivery_status: { $in: DELIVERED_STATUSES } } },
+                ...deliveredBetween(from, to),
+                { $group: { _id: { $dateTrunc: { date: '$delivered_date', unit: 'day' } }, count: { $sum: 1 } } },
+            ],
+        },
+    },
+];
+
+// Merges the two facets of createdVsDeliveredPipeline into one row per day
+const mergeCreatedVsDelivered = ([result = { created: [], delivered: [] }]) => {
+    const days = new Map();
+    const row = (date) => {
+        const key = date.toISOString();
+        if (!days.has(key)) days.set(key, { date, created: 0, delivered: 0 });
+        return days.get(key);
+    };
+    result.created.forEach(({ _id, count }) => { row(_id).created = count; });
+    result.delivered.forEach(({ _id, count }) => { row(_id).delivered = count; });
+    return [...days.values()].sort((a, b) => a.date - b.date);
+};
+
+// Average hours from assignment to pickup to delivery
+const deliveryTimesPipeline = ({ from, to, district }) => [
+    {
+        $match: combineFilters(
+            { delivery_status: { $in: DELIVERED_STATUSES }, assigned_at: { $exists: true }, picked_at: { $exists: true } },
+            parcelScope(district)
+        ),
+    },
+    ...deliveredBetween(from, to),
+    {
+        $group: {
+            _id: null,
+            deliveries: { $sum: 1 },
+            assigned_to_picked: { $avg: hoursBetween('$assigned_at', '$picked_at') },
+            picked_to_delivered: { $avg: hoursBetween('$picked_at', '$delivered_at') },
+            assigned_to_delivered: { $avg: hoursBetween('$assigned_at', '$delivered_at') },
+            created_to_delivered: { $avg: hoursBetween('$createdAt', '$delivered_at') },
+        },
+    },
+    {
+        $project: {
+            _id: 0,
+            deliveries: 1,
+            avg_hours: {
+                assigned_to_picked: round('$assigned_to_picked'),
+                picked_to_delivered: round('$picked_to_delivered'),
+                assigned_to_delivered: round('$assigned_to_delivered'),
+                created_to_delivered: round('$created_to_delivered'),
+            },
+        },
+    },
+];
+
+// Parcel volume and value per sender district
+const districtVolumePipeline = ({ from, to, district }) => [
+    { $match: combineFilters(dateRangeFilter('createdAt', from, to), parcelScope(district)) },
+    {
+        $group: {
+            _id: senderDistrict,
+            parcels: { $sum: 1 },
+            delivered: { $sum: { $cond: [{ $in: ['$delivery_status', DELIVERED_STATUSES] }, 1, 0] } },
+            total_cost: { $sum: { $ifNull: ['$cost', 0] } },
+        },
+    },
+    { $sort: { parcels: -1 } },
+    { $project: { _id: 0, district: '$_id', parcels: 1, delivered: 1, total_cost: round('$total_cost') } },
+];
+
+// Senders with the most parcels
+const topSendersPipeline = ({ from, to, district, limit = 10 }) => [
+    { $match: combineFilters(dateRangeFilter('createdAt', from, to), parcelScope(district)) },
+    {
+        $group: {
+            _id: '$created_by',
+            parcels: { $sum: 1 },
+            total_paid: { $sum: { $cond: [{ $eq: ['$payment_status', 'paid'] }, { $ifNull: ['$cost', 0] }, 0] } },
+            last_parcel_at: { $max: '$createdAt' },
+        },
+    },
+    { $sort: { parcels: -1, total_paid: -1 } },
+    { $limit: limit },
+    { $project: { _id: 0, email: '$_id', parcels: 1, total_paid: round('$total_paid'), last_parcel_at: 1 } },
+];
+
+// Deliveries and on-time rate per rider (on time = delivered within the SLA after assignment)
+const riderPerformancePipeline = ({ from, to, district }) => [
+    {
+        $match: combineFilters(
+            { delivery_status: { $in: DELIVERED_STATUSES }, assigned_rider_email: { $exists: true } },
+            parcelScope(district)
+        ),
+    },
+    ...deliveredBetween(from, to),
+    {
+        $addFields: {
+            hours_to_deliver: hoursBetween('$assigned_at', '$delivered_at'),
+            sla_hours: {
+                $cond: [
+                    { $eq: ['$pricing.within_district', true] },
+                    DELIVERY_SLA_HOURS.withinDistrict,
+                    DELIVERY_SLA_HOURS.outsideDistrict,
+                ],
+            },
+        },
+    },
+    {
+        $group: {
+            _id: '$assigned_rider_email',
+            rider_name: { $last: '$assigned_rider_name' },
+            deliveries: { $sum: 1 },
+            timed: { $sum: { $cond: [{ $ne: ['$hours_to_deliver', null] }, 1, 0] } },
+            on_time: { $sum: { $cond: [{ $and: [{ $ne: ['$hours_to_deliver', null] }, { $lte: ['$hours_to_deliver', '$sla_hours'] }] }, 1, 0] } },
+        },
+    },
+    { $sort: { deliveries: -1 } },
+    {
+        $project: {
+            _id: 0,
+            rider_email: '$_id',
+            rider_name: 1,
+            deliveries: 1,
+            on_time: 1,
+            on_time_rate: { $cond: [{ $gt: ['$timed', 0] }, round({ $divide: ['$on_time', '$timed'] }, 4), null] },
+        },
+    },
+];
+
+// Earnings per rider from the ledger, for the same period and district
+const riderEarningsPipeline = ({ from, to, district }) => [
+    { $match: dateRangeFilter('delivered_at', from, to) },
+    ...parcelDistrictStages('$parcel_id', district),
+    {
+        $group: {
+            _id: '$rider_email',
+            earned: { $sum: '$amount' },
+            paid_out: { $sum: { $cond: [{ $eq: ['$status', 'paid'] }, '$amount', 0] } },
+        },
+    },
+];
+
+// Adds ledger earnings to the per-rider performance rows
+const mergeRiderEarnings = (performance, earnings) => {
+    const byRider = new Map(earnings.map((row) => [row._id, row]));
+    return performance.map((row) => ({
+        ...row,
+        earned: roundMoney(byRider.get(row.rider_email)?.earned || 0),
+        paid_out: roundMoney(byRider.get(row.rider_email)?.paid_out || 0),
+    }));
+};
+
+module.exports = {
+    DELIVERY_SLA_HOURS,
+    revenuePipeline,
+    createdVsDeliveredPipeline,
+    mergeCreatedVsDelivered,
+    deliveryTimesPipeline,
+    districtVolumePipeline,
+    topSendersPipeline,
+    riderPerformancePipeline,
+    riderEarningsPipeline,
+    mergeRiderEarnings,
+};
@@ -0,0 +1,56 @@
+// --- Audit Log ---
+// Append-only record of privileged mutations in the `audit_logs` collection: who did what to which
+// entity, the fields it changed and where the request came from. Entries are never updated; they
+// expire through a TTL index on expires_at after AUDIT_RETENTION_DAYS (default 365).
+
+const AUDIT_RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS) || 365;
+
+// Histories are audited through their own entries, so they are left out of the diff
+const IGNORED_FIELDS = ['_id', 'status_history', 'review_history'];
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Top-level fields that differ between two versions of a document: { field: { from, to } }
+const diffDocuments = (before, after) => {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = {};
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+        const from = before?.[field];
+        const to = after?.[field];
+        if (!isSameValue(from, to)) {
+            changes[field] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+        }
+    }
+    return changes;
+};
+
+// Returns recordAudit(req, { action, entity, entityId, before, after, metadata }).
+// `before` / `after` are the entity before and after the change (either may be omitted for creates and deletes).
+// Never throws: a failed audit write is logged but doesn't undo or fail the action.
+const createAuditLogger = (auditLogsCollection) => async (req, { action, entity, entityId, before, after, metadata }) => {
+    try {
+        const now = new Date();
+        await auditLogsCollection.insertOne({
+            actor_email: req.user?.email || req.decoded?.email || null,
+            actor_role: req.user?.role || null,
+            action,
+            entity,
+            entity_id: entityId ? entityId.toString() : null,
+            changes: diffDocuments(before, after),
+            metadata: metadata || null,
+            ip: req.ip || null,
+            user_agent: req.headers['user-agent'] || null,
+            timestamp: now,
+            expires_at: new Date(now.getTime() + AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+        });
+    } catch (error) {
+        console.error(`Error writing audit log for ${action}:`, error);
+    }
+};
+
+module.exports = {
+    AUDIT_RETENTION_DAYS,
+    diffDocuments,
+    createAuditLogger,
+};
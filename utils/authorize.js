@@ -0,0 +1,86 @@
+// --- Authorization ---
+// Routes declare who may call them with authorize(...rules); access is granted when any rule matches.
+// Must run after the token middleware that sets req.decoded.
+//
+// Rules:
+// admin         - user with role admin
+// rider         - user with role rider
+// user          - any authenticated user
+// self          - the :email param (or ?email=) is the caller's own email
+// parcelOwner   - the caller created the parcel (:id param, or parcelId in the body, or req.parcelId set by
+//                 an earlier middleware for routes about something else, e.g. a payment)
+// assignedRider - the caller is the rider assigned to that parcel
+// legRider      - the caller rode one of the parcel's hub route legs (see utils/serviceCenters.js)
+//
+// On success req.user holds the caller's user document (or { email, role: 'user' } if they have none yet)
+// and, for parcel rules, req.parcel holds the parcel.
+
+const { ObjectId } = require('mongodb');
+const { NOT_DELETED } = require('./softDelete');
+
+const PARCEL_RULES = ['parcelOwner', 'assignedRider', 'legRider'];
+
+const RULES = {
+    admin: ({ user }) => user.role === 'admin',
+    rider: ({ user }) => user.role === 'rider',
+    user: () => true,
+    self: ({ user, req }) => {
+        const email = req.params.email || req.query.email;
+        return Boolean(email) && email === user.email;
+    },
+    parcelOwner: ({ user, parcel }) => parcel.created_by === user.email,
+    assignedRider: ({ user, parcel }) => user.role === 'rider' && parcel.assigned_rider_email === user.email,
+    legRider: ({ user, parcel }) => user.role === 'rider' && Boolean(parcel.route?.legs?.some((leg) => leg.rider_email === user.email)),
+};
+
+const getParcelId = (req) => req.parcelId || req.params.id || req.body?.parcelId;
+
+const createAuthorize = ({ usersCollection, parcelsCollection }) => (...rules) => {
+    const unknown = rules.filter((rule) => !RULES[rule]);
+    if (unknown.length) throw new Error(`Unknown authorization rule(s): ${unknown.join(', ')}`);
+    const needsParcel = rules.some((rule) => PARCEL_RULES.includes(rule));
+
+    return async (req, res, next) => {
+        const email = req.decoded?.email;
+        if (!email) {
+            return res.status(401).send({ message: 'Unauthorized access: Email not found in token' });
+        }
+
+        try {
+            const user = (await usersCollection.findOne({ email })) || { email, role: 'user' };
+            if (user.deleted_at) {
+                return res.status(403).send({ message: 'Forbidden: This account has been deleted' });
+            }
+            req.user = user;
+
+            let parcel = null;
+            if (needsParcel) {
+                const parcelId = getParcelId(req);
+                if (!parcelId || !ObjectId.isValid(parcelId)) {
+                    return res.status(400).send({ message: 'A valid parcel id is required' });
+                }
+                parcel = await parcelsCollection.findOne({ _id: new ObjectId(parcelId), ...NOT_DELETED });
+                if (!parcel) {
+                    return res.status(404).send({ message: 'Parcel not found' });
+                }
+                req.parcel = parcel;
+            }
+
+            const allowed = rules.some((rule) => {
+                if (PARCEL_RULES.includes(rule) && !parcel) return false;
+                return RULES[rule]({ user, parcel, req });
+            });
+            if (!allowed) {
+                return res.status(403).send({ message: 'Forbidden access' });
+            }
+            next();
+        } catch (error) {
+            console.error("Authorization error:", error);
+            res.status(500).send({ message: 'Failed to authorize request' });
+        }
+    };
+};
+
+module.exports = {
+    createAuthorize,
+};
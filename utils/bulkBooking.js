@@ -0,0 +1,161 @@
+// --- Bulk Booking ---
+// Business senders book many parcels at once (POST /parcels/bulk) from a CSV file or a JSON array.
+// Every row goes through the same validation and pricing as POST /parcels; the batch is only inserted
+// when every row is valid, all parcels in one transaction, together with a `parcel_batches` document.
+// Parcels carry the batch_id, so the batch can be listed, paid with one payment intent and tracked as a group.
+//
+// Batch payment_status: unpaid -> partially_paid (some parcels were paid on their own) -> paid
+
+const { ObjectId } = require('mongodb');
+const { validate } = require('./validation');
+const { parcel: parcelSchema } = require('./schemas');
+const { getPricingError, calculateParcelPrice } = require('./pricing');
+const { initialStatusHistory } = require('./parcelStatus');
+const { planParcelRoute } = require('./serviceCenters');
+const { generateTrackingId } = require('./tracking');
+const { CURRENCY, toMinorUnits, roundMoney } = require('./currency');
+const { createHttpError } = require('./errors');
+
+const MAX_BULK_ROWS = Number(process.env.MAX_BULK_ROWS) || 500;
+const BULK_CSV_LIMIT = '2mb';
+
+// Builds a new parcel from a validated parcel body: server-side price, initial statuses and history
+const buildParcelDocument = (input, createdBy) => {
+    const pricing = calculateParcelPrice(input);
+    return {
+        ...input,
+        created_by: createdBy, // Always the caller, never taken from the body
+        pricing,
+        cost: pricing.total,
+        cost_minor: toMinorUnits(pricing.total),
+        currency: CURRENCY,
+        createdAt: new Date(),
+        delivery_status: 'pending',
+        status_history: initialStatusHistory(createdBy),
+        payment_status: 'unpaid',
+    };
+};
+
+// Rows from the request: a CSV body (parsed by the route) or a JSON array, optionally as { parcels: [...] }
+const getBulkRows = (body) => {
+    const rows = Array.isArray(body) ? body : body?.parcels;
+    if (!Array.isArray(rows) || rows.length === 0) {
+        throw createHttpError(400, 'Send the parcels as CSV (text/csv) or a JSON array');
+    }
+    if (rows.length > MAX_BULK_ROWS) {
+        throw createHttpError(400, `A batch can have at most ${MAX_BULK_ROWS} parcels`);
+    }
+    return rows;
+};
+
+// Validates and prices every row. Returns { parcels, rows, errors, total }, where `rows` is the per-row
+// summary shown in dry runs and `errors` is [{ row, errors: [{ field, message }] }] (rows count from 1).
+// Routes are planned once per district pair.
+const prepareBulkParcels = async (inputRows, { createdBy, serviceCentersCollection }) => {
+    const parcels = [];
+    const rows = [];
+    const errors = [];
+    const routes = new Map();
+
+    for (const [index, input] of inputRows.entries()) {
+        const row = index + 1;
+        const { value, errors: fieldErrors } = validate(parcelSchema, input);
+        const pricingError = fieldErrors.length === 0 ? getPricingError(value) : null;
+        if (pricingError) fieldErrors.push({ field: 'pricing', message: pricingError });
+        if (fieldErrors.length > 0) {
+            errors.push({ row, errors: fieldErrors });
+            rows.push({ row, valid: false, errors: fieldErrors });
+            continue;
+        }
+
+        const parcel = buildParcelDocument(value, createdBy);
+        const routeKey = `${parcel.pricing.sender_district}|${parcel.pricing.receiver_district}`.toLowerCase();
+        if (!routes.has(routeKey)) routes.set(routeKey, await planParcelRoute(serviceCentersCollection, parcel));
+        const { route } = routes.get(routeKey);
+        // Each parcel gets its own copy, addresses differ per row
+        parcel.route = route && {
+            ...route,
+            legs: route.legs.map((leg) => ({
+                ...leg,
+                from: leg.type === 'first_mile' ? { ...leg.from, address: parcel.sender_address } : leg.from,
+                to: leg.type === 'last_mile' ? { ...leg.to, address: parcel.receiver_address } : leg.to,
+            })),
+        };
+        parcel.batch_row = row;
+
+        parcels.push(parcel);
+        rows.push({ row, valid: true, receiver_name: parcel.receiver_name, pricing: parcel.pricing, legs: parcel.route?.legs.length || 1 });
+    }
+
+    const total = roundMoney(parcels.reduce((sum, parcel) => sum + parcel.cost, 0));
+    return { parcels, rows, errors, total };
+};
+
+const isDuplicateKey = (error) => error?.code === 11000 || error?.writeErrors?.some?.((writeError) => writeError.code === 11000);
+
+// Inserts the batch and its parcels in one transaction. Tracking ids are generated here and the whole
+// transaction is retried on the (unlikely) tracking id collision. Returns the batch document.
+const insertParcelBatch = async ({ client, parcelsCollection, parcelBatchesCollection }, parcels, { createdBy, source }, maxAttempts = 3) => {
+    const batch = {
+        created_by: createdBy,
+        source,
+        count: parcels.length,
+        total: roundMoney(parcels.reduce((sum, parcel) => sum + parcel.cost, 0)),
+        currency: CURRENCY,
+        payment_status: 'unpaid',
+        created_at: new Date(),
+    };
+
+    for (let attempt = 1; ; attempt++) {
+        const session = client.startSession();
+        try {
+            await session.withTransaction(async () => {
+                delete batch._id;
+                const { insertedId } = await parcelBatchesCollection.insertOne(batch, { session });
+                for (const parcel of parcels) {
+                    delete parcel._id; // insertMany sets _id on the objects even when the transaction aborts
+                    parcel.batch_id = insertedId.toString();
+                    parcel.tracking_id = generateTrackingId(parcel.createdAt);
+                }
+                await parcelsCollection.insertMany(parcels, { session });
+            });
+            return batch;
+        } catch (error) {
+            if (!isDuplicateKey(error) || attempt >= maxAttempts) throw error;
+        } finally {
+            await session.endSession();
+        }
+    }
+};
+
+// Parcels of a batch that still have to be paid online (cash on delivery parcels are paid to the rider)
+const UNPAID_IN_BATCH = {
+    payment_status: { $in: ['unpaid', 'failed'] },
+    payment_method: { $ne: 'cash_on_delivery' },
+    delivery_status: { $ne: 'cancelled' },
+    deleted_at: null,
+};
+
+// Recomputes a batch's payment_status from its parcels (`batchId` as stored on the parcels, a string)
+const refreshBatchPaymentStatus = async ({ parcelsCollection, parcelBatchesCollection }, batchId) => {
+    const [unpaid, paid] = await Promise.all([
+        parcelsCollection.countDocuments({ batch_id: batchId, ...UNPAID_IN_BATCH }),
+        parcelsCollection.countDocuments({ batch_id: batchId, payment_status: { $in: ['paid', 'refunded', 'partially_refunded'] } }),
+    ]);
+    let paymentStatus = 'partially_paid';
+    if (unpaid === 0) paymentStatus = 'paid';
+    else if (paid === 0) paymentStatus = 'unpaid';
+    await parcelBatchesCollection.updateOne({ _id: new ObjectId(batchId) }, { $set: { payment_status: paymentStatus } });
+    return paymentStatus;
+};
+
+module.exports = {
+    MAX_BULK_ROWS,
+    BULK_CSV_LIMIT,
+    UNPAID_IN_BATCH,
+    buildParcelDocument,
+    getBulkRows,
+    prepareBulkParcels,
+    insertParcelBatch,
+    refreshBatchPaymentStatus,
+};
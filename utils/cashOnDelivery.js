@@ -0,0 +1,176 @@
+// --- Cash on Delivery ---
+// Parcels booked with payment_method cash_on_delivery are not paid online: the assigned rider collects the
+// cost from the receiver and confirms it (cash_collected: true) when marking the parcel delivered. That marks
+// the parcel paid with the rider as collector, records a cash payment, and the cash stays with the rider:
+//
+// cash_collection.status: held -> settled (handed over to an admin, POST /admin/cash-settlements)
+//
+// Riders have to settle before they are paid: a COD parcel can't be cashed out while its cash is held, and
+// no payout batch is paid to a rider who still holds cash. Set CASH_ON_DELIVERY=false to turn the mode off.
+
+const { ObjectId } = require('mongodb');
+const { CURRENCY, toMinorUnits, fromMinorUnits, formatMoney } = require('./currency');
+const { createHttpError } = require('./errors');
+
+const CASH_ON_DELIVERY_ENABLED = process.env.CASH_ON_DELIVERY !== 'false';
+
+// How a parcel is paid, chosen at booking
+const PAYMENT_METHODS = ['online', ...(CASH_ON_DELIVERY_ENABLED ? ['cash_on_delivery'] : [])];
+
+const HELD_CASH = { 'cash_collection.status': 'held' };
+
+const isCashOnDelivery = (parcel) => parcel.payment_method === 'cash_on_delivery';
+
+// Parcels a rider can be sent for: paid online, or paid in cash at the door
+const READY_FOR_PICKUP = { $or: [{ payment_status: 'paid' }, { payment_method: 'cash_on_delivery' }] };
+const isReadyForPickup = (parcel) => parcel.payment_status === 'paid' || isCashOnDelivery(parcel);
+
+// Fields to set along with a delivery status change (`input` is the validated body). Null when the parcel
+// has no cash to collect; throws when the delivery can't be completed without it.
+const buildCashCollection = (parcel, input, now = new Date()) => {
+    if (!isCashOnDelivery(parcel) || parcel.payment_status === 'paid') return null;
+    const currency = parcel.currency || CURRENCY;
+    if (input.status !== 'delivered') {
+        throw createHttpError(409, 'Cash on delivery parcels are handed to the receiver by the rider, who collects the cash');
+    }
+    if (input.cash_collected !== true) {
+        throw createHttpError(400, `Collect ${formatMoney(parcel.cost, currency)} from the receiver and confirm it with cash_collected`);
+    }
+
+    return {
+        payment_status: 'paid',
+        paid_at: now,
+        cash_collection: {
+            amount: parcel.cost,
+            amount_minor: toMinorUnits(parcel.cost, currency),
+            currency,
+            collected_by: { id: parcel.assigned_rider_id, email: parcel.assigned_rider_email, name: parcel.assigned_rider_name },
+            collected_at: now,
+            status: 'held',
+            settlement_id: null,
+            settled_at: null,
+        },
+    };
+};
+
+// Payment record for the collected cash, upserted so a repeated call records it once
+const recordCashPayment = (paymentsCollection, parcel) => {
+    const { cash_collection: cash } = parcel;
+    return paymentsCollection.updateOne(
+        { transactionId: `cash_${parcel._id}`, type: 'payment' },
+        {
+            $setOnInsert: {
+                parcelId: parcel._id.toString(),
+                email: parcel.created_by,
+                amount: cash.amount,
+                amountInCents: cash.amount_minor,
+                currency: cash.currency,
+                paymentMethod: ['cash'],
+                transactionId: `cash_${parcel._id}`,
+                type: 'payment',
+                status: 'succeeded',
+                collected_by: cash.collected_by.email,
+                paid_at_string: cash.collected_at.toISOString(),
+                paid_at: cash.collected_at,
+            },
+        },
+        { upsert: true }
+    );
+};
+
+// Cash a rider collected and hasn't handed over yet, per currency it was collected in:
+// { count, totals: [{ currency, count, total, total_minor }] }
+const getHeldCash = async (parcelsCollection, riderEmail) => {
+    const totals = await parcelsCollection.aggregate([
+        { $match: { 'cash_collection.collected_by.email': riderEmail, ...HELD_CASH } },
+        {
+            $group: {
+                _id: { $ifNull: ['$cash_collection.currency', CURRENCY] },
+                count: { $sum: 1 },
+                total_minor: { $sum: '$cash_collection.amount_minor' },
+            },
+        },
+        { $sort: { _id: 1 } },
+    ]).toArray();
+    return {
+        count: totals.reduce((sum, held) => sum + held.count, 0),
+        totals: totals.map((held) => ({
+            currency: held._id,
+            count: held.count,
+            total: fromMinorUnits(held.total_minor, held._id),
+            total_minor: held.total_minor,
+        })),
+    };
+};
+
+// "12.50 USD and 300 JPY"
+const formatHeldCash = (heldCash) => heldCash.totals.map((held) => formatMoney(held.total, held.currency)).join(' and ');
+
+// Records that an admin received a rider's cash: every parcel they hold, or just `parcelIds`. A settlement is in
+// one currency, cash collected in several is settled per currency with `parcelIds`. `amountReceived` has to match
+// what the rider holds for them. Returns the `cash_settlements` document.
+const settleRiderCash = async ({ parcelsCollection, cashSettlementsCollection }, { riderEmail, parcelIds, amountReceived, note, receivedBy }) => {
+    const filter = { 'cash_collection.collected_by.email': riderEmail, ...HELD_CASH };
+    if (parcelIds?.length) filter._id = { $in: parcelIds.map((id) => new ObjectId(id)) };
+
+    const parcels = await parcelsCollection.find(filter, { projection: { cash_collection: 1 } }).toArray();
+    if (parcels.length === 0) {
+        throw createHttpError(400, `${riderEmail} holds no cash${parcelIds?.length ? ' for these parcels' : ''}`);
+    }
+    if (parcelIds?.length && parcels.length !== new Set(parcelIds).size) {
+        throw createHttpError(409, 'Some of the parcels are not held by this rider or were already settled');
+    }
+    const currencies = [...new Set(parcels.map((parcel) => parcel.cash_collection.currency || CURRENCY))];
+    if (currencies.length > 1) {
+        throw createHttpError(400, `The cash was collected in ${currencies.map((code) => code.toUpperCase()).join(', ')}, settle each currency separately with parcel_ids`);
+    }
+    const [currency] = currencies;
+    const totalMinor = parcels.reduce((sum, parcel) => sum + parcel.cash_collection.amount_minor, 0);
+    if (toMinorUnits(amountReceived, currency) !== totalMinor) {
+        throw createHttpError(400, `${riderEmail} holds ${formatMoney(fromMinorUnits(totalMinor, currency), currency)} for these parcels, not ${formatMoney(amountReceived, currency)}`);
+    }
+
+    // Claim the parcels first, a concurrent settlement of the same cash leaves this one short and it is undone
+    const now = new Date();
+    const settlementId = new ObjectId();
+    const ids = parcels.map((parcel) => parcel._id);
+    const { modifiedCount } = await parcelsCollection.updateMany(
+        { _id: { $in: ids }, ...HELD_CASH },
+        { $set: { 'cash_collection.status': 'settled', 'cash_collection.settlement_id': settlementId, 'cash_collection.settled_at': now } }
+    );
+    if (modifiedCount !== ids.length) {
+        await parcelsCollection.updateMany(
+            { 'cash_collection.settlement_id': settlementId },
+            { $set: { 'cash_collection.status': 'held', 'cash_collection.settlement_id': null, 'cash_collection.settled_at': null } }
+        );
+        throw createHttpError(409, 'The rider\'s cash changed while settling, try again');
+    }
+
+    const settlement = {
+        _id: settlementId,
+        rider_email: riderEmail,
+        parcel_ids: ids.map((id) => id.toString()),
+        count: ids.length,
+        total: fromMinorUnits(totalMinor, currency),
+        total_minor: totalMinor,
+        currency,
+        received_by: receivedBy,
+        note: note || null,
+        created_at: now,
+    };
+    await cashSettlementsCollection.insertOne(settlement);
+    return settlement;
+};
+
+module.exports = {
+    PAYMENT_METHODS,
+    HELD_CASH,
+    READY_FOR_PICKUP,
+    isCashOnDelivery,
+    isReadyForPickup,
+    buildCashCollection,
+    recordCashPayment,
+    getHeldCash,
+    formatHeldCash,
+    settleRiderCash,
+};
@@ -0,0 +1,74 @@
+// --- CSV ---
+// Minimal RFC 4180 reading and writing: quoted fields, "" escapes, embedded commas and line breaks,
+// CRLF or LF line endings and a leading byte order mark.
+
+// Parses CSV text into an array of rows (arrays of strings)
+const parseCsvRows = (text) => {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) throw new Error('Unterminated quoted field');
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter((cells) => cells.some((cell) => cell.trim() !== '')); // Blank lines
+};
+
+// Header cells become object keys: "Receiver Name" -> receiver_name
+const toFieldName = (header) => header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// Parses CSV text with a header row into objects keyed by the header
+const parseCsv = (text) => {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) return [];
+    const fields = header.map(toFieldName);
+    return rows.map((cells) => Object.fromEntries(fields.map((field, index) => [field, cells[index] ?? ''])));
+};
+
+// Quotes a value when it contains a separator, quote or line break. Dates are written as ISO strings,
+// objects as JSON, and formula-like text is prefixed so spreadsheets don't evaluate it.
+const formatCsvValue = (value) => {
+    if (value === undefined || value === null) return '';
+    let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@]/.test(text) && typeof value === 'string') text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatCsvRow = (values) => `${values.map(formatCsvValue).join(',')}\r\n`;
+
+module.exports = {
+    parseCsvRows,
+    parseCsv,
+    formatCsvValue,
+    formatCsvRow,
+};
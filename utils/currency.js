@@ -0,0 +1,43 @@
+// --- Currency ---
+// Every deployment charges in one currency: CURRENCY, a lowercase ISO 4217 code as Stripe expects it
+// (default usd). The rates in utils/pricing.js are in that currency.
+//
+// Amounts are stored twice: in major units for display (cost, amount, total) and in minor units for
+// anything sent to Stripe or summed (cost_minor on parcels, amountInCents on payments - the name predates
+// other currencies), always with the currency code next to them. Convert with toMinorUnits / fromMinorUnits,
+// never by multiplying with 100: zero-decimal currencies like jpy have no minor unit.
+//
+// PAYMENT_METHOD_TYPES (comma separated, default card) are the Stripe methods offered for online payments.
+
+const CURRENCY = (process.env.CURRENCY || 'usd').trim().toLowerCase();
+
+const PAYMENT_METHOD_TYPES = (process.env.PAYMENT_METHOD_TYPES || 'card')
+    .split(',')
+    .map((type) => type.trim())
+    .filter(Boolean);
+
+// Currencies Stripe charges in whole units
+const ZERO_DECIMAL_CURRENCIES = ['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'];
+
+const minorUnitFactor = (currency = CURRENCY) => (ZERO_DECIMAL_CURRENCIES.includes(String(currency).toLowerCase()) ? 1 : 100);
+
+const toMinorUnits = (amount, currency = CURRENCY) => Math.round((Number(amount) || 0) * minorUnitFactor(currency));
+
+const fromMinorUnits = (amountMinor, currency = CURRENCY) => (Number(amountMinor) || 0) / minorUnitFactor(currency);
+
+// Rounds to the smallest unit the currency has
+const roundMoney = (amount, currency = CURRENCY) => fromMinorUnits(toMinorUnits(amount, currency), currency);
+
+const formatMoney = (amount, currency = CURRENCY) => {
+    const digits = minorUnitFactor(currency) === 1 ? 0 : 2;
+    return `${Number(amount || 0).toFixed(digits)} ${String(currency).toUpperCase()}`;
+};
+
+module.exports = {
+    CURRENCY,
+    PAYMENT_METHOD_TYPES,
+    toMinorUnits,
+    fromMinorUnits,
+    roundMoney,
+    formatMoney,
+};
@@ -0,0 +1,86 @@
+// --- Failed Deliveries & Returns ---
+// A rider who can't hand a parcel over records a failed_attempt with a reason code. The parcel stays with
+// the rider and a re-attempt is scheduled; after MAX_DELIVERY_ATTEMPTS failures it goes back to the sender:
+//
+// failed_attempt -> return_pending -> return_assigned -> return_in_transit -> returned
+//
+// The return leg gets its own rider through the usual assignment (assigned_rider_* then point at the
+// return rider, the delivery rider is kept in delivery_rider) and the sender is charged per RETURN_POLICY.
+
+const { calculateReturnCharge } = require('./pricing');
+const { createHttpError } = require('./errors');
+
+const MAX_DELIVERY_ATTEMPTS = Number(process.env.MAX_DELIVERY_ATTEMPTS) || 3;
+const REATTEMPT_DELAY_HOURS = Number(process.env.REATTEMPT_DELAY_HOURS) || 24;
+
+const FAILURE_REASONS = [
+    'receiver_unavailable',
+    'receiver_refused',
+    'wrong_address',
+    'receiver_unreachable', // Phone off or not answering
+    'access_restricted',
+    'damaged',
+    'other',
+];
+
+const RETURN_STATUSES = ['return_pending', 'return_assigned', 'return_in_transit', 'returned'];
+
+// Fields to set along with a failed_attempt transition. `input` is the validated status change body.
+// `exhausted` is true when this was the last attempt and the parcel has to go back to the sender.
+const buildFailedAttempt = (parcel, input, actor, now = new Date()) => {
+    if (!input.reason_code) {
+        throw createHttpError(400, `reason_code is required, one of: ${FAILURE_REASONS.join(', ')}`);
+    }
+    if (input.reason_code === 'other' && !input.note) {
+        throw createHttpError(400, 'Add a note describing why the delivery failed');
+    }
+    if (input.reattempt_at && input.reattempt_at <= now) {
+        throw createHttpError(400, 'reattempt_at must be in the future');
+    }
+
+    const attemptNumber = (parcel.failed_attempt_count || 0) + 1;
+    const exhausted = attemptNumber >= MAX_DELIVERY_ATTEMPTS;
+    const attempt = {
+        number: attemptNumber,
+        reason_code: input.reason_code,
+        notes: input.note || null,
+        rider_email: parcel.assigned_rider_email || null,
+        recorded_by: actor.email,
+        at: now,
+    };
+
+    return {
+        exhausted,
+        set: {
+            failed_attempt_count: attemptNumber,
+            // The transition matches on the current status, so rewriting the array can't lose a concurrent entry
+            delivery_attempts: [...(parcel.delivery_attempts || []), attempt],
+            next_attempt_at: exhausted ? null : input.reattempt_at || new Date(now.getTime() + REATTEMPT_DELAY_HOURS * 60 * 60 * 1000),
+        },
+    };
+};
+
+// Fields to set when a parcel enters the return flow: the delivery rider is released and the return charge is fixed
+const buildReturnStart = (parcel, now = new Date()) => {
+    const lastAttempt = parcel.delivery_attempts?.[parcel.delivery_attempts.length - 1];
+    return {
+        delivery_rider: parcel.assigned_rider_email
+            ? { id: parcel.assigned_rider_id, email: parcel.assigned_rider_email, name: parcel.assigned_rider_name }
+            : parcel.delivery_rider || null,
+        assigned_rider_id: null,
+        assigned_rider_email: null,
+        assigned_rider_name: null,
+        next_attempt_at: null,
+        return_started_at: now,
+        return_charge: calculateReturnCharge(parcel, lastAttempt?.reason_code),
+    };
+};
+
+module.exports = {
+    MAX_DELIVERY_ATTEMPTS,
+    REATTEMPT_DELAY_HOURS,
+    FAILURE_REASONS,
+    RETURN_STATUSES,
+    buildFailedAttempt,
+    buildReturnStart,
+};
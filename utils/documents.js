@@ -0,0 +1,193 @@
+// --- PDF Documents ---
+// Shipping labels (GET /parcels/:id/label) and payment invoices (GET /payments/:id/invoice), rendered with
+// pdfkit. Barcodes come from bwip-js: a Code 128 barcode of the tracking id for hub scanners and a QR code
+// of the same id for riders' phones.
+//
+// Documents are rendered into a Buffer, so a rendering error can still be answered with a 500.
+// The built-in Helvetica font only covers Latin text.
+
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+const { PRICING } = require('./pricing');
+const { CURRENCY, formatMoney } = require('./currency');
+const { isCashOnDelivery } = require('./cashOnDelivery');
+
+const COMPANY_NAME = process.env.COMPANY_NAME || 'Parcel Delivery';
+
+const LABEL_SIZE = [288, 432]; // 4 x 6 in, the usual thermal label
+const MARGIN = 18;
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '-');
+const joinParts = (...parts) => parts.filter(Boolean).join(', ');
+
+// Collects the document's output into a Buffer
+const renderToBuffer = (doc) => new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+});
+
+const renderBarcode = (text) => bwipjs.toBuffer({ bcid: 'code128', text, scale: 2, height: 12, includetext: false });
+const renderQrCode = (text) => bwipjs.toBuffer({ bcid: 'qrcode', text, scale: 3 });
+
+// A titled address block, returns the y position below it
+const addressBlock = (doc, title, lines, y) => {
+    doc.font('Helvetica-Bold').fontSize(8).text(title, MARGIN, y);
+    doc.font('Helvetica-Bold').fontSize(11).text(lines[0] || '-', MARGIN, doc.y + 2, { width: LABEL_SIZE[0] - MARGIN * 2 });
+    doc.font('Helvetica').fontSize(9);
+    lines.slice(1).filter(Boolean).forEach((line) => doc.text(line, { width: LABEL_SIZE[0] - MARGIN * 2 }));
+    return doc.y + 8;
+};
+
+const divider = (doc, y) => {
+    doc.moveTo(MARGIN, y).lineTo(LABEL_SIZE[0] - MARGIN, y).lineWidth(0.5).stroke();
+    return y + 8;
+};
+
+// Shipping label for a parcel: sender and receiver, districts, service centers on the route and barcodes
+const renderShippingLabel = async (parcel) => {
+    const [barcode, qrCode] = await Promise.all([renderBarcode(parcel.tracking_id), renderQrCode(parcel.tracking_id)]);
+    const doc = new PDFDocument({ size: LABEL_SIZE, margin: MARGIN, info: { Title: `Label ${parcel.tracking_id}` } });
+    const width = LABEL_SIZE[0] - MARGIN * 2;
+    const senderDistrict = parcel.pricing?.sender_district || parcel.sender_district || parcel.sender_center;
+    const receiverDistrict = parcel.pricing?.receiver_district || parcel.receiver_district || parcel.receiver_center;
+    const legs = parcel.route?.legs || [];
+
+    doc.font('Helvetica-Bold').fontSize(12).text(COMPANY_NAME, MARGIN, MARGIN);
+    doc.font('Helvetica').fontSize(8).text(`Booked ${formatDate(parcel.createdAt)}`, MARGIN, MARGIN + 2, { width, align: 'right' });
+    let y = divider(doc, MARGIN + 20);
+
+    y = addressBlock(doc, 'FROM', [
+        parcel.sender_name,
+        parcel.sender_contact,
+        parcel.sender_address,
+        joinParts(senderDistrict, parcel.sender_region),
+    ], y);
+    y = divider(doc, y);
+    y = addressBlock(doc, 'TO', [
+        parcel.receiver_name,
+        parcel.receiver_contact,
+        parcel.receiver_address,
+        joinParts(receiverDistrict, parcel.receiver_region),
+    ], y);
+    if (parcel.delivery_instruction) {
+        doc.font('Helvetica-Oblique').fontSize(8).text(`Note: ${parcel.delivery_instruction}`, MARGIN, y - 4, { width });
+        y = doc.y + 8;
+    }
+    y = divider(doc, y);
+
+    // Destination district large enough to sort by at a glance, then the hubs it passes
+    doc.font('Helvetica-Bold').fontSize(18).text(String(receiverDistrict || '').toUpperCase(), MARGIN, y, { width });
+    doc.font('Helvetica').fontSize(8);
+    if (legs.length > 0) {
+        doc.text(`Via ${legs.slice(0, -1).map((leg) => leg.to.name).join(' > ')}`, { width });
+    } else {
+        doc.text('Direct delivery', { width });
+    }
+    doc.text(parcel.type === 'document' ? 'Document' : `Parcel, ${parcel.weight} kg`, { width });
+    if (parcel.payment_status === 'paid') {
+        doc.text('Paid', { width });
+    } else if (isCashOnDelivery(parcel)) {
+        doc.font('Helvetica-Bold').fontSize(11).text(`CASH ON DELIVERY: ${formatMoney(parcel.cost, parcel.currency || CURRENCY)}`, { width });
+    } else {
+        doc.text('Payment due', { width });
+    }
+    y = divider(doc, doc.y + 6);
+
+    doc.image(barcode, MARGIN, y, { fit: [width - 80, 50] });
+    doc.image(qrCode, LABEL_SIZE[0] - MARGIN - 70, y, { fit: [70, 70] });
+    doc.font('Helvetica-Bold').fontSize(11).text(parcel.tracking_id, MARGIN, y + 54, { width: width - 80 });
+
+    return renderToBuffer(doc);
+};
+
+// Invoice lines: the stored price breakdown for a parcel payment, the return charge for a return payment
+const getInvoiceLines = (payment, parcel) => {
+    if (payment.type === 'return_charge') {
+        const charge = parcel.return_charge || {};
+        return [[`Return to sender (${Math.round((charge.rate || 0) * 100)}% of ${formatMoney(charge.parcel_cost, payment.currency)})`, payment.amount]];
+    }
+
+    const pricing = parcel.pricing;
+    if (!pricing) return [[`Delivery of ${parcel.title || parcel.tracking_id}`, payment.amount]];
+    const route = pricing.within_district ? 'within district' : 'outside district';
+    const lines = [[`${pricing.type === 'document' ? 'Document' : 'Parcel'} delivery, ${route}`, pricing.base_cost]];
+    if (pricing.extra_weight_kg > 0) {
+        lines.push([`Extra weight, ${pricing.extra_weight_kg} kg x ${PRICING.nonDocument.perExtraKg}`, pricing.extra_weight_cost]);
+    }
+    if (pricing.outside_district_surcharge > 0) {
+        lines.push(['Outside district surcharge', pricing.outside_district_surcharge]);
+    }
+    return lines;
+};
+
+// Invoice for a payment record (type payment or return_charge) and its parcel; `refunds` are that payment's refunds
+const renderInvoice = async (payment, parcel, refunds = []) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Invoice ${payment._id}` } });
+    const left = 50;
+    const right = doc.page.width - 50;
+    const amountX = right - 120;
+    const currency = payment.currency || CURRENCY;
+
+    doc.font('Helvetica-Bold').fontSize(20).text(COMPANY_NAME, left, 50);
+    doc.font('Helvetica-Bold').fontSize(14).text('INVOICE', left, 50, { width: right - left, align: 'right' });
+    doc.font('Helvetica').fontSize(9)
+        .text(`Invoice no. ${payment._id}`, left, 70, { width: right - left, align: 'right' })
+        .text(`Date ${formatDate(payment.paid_at)}`, { width: right - left, align: 'right' })
+        .text(`Status ${payment.status}`, { width: right - left, align: 'right' });
+
+    doc.font('Helvetica-Bold').fontSize(10).text('Billed to', left, 120);
+    doc.font('Helvetica').fontSize(10)
+        .text(parcel.sender_name || payment.email)
+        .text(payment.email)
+        .text(joinParts(parcel.sender_address, parcel.pricing?.sender_district || parcel.sender_center));
+
+    doc.font('Helvetica-Bold').fontSize(10).text('Shipment', left + 260, 120);
+    doc.font('Helvetica').fontSize(10)
+        .text(`Tracking id ${parcel.tracking_id}`, left + 260)
+        .text(`${parcel.pricing?.sender_district || parcel.sender_center} to ${parcel.pricing?.receiver_district || parcel.receiver_center}`, left + 260)
+        .text(`Receiver ${parcel.receiver_name}`, left + 260);
+
+    let y = 210;
+    doc.font('Helvetica-Bold').fontSize(10).text('Description', left, y).text('Amount', amountX, y, { width: 120, align: 'right' });
+    doc.moveTo(left, y + 15).lineTo(right, y + 15).lineWidth(0.5).stroke();
+    y += 24;
+
+    doc.font('Helvetica').fontSize(10);
+    for (const [description, amount] of getInvoiceLines(payment, parcel)) {
+        doc.text(description, left, y, { width: amountX - left - 10 });
+        doc.text(formatMoney(amount, currency), amountX, y, { width: 120, align: 'right' });
+        y = Math.max(doc.y, y + 14) + 4;
+    }
+    doc.moveTo(amountX - 60, y).lineTo(right, y).stroke();
+    y += 8;
+    doc.font('Helvetica-Bold').text('Total paid', left, y).text(formatMoney(payment.amount, currency), amountX, y, { width: 120, align: 'right' });
+    y += 18;
+
+    if (refunds.length > 0) {
+        doc.font('Helvetica');
+        let refunded = 0;
+        for (const refund of refunds) {
+            refunded += refund.amount;
+            doc.text(`Refund ${formatDate(refund.refunded_at)}${refund.reason ? ` (${refund.reason})` : ''}`, left, y, { width: amountX - left - 10 });
+            doc.text(`-${formatMoney(refund.amount, currency)}`, amountX, y, { width: 120, align: 'right' });
+            y = Math.max(doc.y, y + 14) + 4;
+        }
+        doc.font('Helvetica-Bold').text('Net', left, y).text(formatMoney(payment.amount - refunded, currency), amountX, y, { width: 120, align: 'right' });
+        y += 18;
+    }
+
+    const paidWith = payment.paymentMethod?.includes('cash')
+        ? `Paid in cash to rider ${payment.collected_by}`
+        : `Paid by ${[].concat(payment.paymentMethod || 'card').join(', ')}, transaction ${payment.transactionId}`;
+    doc.font('Helvetica').fontSize(8).fillColor('#555555').text(paidWith, left, y + 20, { width: right - left });
+
+    return renderToBuffer(doc);
+};
+
+module.exports = {
+    renderShippingLabel,
+    renderInvoice,
+};
@@ -0,0 +1,210 @@
+// --- Rider Earnings & Payouts ---
+// Each delivered parcel adds one entry to the `earnings` ledger. Parcels routed through hubs add one per
+// completed leg instead (leg_index), so every leg's rider is paid for their part. Riders request cashouts
+// per parcel, admins group requested entries into payout batches, approve them and mark them paid.
+//
+// Earning status: pending -> requested -> in_batch -> paid
+
+const { ObjectId } = require('mongodb');
+const { roundMoney } = require('./currency');
+
+// Share of the parcel cost the rider earns
+const COMMISSION_RATES = {
+    withinDistrict: 0.8,
+    outsideDistrict: 0.3,
+};
+
+const isWithinDistrict = (parcel) => {
+    if (typeof parcel.pricing?.within_district === 'boolean') return parcel.pricing.within_district;
+    const from = String(parcel.sender_district || parcel.sender_center || '').trim().toLowerCase();
+    const to = String(parcel.receiver_district || parcel.receiver_center || '').trim().toLowerCase();
+    return Boolean(from) && from === to;
+};
+
+// Commission for delivering a parcel
+const calculateRiderEarning = (parcel) => {
+    const parcelCost = Number(parcel.pricing?.total ?? parcel.cost) || 0;
+    const withinDistrict = isWithinDistrict(parcel);
+    const commissionRate = withinDistrict ? COMMISSION_RATES.withinDistrict : COMMISSION_RATES.outsideDistrict;
+    return {
+        parcel_cost: parcelCost,
+        within_district: withinDistrict,
+        commission_rate: commissionRate,
+        amount: roundMoney(parcelCost * commissionRate),
+    };
+};
+
+const COMPLETED_STATUSES = ['delivered', 'service_center_delivered'];
+
+// Commission for one leg of a routed parcel: the parcel's commission split evenly across its legs. The leg that
+// completes the delivery takes what the earlier legs left, so the legs add up to the commission even when
+// rounding or a drop-off at the destination hub skips the last-mile leg.
+const calculateLegEarning = (parcel, leg) => {
+    const earning = calculateRiderEarning(parcel);
+    const share = roundMoney(earning.amount / parcel.route.legs.length);
+    const completesDelivery = leg.index === parcel.route.current_leg && COMPLETED_STATUSES.includes(parcel.delivery_status);
+    return {
+        ...earning,
+        leg_count: parcel.route.legs.length,
+        amount: completesDelivery ? roundMoney(earning.amount - share * leg.index) : share,
+    };
+};
+
+// Adds the ledger entry for a delivered parcel, or with `leg` for a completed leg of a routed parcel.
+// Safe to call more than once, the entry is keyed by parcel_id and leg_index (null without a route).
+const recordDeliveryEarning = async (earningsCollection, parcel, leg = null) => {
+    const parcelId = parcel._id.toString();
+    const key = { parcel_id: parcelId, leg_index: leg ? leg.index : null };
+    const deliveredAt = leg ? leg.completed_at : parcel.delivered_at;
+    await earningsCollection.updateOne(
+        key,
+        {
+            $setOnInsert: {
+                ...key,
+                leg_type: leg ? leg.type : null,
+                tracking_id: parcel.tracking_id,
+                rider_id: leg ? leg.rider_id : parcel.assigned_rider_id,
+                rider_email: leg ? leg.rider_email : parcel.assigned_rider_email,
+                ...(leg ? calculateLegEarning(parcel, leg) : calculateRiderEarning(parcel)),
+                status: 'pending',
+                delivered_at: deliveredAt ? new Date(deliveredAt) : new Date(),
+                created_at: new Date(),
+            },
+        },
+        { upsert: true }
+    );
+    return earningsCollection.findOne(key);
+};
+
+// Ledger entries a rider earned on a parcel: the delivery, or every completed leg they rode on a routed parcel.
+// Entries missing from the ledger (completed before it existed) are added first.
+const recordRiderEarnings = async (earningsCollection, parcel, riderEmail) => {
+    if (!parcel.route) {
+        return parcel.assigned_rider_email === riderEmail && COMPLETED_STATUSES.includes(parcel.delivery_status)
+            ? [await recordDeliveryEarning(earningsCollection, parcel)]
+            : [];
+    }
+    const legs = parcel.route.legs.filter((leg) => leg.status === 'completed' && leg.rider_email === riderEmail);
+    const earnings = [];
+    for (const leg of legs) {
+        earnings.push(await recordDeliveryEarning(earningsCollection, parcel, leg));
+    }
+    return earnings;
+};
+
+const startOfWeek = (now) => {
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7)); // Weeks start on Monday
+    return date;
+};
+
+const startOfMonth = (now) => new Date(now.getFullYear(), now.getMonth(), 1);
+
+// Totals for a rider: not yet cashed out (pending + requested + in a batch), cashed out, and earned this week / month
+const getEarningTotals = async (earningsCollection, riderEmail, now = new Date()) => {
+    const [totals = {}] = await earningsCollection.aggregate([
+        { $match: { rider_email: riderEmail } },
+        {
+            $group: {
+                _id: null,
+                pending: { $sum: { $cond: [{ $ne: ['$status', 'paid'] }, '$amount', 0] } },
+                cashed_out: { $sum: { $cond: [{ $eq: ['$status', 'paid'] }, '$amount', 0] } },
+                this_week: { $sum: { $cond: [{ $gte: ['$delivered_at', startOfWeek(now)] }, '$amount', 0] } },
+                this_month: { $sum: { $cond: [{ $gte: ['$delivered_at', startOfMonth(now)] }, '$amount', 0] } },
+                total: { $sum: '$amount' },
+                deliveries: { $sum: 1 },
+            },
+        },
+    ]).toArray();
+
+    return {
+        pending: roundMoney(totals.pending || 0),
+        cashed_out: roundMoney(totals.cashed_out || 0),
+        this_week: roundMoney(totals.this_week || 0),
+        this_month: roundMoney(totals.this_month || 0),
+        total: roundMoney(totals.total || 0),
+        deliveries: totals.deliveries || 0,
+    };
+};
+
+// Groups every requested earning into one payout batch per rider (optionally for a single rider)
+const createPayoutBatches = async ({ earningsCollection, payoutBatchesCollection }, { riderEmail, createdBy }) => {
+    const match = { status: 'requested' };
+    if (riderEmail) match.rider_email = riderEmail;
+
+    const groups = await earningsCollection.aggregate([
+        { $match: match },
+        { $group: { _id: '$rider_email', earning_ids: { $push: '$_id' }, parcel_ids: { $push: '$parcel_id' }, total: { $sum: '$amount' } } },
+    ]).toArray();
+
+    const batches = [];
+    for (const group of groups) {
+        const batch = {
+            rider_email: group._id,
+            earning_ids: group.earning_ids,
+            parcel_ids: group.parcel_ids,
+            count: group.earning_ids.length,
+            total: roundMoney(group.total),
+            status: 'pending_approval',
+            created_by: createdBy,
+            created_at: new Date(),
+        };
+        const { insertedId } = await payoutBatchesCollection.insertOne(batch);
+
+        // Only entries still in `requested` move into the batch; anything that changed meanwhile is dropped from it
+        await earningsCollection.updateMany(
+            { _id: { $in: group.earning_ids }, status: 'requested' },
+            { $set: { status: 'in_batch', payout_batch_id: insertedId } }
+        );
+        const claimed = await earningsCollection.find({ payout_batch_id: insertedId }).toArray();
+        if (claimed.length === 0) {
+            await payoutBatchesCollection.deleteOne({ _id: insertedId }); // Every entry changed meanwhile, nothing to pay
+            continue;
+        }
+        if (claimed.length !== group.earning_ids.length) {
+            batch.earning_ids = claimed.map((earning) => earning._id);
+            batch.parcel_ids = claimed.map((earning) => earning.parcel_id);
+            batch.count = claimed.length;
+            batch.total = roundMoney(claimed.reduce((sum, earning) => sum + earning.amount, 0));
+            await payoutBatchesCollection.updateOne(
+                { _id: insertedId },
+                { $set: { earning_ids: batch.earning_ids, parcel_ids: batch.parcel_ids, count: batch.count, total: batch.total } }
+            );
+        }
+        batches.push({ _id: insertedId, ...batch });
+    }
+    return batches;
+};
+
+// Checks a batch against the ledger entries that point at it
+const reconcilePayoutBatch = async (earningsCollection, batch) => {
+    const earnings = await earningsCollection.find({ payout_batch_id: new ObjectId(batch._id) }).toArray();
+    const ledgerTotal = roundMoney(earnings.reduce((sum, earning) => sum + earning.amount, 0));
+    const batchIds = new Set(batch.earning_ids.map(String));
+    const unexpected = earnings.filter((earning) => !batchIds.has(earning._id.toString()));
+    const missing = batch.earning_ids.filter((id) => !earnings.some((earning) => earning._id.equals(id)));
+
+    return {
+        earnings,
+        reconciliation: {
+            batch_total: batch.total,
+            ledger_total: ledgerTotal,
+            batch_count: batch.count,
+            ledger_count: earnings.length,
+            missing_earning_ids: missing,
+            unexpected_earning_ids: unexpected.map((earning) => earning._id),
+            balanced: ledgerTotal === batch.total && missing.length === 0 && unexpected.length === 0,
+        },
+    };
+};
+
+module.exports = {
+    COMMISSION_RATES,
+    calculateRiderEarning,
+    calculateLegEarning,
+    recordDeliveryEarning,
+    recordRiderEarnings,
+    getEarningTotals,
+    createPayoutBatches,
+    reconcilePayoutBatch,
+};
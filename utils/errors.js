@@ -0,0 +1,13 @@
+// --- HTTP Errors ---
+// Helpers throw these for problems the caller can fix. Routes send `status` and `message` back with
+// sendClientError (index.js), anything without a 4xx status is logged and answered with a 500.
+
+const createHttpError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+module.exports = {
+    createHttpError,
+};
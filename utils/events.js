@@ -0,0 +1,88 @@
+// --- Parcel Event Fan-out ---
+// Every tracking entry written by the server is also a live event for the SSE streams.
+// The trackings collection is the event log (used for Last-Event-ID resume); the fan-out backend
+// only delivers new entries to the streams open on this instance.
+//
+// Backends:
+// memory - in-process EventEmitter (default, single instance)
+// mongo  - MongoDB change stream on the trackings collection, so events written by any
+//          instance reach streams on every instance (needs a replica set, e.g. Atlas)
+
+const { EventEmitter } = require('events');
+
+const createMemoryBackend = () => {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0); // One listener per open stream
+
+    return {
+        publish: (event) => emitter.emit('event', event),
+        subscribe: (listener) => {
+            emitter.on('event', listener);
+            return () => emitter.off('event', listener);
+        },
+    };
+};
+
+// Entries are picked up from the change stream, so publish does nothing here (it would deliver them twice)
+const createMongoChangeStreamBackend = (trackingsCollection) => {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    let changeStream = null;
+
+    // The change stream is only opened while at least one client is listening
+    const openChangeStream = () => {
+        changeStream = trackingsCollection.watch([{ $match: { operationType: 'insert' } }]);
+        changeStream.on('change', (change) => emitter.emit('event', change.fullDocument));
+        changeStream.on('error', (error) => {
+            console.error("Tracking change stream error:", error);
+            changeStream = null;
+            if (emitter.listenerCount('event') > 0) setTimeout(openChangeStream, 1000);
+        });
+    };
+
+    return {
+        publish: () => {},
+        subscribe: (listener) => {
+            emitter.on('event', listener);
+            if (!changeStream) openChangeStream();
+            return () => {
+                emitter.off('event', listener);
+                if (emitter.listenerCount('event') === 0 && changeStream) {
+                    changeStream.close().catch(() => {});
+                    changeStream = null;
+                }
+            };
+        },
+    };
+};
+
+let backend = createMemoryBackend();
+
+// Swaps the fan-out backend, anything with publish(event) and subscribe(listener) => unsubscribe works
+const setEventBackend = (newBackend) => {
+    backend = newBackend;
+};
+
+const publishParcelEvent = (entry) => {
+    try {
+        backend.publish(entry);
+    } catch (error) {
+        // A broken stream must never fail the request that wrote the tracking entry
+        console.error("Error publishing parcel event:", error);
+    }
+};
+
+// Calls listener for every new entry matching `filter(entry)`, returns an unsubscribe function
+const subscribeParcelEvents = (filter, listener) => {
+    return backend.subscribe((entry) => {
+        if (!filter || filter(entry)) listener(entry);
+    });
+};
+
+module.exports = {
+    createMemoryBackend,
+    createMongoChangeStreamBackend,
+    setEventBackend,
+    publishParcelEvent,
+    subscribeParcelEvents,
+};
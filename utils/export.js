@@ -0,0 +1,147 @@
+// --- Data Exports ---
+// GET /exports/* stream a list endpoint's results as CSV or NDJSON (one JSON object per line) for spreadsheets
+// and reporting. Rows are read from a cursor and written as they come, waiting for the client when the socket
+// buffer is full, so an export never holds the whole result in memory.
+//
+// Each export has a fixed column list, so both formats carry the same fields and nothing internal
+// (delivery code hashes, proof keys, payment intents) leaks into a file.
+
+const { formatCsvRow } = require('./csv');
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+const idString = (id) => (id ? id.toString() : null);
+const senderDistrict = (parcel) => parcel.pricing?.sender_district || parcel.sender_district || parcel.sender_center || null;
+const receiverDistrict = (parcel) => parcel.pricing?.receiver_district || parcel.receiver_district || parcel.receiver_center || null;
+
+// [column, value] pairs per export
+const PARCEL_COLUMNS = [
+    ['id', (parcel) => idString(parcel._id)],
+    ['tracking_id', (parcel) => parcel.tracking_id],
+    ['created_at', (parcel) => parcel.createdAt],
+    ['created_by', (parcel) => parcel.created_by],
+    ['batch_id', (parcel) => parcel.batch_id],
+    ['type', (parcel) => parcel.type],
+    ['title', (parcel) => parcel.title],
+    ['weight', (parcel) => parcel.weight],
+    ['sender_name', (parcel) => parcel.sender_name],
+    ['sender_district', senderDistrict],
+    ['receiver_name', (parcel) => parcel.receiver_name],
+    ['receiver_contact', (parcel) => parcel.receiver_contact],
+    ['receiver_district', receiverDistrict],
+    ['origin_center', (parcel) => parcel.route?.legs[0]?.to.name],
+    ['destination_center', (parcel) => parcel.route?.legs[parcel.route.legs.length - 1]?.from.name],
+    ['delivery_status', (parcel) => parcel.delivery_status],
+    ['payment_status', (parcel) => parcel.payment_status],
+    ['cost', (parcel) => parcel.cost],
+    ['currency', (parcel) => parcel.currency],
+    ['payment_method', (parcel) => parcel.payment_method],
+    ['refunded_amount', (parcel) => parcel.refunded_amount],
+    ['rider_email', (parcel) => parcel.assigned_rider_email || parcel.delivery_rider?.email],
+    ['failed_attempts', (parcel) => parcel.failed_attempt_count],
+    ['delivered_at', (parcel) => parcel.delivered_at],
+];
+
+const PAYMENT_COLUMNS = [
+    ['transaction_id', (payment) => payment.transactionId],
+    ['refund_id', (payment) => payment.refundId],
+    ['type', (payment) => payment.type],
+    ['status', (payment) => payment.status],
+    ['email', (payment) => payment.email],
+    ['parcel_id', (payment) => payment.parcelId],
+    ['batch_id', (payment) => payment.batchId],
+    ['amount', (payment) => payment.amount],
+    ['currency', (payment) => payment.currency],
+    ['reason', (payment) => payment.reason],
+    ['date', (payment) => payment.paid_at || payment.refunded_at || payment.failed_at],
+];
+
+const RIDER_DELIVERY_COLUMNS = [
+    ['tracking_id', (parcel) => parcel.tracking_id],
+    ['delivery_status', (parcel) => parcel.delivery_status],
+    ['rider_email', (parcel) => parcel.assigned_rider_email || parcel.delivery_rider?.email],
+    ['sender_district', senderDistrict],
+    ['receiver_name', (parcel) => parcel.receiver_name],
+    ['receiver_district', receiverDistrict],
+    ['legs', (parcel) => parcel.route?.legs.length || 1],
+    ['picked_at', (parcel) => parcel.picked_at],
+    ['delivered_at', (parcel) => parcel.delivered_at],
+    ['returned_at', (parcel) => parcel.returned_at],
+    ['cost', (parcel) => parcel.cost],
+    ['cash_collected', (parcel) => parcel.cash_collection?.amount],
+    ['cash_status', (parcel) => parcel.cash_collection?.status],
+    ['cashout_status', (parcel) => parcel.cashout_status],
+    ['cashed_out_at', (parcel) => parcel.cashed_out_at],
+];
+
+const EARNING_COLUMNS = [
+    ['tracking_id', (earning) => earning.tracking_id],
+    ['leg', (earning) => earning.leg_type],
+    ['rider_email', (earning) => earning.rider_email],
+    ['parcel_cost', (earning) => earning.parcel_cost],
+    ['commission_rate', (earning) => earning.commission_rate],
+    ['amount', (earning) => earning.amount],
+    ['status', (earning) => earning.status],
+    ['delivered_at', (earning) => earning.delivered_at],
+    ['requested_at', (earning) => earning.requested_at],
+    ['paid_at', (earning) => earning.paid_at],
+    ['payout_batch_id', (earning) => idString(earning.payout_batch_id)],
+];
+
+const formatLine = (format, columns, doc) => {
+    const values = columns.map(([, value]) => value(doc) ?? null);
+    if (format === 'csv') return formatCsvRow(values);
+    return `${JSON.stringify(Object.fromEntries(columns.map(([name], index) => [name, values[index]])))}\n`;
+};
+
+// Resolves once the socket can take more data (or is gone)
+const waitForDrain = (res) => new Promise((resolve) => {
+    if (res.destroyed) return resolve();
+    const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+});
+
+// Streams the cursor to the response as an attachment named `<filename>-<date>.<format>`.
+// Errors before the first row reject, so the route can still answer with an error status; once the
+// download has started a failure can only abort it.
+const streamExport = async (res, cursor, { format, columns, filename }) => {
+    try {
+        await cursor.hasNext(); // Surfaces query errors while a status code can still be sent
+
+        res.status(200);
+        res.setHeader('Content-Type', CONTENT_TYPES[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}-${new Date().toISOString().slice(0, 10)}.${format}"`);
+        if (format === 'csv') res.write(formatCsvRow(columns.map(([name]) => name)));
+
+        for await (const doc of cursor) {
+            if (res.destroyed) break; // Client went away, checked before every write
+            if (!res.write(formatLine(format, columns, doc))) await waitForDrain(res);
+        }
+        if (!res.destroyed) res.end();
+    } catch (error) {
+        if (!res.headersSent) throw error;
+        console.error(`Export ${filename} failed mid-stream:`, error);
+        res.destroy();
+    } finally {
+        await cursor.close();
+    }
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    PARCEL_COLUMNS,
+    PAYMENT_COLUMNS,
+    RIDER_DELIVERY_COLUMNS,
+    EARNING_COLUMNS,
+    streamExport,
+};
@@ -0,0 +1,169 @@
+// --- List Endpoints ---
+// Shared page/limit pagination, whitelisted sorting and filters for every list endpoint.
+// Every list responds with the same envelope:
+// { data: [...], pagination: { page, limit, total, total_pages, has_next } }
+
+const { NOT_DELETED } = require('./softDelete');
+const { RETURN_STATUSES } = require('./deliveryAttempts');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Query schema for a list endpoint: paging, sorting by one of `sortFields`, a date range and search,
+// plus the endpoint's own filters (validated with validateQuery)
+const listQuerySchema = (sortFields, filters = {}) => ({
+    page: { type: 'integer', min: 1, default: 1 },
+    limit: { type: 'integer', min: 1, max: MAX_LIMIT, default: DEFAULT_LIMIT },
+    sort: { type: 'string', enum: sortFields },
+    order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    search: { type: 'string', maxLength: 100 },
+    ...filters,
+});
+
+// For user input inside a $regex, also used for the exact, case-insensitive district matches
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive "contains" match on any of the fields
+const searchFilter = (search, fields) => {
+    if (!search) return {};
+    const regex = { $regex: escapeRegex(search), $options: 'i' };
+    return { $or: fields.map((field) => ({ [field]: regex })) };
+};
+
+// Inclusive range on a date field
+const dateRangeFilter = (field, from, to) => {
+    if (!from && !to) return {};
+    const range = {};
+    if (from) range.$gte = from;
+    if (to) range.$lte = to;
+    return { [field]: range };
+};
+
+const numberRangeFilter = (field, min, max) => {
+    if (min === undefined && max === undefined) return {};
+    const range = {};
+    if (min !== undefined) range.$gte = min;
+    if (max !== undefined) range.$lte = max;
+    return { [field]: range };
+};
+
+// Case-insensitive exact match on either of the fields (districts live in pricing or in the form's *_center field)
+const districtFilter = (district, fields) => {
+    if (!district) return {};
+    const regex = { $regex: `^${escapeRegex(district)}$`, $options: 'i' };
+    return { $or: fields.map((field) => ({ [field]: regex })) };
+};
+
+// Combines filter parts; several parts may use $or, so they are joined with $and
+const combineFilters = (...parts) => {
+    const nonEmpty = parts.filter((part) => part && Object.keys(part).length > 0);
+    if (nonEmpty.length === 0) return {};
+    if (nonEmpty.length === 1) return nonEmpty[0];
+    return { $and: nonEmpty };
+};
+
+// Filter for parcel lists from a validated parcelList query (shared by the admin, user and export endpoints)
+const buildParcelListFilter = (query) => combineFilters(
+    NOT_DELETED,
+    query.email ? { created_by: query.email } : {},
+    query.payment_status ? { payment_status: query.payment_status } : {},
+    query.delivery_status ? { delivery_status: query.delivery_status } : {},
+    query.rider ? { assigned_rider_email: query.rider } : {},
+    query.batch_id ? { batch_id: query.batch_id } : {},
+    query.payment_method === 'online' ? { payment_method: { $ne: 'cash_on_delivery' } } : {}, // Older parcels have no payment_method
+    query.payment_method === 'cash_on_delivery' ? { payment_method: 'cash_on_delivery' } : {},
+    query.refund_retry !== undefined ? { refund_retry: { $exists: query.refund_retry } } : {},
+    dateRangeFilter('createdAt', query.from, query.to),
+    districtFilter(query.sender_district, ['pricing.sender_district', 'sender_center']),
+    districtFilter(query.receiver_district, ['pricing.receiver_district', 'receiver_center']),
+    numberRangeFilter('cost', query.min_cost, query.max_cost),
+    searchFilter(query.search, ['tracking_id', 'receiver_name', 'receiver_contact'])
+);
+
+// Filter for payment history from a validated paymentList query. `email` is the only history a
+// non-admin may see and overrides the query's email.
+const buildPaymentListFilter = (query, { email } = {}) => combineFilters(
+    email || query.email ? { email: email || query.email } : {},
+    query.parcelId ? { parcelId: query.parcelId } : {},
+    query.type ? { type: query.type } : {},
+    query.status ? { status: query.status } : {},
+    dateRangeFilter('paid_at', query.from, query.to),
+    searchFilter(query.search, ['transactionId', 'email'])
+);
+
+const COMPLETED_STATUSES = ['delivered', 'service_center_delivered', 'returned'];
+
+// Filter for a rider's completed work from a validated riderTaskList query: parcels they delivered or returned,
+// hub route legs they finished, and parcels they gave up on that went back to the sender.
+// Without a rider (admin exports) every completed parcel matches.
+const buildRiderCompletedFilter = (riderEmail, query) => combineFilters(
+    {
+        $or: riderEmail
+            ? [
+                { assigned_rider_email: riderEmail, delivery_status: { $in: COMPLETED_STATUSES } },
+                { 'route.legs': { $elemMatch: { rider_email: riderEmail, status: 'completed' } } },
+                { 'delivery_rider.email': riderEmail, delivery_status: { $in: RETURN_STATUSES } },
+            ]
+            : [{ delivery_status: { $in: COMPLETED_STATUSES } }],
+        ...NOT_DELETED,
+    },
+    query.from || query.to
+        ? {
+            $or: [
+                dateRangeFilter('delivered_at', query.from, query.to),
+                dateRangeFilter('returned_at', query.from, query.to),
+                dateRangeFilter('return_started_at', query.from, query.to),
+                dateRangeFilter('route.legs.completed_at', query.from, query.to),
+            ],
+        }
+        : {},
+    searchFilter(query.search, ['tracking_id', 'receiver_name', 'receiver_contact'])
+);
+
+// Sort spec from a validated list query, _id breaks ties so pages (and exports) have a stable order
+const buildSort = ({ sort, order }, defaultSort) => (sort ? { [sort]: order === 'asc' ? 1 : -1, _id: 1 } : { ...defaultSort, _id: 1 });
+
+// Runs the paged query and count, returns the list envelope
+const paginate = async (collection, filter, query, { defaultSort, projection } = {}) => {
+    const { page, limit } = query;
+    const sortSpec = buildSort(query, defaultSort);
+
+    const [data, total] = await Promise.all([
+        collection
+            .find(filter, projection ? { projection } : {})
+            .sort(sortSpec)
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .toArray(),
+        collection.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+    return {
+        data,
+        pagination: {
+            page,
+            limit,
+            total,
+            total_pages: totalPages,
+            has_next: page < totalPages,
+        },
+    };
+};
+
+module.exports = {
+    listQuerySchema,
+    escapeRegex,
+    searchFilter,
+    dateRangeFilter,
+    numberRangeFilter,
+    districtFilter,
+    combineFilters,
+    buildParcelListFilter,
+    buildPaymentListFilter,
+    buildRiderCompletedFilter,
+    buildSort,
+    paginate,
+};
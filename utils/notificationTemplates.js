@@ -0,0 +1,194 @@
+// --- Notification Templates ---
+// Subject, plain text and HTML for every notification type. Each template returns a heading and
+// paragraphs; renderNotification wraps them in the shared layout for both formats.
+
+const APP_NAME = process.env.APP_NAME || 'Parcel Delivery';
+const CLIENT_URL = process.env.CLIENT_URL || '';
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const trackingLink = (trackingId) => (CLIENT_URL && trackingId ? `${CLIENT_URL}/track/${trackingId}` : null);
+
+const parcelName = (parcel) => (parcel.title ? `"${parcel.title}"` : 'Your parcel');
+
+const TEMPLATES = {
+    parcel_paid: ({ parcel }) => ({
+        subject: `Payment received for ${parcel.tracking_id}`,
+        heading: 'Payment received',
+        paragraphs: [
+            `We received your payment of ${parcel.cost ?? parcel.pricing?.total} for ${parcelName(parcel)}.`,
+            'We will assign a rider to pick it up shortly.',
+        ],
+        link: trackingLink(parcel.tracking_id),
+    }),
+    parcel_assigned: ({ parcel }) => ({
+        subject: `A rider is on the way for ${parcel.tracking_id}`,
+        heading: 'Rider assigned',
+        paragraphs: [
+            `${parcel.assigned_rider_name || 'A rider'} has been assigned to ${parcelName(parcel)} and will pick it up from ${parcel.sender_address || 'your pickup address'}.`,
+        ],
+        link: trackingLink(parcel.tracking_id),
+    }),
+    parcel_picked_up: ({ parcel }) => ({
+        subject: `${parcel.tracking_id} has been picked up`,
+        heading: 'Parcel picked up',
+        paragraphs: [
+            `${parcelName(parcel)} is on its way to ${parcel.receiver_name || 'the receiver'} in ${parcel.pricing?.receiver_district || parcel.receiver_center}.`,
+        ],
+        link: trackingLink(parcel.tracking_id),
+    }),
+    parcel_delivered: ({ parcel }) => ({
+        subject: `${parcel.tracking_id} has been delivered`,
+        heading: 'Parcel delivered',
+        paragraphs: [
+            parcel.delivery_status === 'service_center_delivered'
+                ? `${parcelName(parcel)} has arrived at the ${parcel.pricing?.receiver_district || parcel.receiver_center} service center.`
+                : `${parcelName(parcel)} has been delivered to ${parcel.receiver_name || 'the receiver'}.`,
+            `Thank you for shipping with ${APP_NAME}.`,
+        ],
+        link: trackingLink(parcel.tracking_id),
+    }),
+    parcel_cancelled: ({ parcel }) => ({
+        subject: `${parcel.tracking_id} has been cancelled`,
+        heading: 'Parcel cancelled',
+        paragraphs: [
+            `${parcelName(parcel)} has been cancelled.`,
+            parcel.payment_status === 'refunded' || parcel.payment_status === 'partially_refunded'
+                ? 'Your refund has been issued and should reach your account within a few days.'
+                : null,
+        ],
+        link: trackingLink(parcel.tracking_id),
+    }),
+    parcel_delivery_failed: ({ parcel }) => ({
+        subject: `Delivery attempt failed for ${parcel.tracking_id}`,
+        heading: 'Delivery attempt failed',
+        paragraphs: [
+            `We could not deliver ${parcelName(parcel)} to ${parcel.receiver_name || 'the receiver'}: ${String(parcel.delivery_attempts?.[parcel.delivery_attempts.length - 1]?.reason_code || 'other').replace(/_/g, ' ')}.`,
+            parcel.next_attempt_at
+                ? `The rider will try again on ${new Date(parcel.next_attempt_at).toUTCString()}. Please make sure someone can receive it.`
+                : null,
+        ],
+        link: trackingLink(parcel.tracking_id),
+    }),
+    parcel_returning: ({ parcel }) => ({
+        subject: `${parcel.tracking_id} is being returned to you`,
+        heading: 'Parcel on its way back',
+        paragraphs: [
+            `${parcelName(parcel)} could not be delivered after ${parcel.failed_attempt_count || 'several'} attempts and is being returned to you.`,
+            parcel.return_charge?.status === 'due'
+                ? `A return charge of ${parcel.return_charge.amount} applies, you can pay it from your dashboard.`
+                : null,
+        ],
+        link: trackingLink(parcel.tracking_id),
+    }),
+    parcel_returned: ({ parcel }) => ({
+        subject: `${parcel.tracking_id} has been returned`,
+        heading: 'Parcel returned',
+        paragraphs: [
+            `${parcelName(parcel)} has been returned to ${parcel.sender_address || 'your pickup address'}.`,
+        ],
+        link: trackingLink(parcel.tracking_id),
+    }),
+    delivery_code: ({ parcel, code, forSender }) => ({
+        subject: `Delivery code for ${parcel.tracking_id}`,
+        heading: 'Your delivery code',
+        paragraphs: [
+            forSender
+                ? `A rider is on the way with ${parcelName(parcel)}. Please share this code with ${parcel.receiver_name || 'the receiver'}, they give it to the rider at handoff:`
+                : `${parcelName(parcel)} from ${parcel.sender_name || 'the sender'} is on its way. Give this code to the rider when you receive it:`,
+            code,
+            'Never share the code before you have the parcel in hand.',
+        ],
+        link: trackingLink(parcel.tracking_id),
+    }),
+    rider_approved: ({ rider }) => ({
+        subject: `Your ${APP_NAME} rider application was approved`,
+        heading: 'Welcome aboard',
+        paragraphs: [
+            `Hi ${rider.name || 'there'}, your application to ride in ${rider.district} has been approved.`,
+            'Sign in again to open the rider dashboard and start your first shift.',
+        ],
+        link: CLIENT_URL ? `${CLIENT_URL}/dashboard` : null,
+    }),
+    rider_rejected: ({ rider, reason }) => ({
+        subject: `Your ${APP_NAME} rider application`,
+        heading: 'Application not approved',
+        paragraphs: [
+            `Hi ${rider.name || 'there'}, unfortunately we could not approve your application to ride in ${rider.district}.`,
+            reason ? `Reason: ${reason}` : null,
+        ],
+        link: null,
+    }),
+    rider_info_requested: ({ rider, reason }) => ({
+        subject: `More information needed for your ${APP_NAME} rider application`,
+        heading: 'We need a few more details',
+        paragraphs: [
+            `Hi ${rider.name || 'there'}, before we can review your application to ride in ${rider.district} we need more information.`,
+            reason ? `What we need: ${reason}` : null,
+            'Update your application from the rider application page and it will go back into review.',
+        ],
+        link: CLIENT_URL ? `${CLIENT_URL}/be-a-rider` : null,
+    }),
+    rider_deactivated: ({ rider, reason }) => ({
+        subject: `Your ${APP_NAME} rider account has been ${rider.status}`,
+        heading: rider.status === 'banned' ? 'Rider account banned' : 'Rider account deactivated',
+        paragraphs: [
+            `Hi ${rider.name || 'there'}, your rider account has been ${rider.status} and you will no longer receive deliveries.`,
+            reason ? `Reason: ${reason}` : null,
+        ],
+        link: null,
+    }),
+    rider_application: ({ rider }) => ({
+        subject: `New rider application from ${rider.name || rider.email}`,
+        heading: 'New rider application',
+        paragraphs: [
+            `${rider.name || rider.email} (${rider.email}) applied to ride in ${rider.district}, ${rider.region}.`,
+            'Review it from the pending riders page.',
+        ],
+        link: CLIENT_URL ? `${CLIENT_URL}/dashboard/pending-riders` : null,
+    }),
+};
+
+const NOTIFICATION_TYPES = Object.keys(TEMPLATES);
+
+// Returns { subject, text, html } for a notification type and its data
+const renderNotification = (type, data) => {
+    const template = TEMPLATES[type];
+    if (!template) throw new Error(`Unknown notification type: ${type}`);
+
+    const { subject, heading, paragraphs, link } = template(data);
+    const lines = paragraphs.filter(Boolean);
+
+    const text = [
+        heading,
+        '',
+        ...lines,
+        ...(link ? ['', link] : []),
+        '',
+        `- ${APP_NAME}`,
+    ].join('\n');
+
+    const html = `<!doctype html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #1f2937; background: #f9fafb; padding: 24px;">
+  <div style="max-width: 560px; margin: 0 auto; background: #ffffff; border-radius: 8px; padding: 24px;">
+    <h2 style="margin-top: 0;">${escapeHtml(heading)}</h2>
+    ${lines.map((line) => `<p>${escapeHtml(line)}</p>`).join('\n    ')}
+    ${link ? `<p><a href="${escapeHtml(link)}" style="color: #2563eb;">${escapeHtml(link)}</a></p>` : ''}
+    <p style="color: #6b7280; font-size: 12px;">${escapeHtml(APP_NAME)}</p>
+  </div>
+</body>
+</html>`;
+
+    return { subject, text, html };
+};
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    renderNotification,
+};
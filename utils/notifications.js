@@ -0,0 +1,230 @@
+// --- Email Notifications ---
+// Notifications are written to the `notification_outbox` collection and sent by a worker, so a slow or
+// broken mail server never fails the API request that caused them. Failed sends are retried with
+// exponential backoff until NOTIFICATION_MAX_ATTEMPTS, then left as `failed` for an admin to inspect.
+//
+// SMTP comes from SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS and MAIL_FROM. For local
+// testing point SMTP_HOST/SMTP_PORT at a capture server (e.g. Mailpit on localhost:1025).
+// Without SMTP_HOST notifications are still queued but nothing is sent.
+
+const nodemailer = require('nodemailer');
+const { renderNotification } = require('./notificationTemplates');
+const { subscribeParcelEvents } = require('./events');
+
+const MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = 60 * 1000; // 1, 2, 4, 8... minutes
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const POLL_INTERVAL_MS = Number(process.env.NOTIFICATION_POLL_MS) || 30000;
+const STALE_LOCK_MS = 5 * 60 * 1000; // A worker that died mid-send releases its claim after this
+const BATCH_SIZE = 20;
+
+// Which preference switch controls each notification type
+const PREFERENCE_KEYS = {
+    parcel_paid: 'parcel_updates',
+    parcel_assigned: 'parcel_updates',
+    parcel_picked_up: 'parcel_updates',
+    parcel_delivered: 'parcel_updates',
+    parcel_cancelled: 'parcel_updates',
+    parcel_delivery_failed: 'parcel_updates',
+    parcel_returning: 'parcel_updates',
+    parcel_returned: 'parcel_updates',
+    rider_approved: 'rider_updates',
+    rider_rejected: 'rider_updates',
+    rider_info_requested: 'rider_updates',
+    rider_deactivated: 'rider_updates',
+    rider_application: 'admin_alerts',
+};
+
+// Needed to complete a delivery, so sent whatever the preferences say
+const ALWAYS_SENT = ['delivery_code'];
+
+// Everything is on until the user opts out
+const DEFAULT_PREFERENCES = {
+    email: true,
+    parcel_updates: true,
+    rider_updates: true,
+    admin_alerts: true,
+};
+
+// Tracking events that are emailed to the parcel's sender
+const PARCEL_EVENT_NOTIFICATIONS = {
+    paid: 'parcel_paid',
+    rider_assigned: 'parcel_assigned',
+    in_transit: 'parcel_picked_up',
+    delivered: 'parcel_delivered',
+    service_center_delivered: 'parcel_delivered',
+    cancelled: 'parcel_cancelled',
+    failed_attempt: 'parcel_delivery_failed',
+    return_pending: 'parcel_returning',
+    returned: 'parcel_returned',
+};
+
+const getNotificationPreferences = (user) => ({ ...DEFAULT_PREFERENCES, ...user?.notification_preferences });
+
+const retryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+const createTransporter = () => {
+    if (!process.env.SMTP_HOST) return null;
+    return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+};
+
+const createNotifier = ({ outboxCollection, usersCollection, parcelsCollection, transporter = createTransporter() }) => {
+    const from = process.env.MAIL_FROM || 'Parcel Delivery <no-reply@localhost>';
+    let draining = null;
+    let unsubscribe = null;
+    let timer = null;
+
+    // Sends one claimed message and records the outcome
+    const deliver = async (message) => {
+        try {
+            const info = await transporter.sendMail({
+                from,
+                to: message.to,
+                subject: message.subject,
+                text: message.text,
+                html: message.html,
+            });
+            await outboxCollection.updateOne(
+                { _id: message._id },
+                { $set: { status: 'sent', sent_at: new Date(), message_id: info.messageId || null, last_error: null }, $unset: { locked_at: '' } }
+            );
+        } catch (error) {
+            const failed = message.attempts >= MAX_ATTEMPTS;
+            await outboxCollection.updateOne(
+                { _id: message._id },
+                {
+                    $set: {
+                        status: failed ? 'failed' : 'queued',
+                        next_attempt_at: failed ? null : new Date(Date.now() + retryDelay(message.attempts)),
+                        last_error: error.message,
+                    },
+                    $unset: { locked_at: '' },
+                }
+            );
+            console.error(`Notification ${message._id} to ${message.to} failed (attempt ${message.attempts}):`, error.message);
+        }
+    };
+
+    // Claims due messages one at a time (safe with several instances) and sends them
+    const drain = async () => {
+        let sent = 0;
+        for (; sent < BATCH_SIZE; sent++) {
+            const now = new Date();
+            const message = await outboxCollection.findOneAndUpdate(
+                {
+                    $or: [
+                        { status: 'queued', next_attempt_at: { $lte: now } },
+                        { status: 'sending', locked_at: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } },
+                    ],
+                },
+                { $set: { status: 'sending', locked_at: now }, $inc: { attempts: 1 } },
+                { sort: { next_attempt_at: 1 }, returnDocument: 'after' }
+            );
+            if (!message) break;
+            await deliver(message);
+        }
+        return sent;
+    };
+
+    // Sends whatever is due; concurrent calls share the run in progress. Resolves to the number processed.
+    const processOutbox = () => {
+        if (!transporter) return Promise.resolve(0);
+        if (!draining) {
+            draining = drain()
+                .catch((error) => {
+                    console.error("Error processing notification outbox:", error);
+                    return 0;
+                })
+                .finally(() => { draining = null; });
+        }
+        return draining;
+    };
+
+    // Queues an email for `to` unless they opted out. Never throws, the caller's request must not fail.
+    // `dedupeKey` makes the call idempotent (e.g. the same tracking event seen by several instances).
+    const notify = async (type, to, data, { dedupeKey } = {}) => {
+        try {
+            if (!to) return null;
+            const user = await usersCollection.findOne({ email: to }, { projection: { notification_preferences: 1, deleted_at: 1 } });
+            if (user?.deleted_at) return null;
+            const preferences = getNotificationPreferences(user);
+            if (!ALWAYS_SENT.includes(type) && (!preferences.email || !preferences[PREFERENCE_KEYS[type]])) return null;
+
+            const now = new Date();
+            const message = {
+                type,
+                to,
+                ...renderNotification(type, data),
+                status: 'queued',
+                attempts: 0,
+                next_attempt_at: now,
+                last_error: null,
+                created_at: now,
+                ...(dedupeKey ? { dedupe_key: `${type}:${to}:${dedupeKey}` } : {}),
+            };
+            await outboxCollection.insertOne(message);
+            setImmediate(processOutbox); // Try right away, the worker retries anything that fails
+            return message;
+        } catch (error) {
+            if (error?.code !== 11000) console.error(`Error queueing ${type} notification for ${to}:`, error);
+            return null;
+        }
+    };
+
+    // Queues the notification for every admin
+    const notifyAdmins = async (type, data, options) => {
+        try {
+            const admins = await usersCollection.find({ role: 'admin', deleted_at: null }, { projection: { email: 1 } }).toArray();
+            await Promise.all(admins.map((adminUser) => notify(type, adminUser.email, data, options)));
+        } catch (error) {
+            console.error(`Error queueing ${type} notification for admins:`, error);
+        }
+    };
+
+    // Emails the sender when their parcel is paid, assigned, picked up, delivered, cancelled, fails delivery or comes back
+    const handleParcelEvent = async (entry) => {
+        try {
+            const parcel = await parcelsCollection.findOne({ tracking_id: entry.tracking_id });
+            if (!parcel) return;
+            // A return rider being unassigned puts the parcel back in return_pending, the sender only hears about the return once
+            const dedupeKey = entry.status === 'return_pending' ? `${parcel._id}:return` : entry._id.toString();
+            await notify(PARCEL_EVENT_NOTIFICATIONS[entry.status], parcel.created_by, { parcel }, { dedupeKey });
+        } catch (error) {
+            console.error("Error handling parcel notification:", error);
+        }
+    };
+
+    // Subscribes to parcel events and polls the outbox for retries
+    const start = () => {
+        if (!unsubscribe) {
+            unsubscribe = subscribeParcelEvents((entry) => entry.status in PARCEL_EVENT_NOTIFICATIONS, handleParcelEvent);
+        }
+        if (!transporter) {
+            console.warn("SMTP_HOST is not set, email notifications are queued but not sent.");
+        } else if (!timer) {
+            timer = setInterval(processOutbox, POLL_INTERVAL_MS);
+            timer.unref(); // Don't keep the process alive just for the outbox
+        }
+    };
+
+    const stop = () => {
+        if (unsubscribe) unsubscribe();
+        if (timer) clearInterval(timer);
+        unsubscribe = null;
+        timer = null;
+    };
+
+    return { notify, notifyAdmins, processOutbox, start, stop };
+};
+
+module.exports = {
+    DEFAULT_PREFERENCES,
+    getNotificationPreferences,
+    createTransporter,
+    createNotifier,
+};
@@ -0,0 +1,155 @@
+// --- Parcel Delivery State Machine ---
+// Every change to a parcel's delivery_status goes through transitionParcel, which checks the
+// transition and actor role, stamps lifecycle timestamps and appends to status_history.
+
+const { createHttpError } = require('./errors');
+
+// Roles that can act on a parcel:
+// admin - any admin user
+// rider - the rider currently assigned to the parcel
+// sender - the user who created the parcel
+// system - the server itself (payments, auto-assignment, background jobs)
+const TRANSITIONS = {
+    pending: {
+        rider_assigned: ['admin', 'system'],
+        cancelled: ['sender', 'admin', 'system'],
+    },
+    rider_assigned: {
+        rider_assigned: ['admin', 'system'], // Re-assignment to a different rider
+        pending: ['admin', 'system'], // Rider unassigned
+        at_hub: ['admin', 'system'], // Rider unassigned from a later leg of a hub route
+        in_transit: ['rider', 'admin'],
+        cancelled: ['sender', 'admin', 'system'],
+    },
+    in_transit: {
+        at_hub: ['rider', 'admin'], // Checked in at a hub at the end of a route leg (see utils/serviceCenters.js)
+        delivered: ['rider', 'admin'],
+        service_center_delivered: ['rider', 'admin'],
+        failed_attempt: ['rider', 'admin'],
+        cancelled: ['admin'],
+    },
+    // Waiting at a hub for the next leg's rider
+    at_hub: {
+        rider_assigned: ['admin', 'system'],
+        cancelled: ['admin'],
+    },
+    failed_attempt: {
+        in_transit: ['rider', 'admin'], // Re-attempt
+        return_pending: ['admin', 'system'], // Out of attempts, or an admin gives up early
+        cancelled: ['admin'],
+    },
+    // Return to sender, with its own rider (see utils/deliveryAttempts.js)
+    return_pending: {
+        return_assigned: ['admin', 'system'],
+    },
+    return_assigned: {
+        return_assigned: ['admin', 'system'], // Re-assignment to a different rider
+        return_pending: ['admin', 'system'], // Rider unassigned
+        return_in_transit: ['rider', 'admin'],
+    },
+    return_in_transit: {
+        returned: ['rider', 'admin'],
+    },
+    delivered: {},
+    service_center_delivered: {},
+    cancelled: {},
+    returned: {},
+};
+
+const DELIVERY_STATUSES = Object.keys(TRANSITIONS);
+
+// Timestamp fields stamped when a parcel enters a status
+// (picked_at / delivered_at stay ISO strings, as they were stored before the state machine).
+// assigned_at and picked_at describe the first pickup; later hub legs and re-attempts are timed on the route.
+const STATUS_TIMESTAMPS = {
+    rider_assigned: (now, parcel) => (parcel.route?.current_leg > 0 ? {} : { assigned_at: now }),
+    in_transit: (now, parcel) => (parcel.picked_at ? {} : { picked_at: now.toISOString() }),
+    delivered: (now) => ({ delivered_at: now.toISOString() }),
+    service_center_delivered: (now) => ({ delivered_at: now.toISOString() }),
+    failed_attempt: (now) => ({ last_failed_at: now }),
+    return_assigned: (now) => ({ return_assigned_at: now }),
+    return_in_transit: (now) => ({ return_picked_at: now }),
+    cancelled: (now) => ({ cancelled_at: now }),
+    returned: (now) => ({ returned_at: now }),
+};
+
+// Works out which role a user acts as for a parcel, or null when they have no say over it
+const getActorRole = (parcel, user) => {
+    if (!user) return null;
+    if (user.role === 'admin') return 'admin';
+    if (user.role === 'rider' && parcel.assigned_rider_email === user.email) return 'rider';
+    if (parcel.created_by === user.email) return 'sender';
+    return null;
+};
+
+// Returns an Error (with status 403 or 409) when the transition is not allowed, otherwise null
+const getTransitionError = (parcel, to, actorRole) => {
+    if (!DELIVERY_STATUSES.includes(to)) {
+        return createHttpError(400, `Unknown delivery status: ${to}`);
+    }
+    const from = parcel.delivery_status || 'pending';
+    const allowedRoles = TRANSITIONS[from]?.[to];
+    if (!allowedRoles) {
+        return createHttpError(409, `Cannot change delivery status from ${from} to ${to}`);
+    }
+    if (!allowedRoles.includes(actorRole)) {
+        return createHttpError(403, `Forbidden: ${actorRole || 'this user'} cannot change status from ${from} to ${to}`);
+    }
+    return null;
+};
+
+// Builds the first status_history entry for a new parcel
+const initialStatusHistory = (actorEmail) => [{
+    from: null,
+    to: 'pending',
+    actor_email: actorEmail || null,
+    actor_role: 'sender',
+    note: 'Parcel created',
+    at: new Date(),
+}];
+
+// Applies a transition atomically and returns the updated parcel.
+// `actor` is `{ email, role }`, `set` holds extra fields to write along with the status change.
+// Throws an Error with a `status` (400/403/409) when the transition is rejected.
+const transitionParcel = async (parcelsCollection, parcel, to, { actor, note = null, set = {} }) => {
+    const transitionError = getTransitionError(parcel, to, actor.role);
+    if (transitionError) throw transitionError;
+
+    const from = parcel.delivery_status || 'pending';
+    const now = new Date();
+    const historyEntry = {
+        from,
+        to,
+        actor_email: actor.email || null,
+        actor_role: actor.role,
+        note,
+        at: now,
+    };
+
+    // Matching on the current status makes concurrent transitions fail instead of overwriting each other
+    const updated = await parcelsCollection.findOneAndUpdate(
+        { _id: parcel._id, delivery_status: parcel.delivery_status },
+        {
+            $set: {
+                ...set,
+                ...(STATUS_TIMESTAMPS[to] ? STATUS_TIMESTAMPS[to](now, parcel) : {}),
+                delivery_status: to,
+            },
+            $push: { status_history: historyEntry },
+        },
+        { returnDocument: 'after' }
+    );
+    if (!updated) {
+        throw createHttpError(409, 'Parcel status was changed by someone else, please reload and try again');
+    }
+    return updated;
+};
+
+module.exports = {
+    TRANSITIONS,
+    DELIVERY_STATUSES,
+    getActorRole,
+    getTransitionError,
+    initialStatusHistory,
+    transitionParcel,
+};
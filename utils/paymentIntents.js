@@ -0,0 +1,100 @@
+// --- Open Payment Intents ---
+// A parcel is paid through its own intent (POST /create-payment-intent) or the intent of its bulk booking
+// (POST /parcels/batches/:id/payment-intent). Only one intent covering a parcel is left open: asking again for
+// the same parcels and amount hands out the open intent, anything else cancels the open intents first.
+// Open intents are stored on the parcel (open_payment_intent_id) and on the batch (payment_intents.<id>.status).
+// A return charge has its own, single open intent (return_charge.open_payment_intent_id).
+// Two payments that still get through (e.g. confirmed in two tabs at once) are refunded by the webhook.
+
+const { ObjectId } = require('mongodb');
+const { createHttpError } = require('./errors');
+
+// Intents the customer can still confirm, and ones that are already being paid
+const REUSABLE_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
+const SETTLING_STATUSES = ['processing', 'requires_capture', 'succeeded'];
+
+// Open intents covering any of `parcels`: their own, and their batches' (intents stored before statuses
+// were tracked count as open, Stripe has the final say)
+const findOpenIntents = async (parcelBatchesCollection, parcels) => {
+    const intents = parcels
+        .filter((parcel) => parcel.open_payment_intent_id)
+        .map((parcel) => ({ id: parcel.open_payment_intent_id, parcelIds: [parcel._id.toString()], batchId: null }));
+
+    const parcelIds = new Set(parcels.map((parcel) => parcel._id.toString()));
+    const batchIds = [...new Set(parcels.map((parcel) => parcel.batch_id).filter(Boolean))];
+    const batches = batchIds.length
+        ? await parcelBatchesCollection.find({ _id: { $in: batchIds.map((id) => new ObjectId(id)) } }, { projection: { payment_intents: 1 } }).toArray()
+        : [];
+    for (const batch of batches) {
+        for (const [id, intent] of Object.entries(batch.payment_intents || {})) {
+            if ((intent.status || 'open') === 'open' && intent.parcel_ids.some((parcelId) => parcelIds.has(parcelId))) {
+                intents.push({ id, parcelIds: intent.parcel_ids, batchId: batch._id.toString() });
+            }
+        }
+    }
+    return intents;
+};
+
+const closeIntent = ({ parcelsCollection, parcelBatchesCollection }, open, status) => (open.batchId
+    ? parcelBatchesCollection.updateOne({ _id: new ObjectId(open.batchId) }, { $set: { [`payment_intents.${open.id}.status`]: status } })
+    : parcelsCollection.updateOne({ _id: new ObjectId(open.parcelIds[0]), open_payment_intent_id: open.id }, { $unset: { open_payment_intent_id: '' } }));
+
+// Call before creating an intent for `parcels` (and `batchId` for a batch intent). Returns the open intent for the
+// very same request, to hand out again, after cancelling every other open intent covering one of the parcels.
+// Returns null when a new intent has to be created. Throws 409 when one of the parcels is already being paid.
+// Without `amountInCents` (the parcels were cancelled) every open intent is cancelled, and the ones already
+// being paid are left to the webhook, which refunds them.
+const releaseOpenIntents = async (stripe, collections, { parcels, batchId = null, amountInCents, currency }) => {
+    const requested = parcels.map((parcel) => parcel._id.toString()).sort().join();
+    let reusable = null;
+
+    for (const open of await findOpenIntents(collections.parcelBatchesCollection, parcels)) {
+        const intent = await stripe.paymentIntents.retrieve(open.id);
+        if (SETTLING_STATUSES.includes(intent.status)) {
+            if (amountInCents === undefined) continue;
+            throw createHttpError(409, 'A payment for this parcel is already being processed, wait for it to complete');
+        }
+        const sameRequest = open.batchId === batchId
+            && [...open.parcelIds].sort().join() === requested
+            && intent.amount === amountInCents
+            && intent.currency === currency
+            && REUSABLE_STATUSES.includes(intent.status);
+        if (sameRequest && !reusable) {
+            reusable = intent;
+            continue;
+        }
+        if (intent.status !== 'canceled') {
+            await stripe.paymentIntents.cancel(open.id, { cancellation_reason: 'duplicate' });
+        }
+        await closeIntent(collections, open, 'canceled');
+    }
+    return reusable;
+};
+
+// releaseOpenIntents for the return charge of `parcel`: hands out its open intent again when it is for the same
+// amount, otherwise cancels it and returns null. Throws 409 when the return charge is already being paid.
+const releaseReturnChargeIntent = async (stripe, parcelsCollection, parcel, { amountInCents, currency }) => {
+    const id = parcel.return_charge?.open_payment_intent_id;
+    if (!id) return null;
+
+    const intent = await stripe.paymentIntents.retrieve(id);
+    if (SETTLING_STATUSES.includes(intent.status)) {
+        throw createHttpError(409, 'The return charge is already being paid, wait for it to complete');
+    }
+    if (intent.amount === amountInCents && intent.currency === currency && REUSABLE_STATUSES.includes(intent.status)) {
+        return intent;
+    }
+    if (intent.status !== 'canceled') {
+        await stripe.paymentIntents.cancel(id, { cancellation_reason: 'duplicate' });
+    }
+    await parcelsCollection.updateOne(
+        { _id: parcel._id, 'return_charge.open_payment_intent_id': id },
+        { $unset: { 'return_charge.open_payment_intent_id': '' } }
+    );
+    return null;
+};
+
+module.exports = {
+    releaseOpenIntents,
+    releaseReturnChargeIntent,
+};
@@ -0,0 +1,119 @@
+// --- Parcel Pricing ---
+// All parcel costs are computed here on the server; client-supplied costs are never trusted.
+// Rates are in the deployment's currency (see utils/currency.js).
+
+const { CURRENCY, roundMoney } = require('./currency');
+
+const PRICING = {
+    document: {
+        withinDistrict: 60,
+        outsideDistrict: 80,
+    },
+    nonDocument: {
+        baseWeightKg: 3, // Flat rate covers parcels up to this weight
+        withinDistrict: 110,
+        outsideDistrict: 150,
+        perExtraKg: 40, // Charged for every (started) kg above the base weight
+        outsideDistrictExtraKgSurcharge: 40, // Added once to heavy inter-district parcels
+    },
+};
+
+// Charged to the sender when a parcel comes back after failed deliveries: a share of the original price.
+// Nothing is charged when the last failure was on our side.
+const RETURN_POLICY = {
+    chargeRate: Number(process.env.RETURN_CHARGE_RATE) || 0.5,
+    waivedReasons: ["damaged"],
+};
+
+const PARCEL_TYPES = ["document", "non-document"];
+
+// Heaviest parcel a rider carries; anything heavier would also price beyond what the payment processor accepts
+const MAX_WEIGHT_KG = Number(process.env.MAX_PARCEL_WEIGHT_KG) || 50;
+
+// Sender/receiver district, falling back to the service center name when no district is sent
+const getSenderDistrict = (parcel) => parcel.sender_district || parcel.sender_center;
+const getReceiverDistrict = (parcel) => parcel.receiver_district || parcel.receiver_center;
+
+// Returns an error message when the parcel cannot be priced, or null when it is valid
+const getPricingError = (parcel) => {
+    if (!parcel || typeof parcel !== "object") return "Parcel details are required";
+    if (!PARCEL_TYPES.includes(parcel.type)) {
+        return `Parcel type must be one of: ${PARCEL_TYPES.join(", ")}`;
+    }
+    if (!getSenderDistrict(parcel) || !getReceiverDistrict(parcel)) {
+        return "Sender and receiver districts are required";
+    }
+    if (parcel.type === "non-document") {
+        const weight = Number(parcel.weight);
+        if (!Number.isFinite(weight) || weight <= 0) {
+            return "Weight (kg) is required and must be positive for non-document parcels";
+        }
+        if (weight > MAX_WEIGHT_KG) {
+            return `Weight must be at most ${MAX_WEIGHT_KG} kg`;
+        }
+    }
+    return null;
+};
+
+// Computes the full price breakdown for a parcel. Call getPricingError first.
+const calculateParcelPrice = (parcel) => {
+    const senderDistrict = getSenderDistrict(parcel);
+    const receiverDistrict = getReceiverDistrict(parcel);
+    const withinDistrict = String(senderDistrict).trim().toLowerCase() === String(receiverDistrict).trim().toLowerCase();
+
+    const breakdown = {
+        type: parcel.type,
+        weight: parcel.type === "non-document" ? Number(parcel.weight) : null,
+        sender_district: senderDistrict,
+        receiver_district: receiverDistrict,
+        within_district: withinDistrict,
+        base_cost: 0,
+        extra_weight_kg: 0,
+        extra_weight_cost: 0,
+        outside_district_surcharge: 0,
+        total: 0,
+        currency: CURRENCY,
+    };
+
+    if (parcel.type === "document") {
+        breakdown.base_cost = withinDistrict ? PRICING.document.withinDistrict : PRICING.document.outsideDistrict;
+    } else {
+        const rates = PRICING.nonDocument;
+        breakdown.base_cost = withinDistrict ? rates.withinDistrict : rates.outsideDistrict;
+
+        if (breakdown.weight > rates.baseWeightKg) {
+            breakdown.extra_weight_kg = Math.ceil(breakdown.weight - rates.baseWeightKg);
+            breakdown.extra_weight_cost = breakdown.extra_weight_kg * rates.perExtraKg;
+            if (!withinDistrict) {
+                breakdown.outside_district_surcharge = rates.outsideDistrictExtraKgSurcharge;
+            }
+        }
+    }
+
+    breakdown.total = breakdown.base_cost + breakdown.extra_weight_cost + breakdown.outside_district_surcharge;
+    return breakdown;
+};
+
+// Return charge for a parcel going back to the sender, `reasonCode` being the last failed attempt's reason
+const calculateReturnCharge = (parcel, reasonCode) => {
+    const parcelCost = Number(parcel.pricing?.total ?? parcel.cost) || 0;
+    const waived = RETURN_POLICY.waivedReasons.includes(reasonCode);
+    const amount = waived ? 0 : roundMoney(parcelCost * RETURN_POLICY.chargeRate, parcel.currency);
+    return {
+        parcel_cost: parcelCost,
+        rate: RETURN_POLICY.chargeRate,
+        reason_code: reasonCode || null,
+        amount,
+        status: amount > 0 ? "due" : "waived",
+    };
+};
+
+module.exports = {
+    PRICING,
+    RETURN_POLICY,
+    PARCEL_TYPES,
+    MAX_WEIGHT_KG,
+    getPricingError,
+    calculateParcelPrice,
+    calculateReturnCharge,
+};
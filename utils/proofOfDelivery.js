@@ -0,0 +1,123 @@
+// --- Proof of Delivery ---
+// A one-time delivery code is issued when a rider is assigned and sent to the receiver (or, without a
+// receiver email, to the sender to pass on). Riders complete a delivery by entering that code with the
+// recipient's name and their GPS position, optionally with a photo or signature uploaded beforehand.
+// Drop-offs at a service center need the receiving staff member's name and GPS but no code.
+// Cashout is only allowed once a valid proof is on file.
+
+const crypto = require('crypto');
+const { toGeoPoint } = require('./riderLocation');
+const { createHttpError } = require('./errors');
+
+const DELIVERY_CODE_LENGTH = 6;
+const MAX_CODE_ATTEMPTS = Number(process.env.DELIVERY_CODE_MAX_ATTEMPTS) || 5;
+const PROOF_STATUSES = ['delivered', 'service_center_delivered'];
+const PROOF_UPLOAD_KINDS = ['photo', 'signature'];
+const PROOF_IMAGE_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+};
+const PROOF_MAX_BYTES = (Number(process.env.PROOF_MAX_UPLOAD_MB) || 5) * 1024 * 1024;
+
+// DELIVERY_CODE_SECRET, or JWT_ACCESS_SECRET when it isn't set. Without either, codes are neither issued nor
+// checked: an HMAC with an empty key is no better than a plain hash. index.js calls it at startup, so a
+// missing secret stops the server from booting rather than failing every rider assignment.
+const getDeliveryCodeSecret = () => {
+    const secret = process.env.DELIVERY_CODE_SECRET || process.env.JWT_ACCESS_SECRET;
+    if (!secret) throw new Error('DELIVERY_CODE_SECRET (or JWT_ACCESS_SECRET) must be set to use delivery codes');
+    return secret;
+};
+
+// Keyed with a server secret: parcels (hash included) are readable by their rider, and a plain hash of a
+// 6-digit code would be trivial to reverse. The parcel id keeps equal codes on two parcels apart.
+const hashDeliveryCode = (parcelId, code) => crypto
+    .createHmac('sha256', getDeliveryCodeSecret())
+    .update(`${parcelId}:${code}`)
+    .digest('hex');
+
+// Returns the plain code (to send) and the fields to store on the parcel
+const issueDeliveryCode = (parcel) => {
+    const code = String(crypto.randomInt(0, 10 ** DELIVERY_CODE_LENGTH)).padStart(DELIVERY_CODE_LENGTH, '0');
+    return {
+        code,
+        set: {
+            delivery_code_hash: hashDeliveryCode(parcel._id.toString(), code),
+            delivery_code_issued_at: new Date(),
+            delivery_code_attempts: 0,
+        },
+    };
+};
+
+// Checks the code a rider entered. Wrong codes count against MAX_CODE_ATTEMPTS, after which a new code
+// has to be issued. Throws an Error with a `status` when the code is not accepted.
+const verifyDeliveryCode = async (parcelsCollection, parcel, code) => {
+    if (!parcel.delivery_code_hash) {
+        throw createHttpError(409, 'No delivery code has been issued for this parcel, ask the sender or an admin to send one');
+    }
+    if ((parcel.delivery_code_attempts || 0) >= MAX_CODE_ATTEMPTS) {
+        throw createHttpError(423, 'Too many wrong delivery codes, a new code has to be issued');
+    }
+    if (!code) {
+        throw createHttpError(400, 'delivery_code is required to complete the delivery');
+    }
+
+    const expected = Buffer.from(parcel.delivery_code_hash, 'hex');
+    const actual = Buffer.from(hashDeliveryCode(parcel._id.toString(), String(code).trim()), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        const updated = await parcelsCollection.findOneAndUpdate(
+            { _id: parcel._id },
+            { $inc: { delivery_code_attempts: 1 } },
+            { returnDocument: 'after', projection: { delivery_code_attempts: 1 } }
+        );
+        const remaining = Math.max(MAX_CODE_ATTEMPTS - (updated?.delivery_code_attempts || MAX_CODE_ATTEMPTS), 0);
+        throw createHttpError(400, `Wrong delivery code, ${remaining} attempts left`);
+    }
+};
+
+// Builds the proof_of_delivery record for a delivery. `input` is the validated status change body,
+// `method` is how the handoff was confirmed (delivery_code, service_center or admin_override).
+const buildProofOfDelivery = (parcel, input, { actor, method }) => {
+    if (method !== 'admin_override') {
+        if (!input.recipient_name) throw createHttpError(400, 'recipient_name is required to complete the delivery');
+        if (input.lat === undefined || input.lng === undefined) {
+            throw createHttpError(400, 'lat and lng of the handoff are required to complete the delivery');
+        }
+    }
+
+    return {
+        method,
+        recipient_name: input.recipient_name || null,
+        location: input.lat !== undefined && input.lng !== undefined ? toGeoPoint({ lat: input.lat, lng: input.lng }) : null,
+        accuracy_m: input.accuracy ?? null,
+        photo: parcel.proof_uploads?.photo || null,
+        signature: parcel.proof_uploads?.signature || null,
+        captured_by: actor.email,
+        captured_at: new Date(),
+    };
+};
+
+// A proof counts once the handoff was confirmed and, for rider handoffs, recipient and position are on file
+const hasValidProof = (parcel) => {
+    const proof = parcel.proof_of_delivery;
+    if (!proof) return false;
+    if (proof.method === 'admin_override') return Boolean(proof.captured_by);
+    return ['delivery_code', 'service_center'].includes(proof.method) && Boolean(proof.recipient_name) && Boolean(proof.location);
+};
+
+// Storage key for an uploaded proof image
+const proofUploadKey = (parcel, kind, contentType) => `proofs/${parcel._id}/${kind}-${Date.now()}.${PROOF_IMAGE_TYPES[contentType]}`;
+
+module.exports = {
+    MAX_CODE_ATTEMPTS,
+    PROOF_STATUSES,
+    PROOF_UPLOAD_KINDS,
+    PROOF_IMAGE_TYPES,
+    PROOF_MAX_BYTES,
+    getDeliveryCodeSecret,
+    issueDeliveryCode,
+    verifyDeliveryCode,
+    buildProofOfDelivery,
+    hasValidProof,
+    proofUploadKey,
+};
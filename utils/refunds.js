@@ -0,0 +1,160 @@
+// --- Parcel Refunds ---
+// Issues Stripe refunds against a parcel's stored payment intent and records them in the payments collection.
+// Amounts are in minor units of the payment's currency (see utils/currency.js).
+
+const { toMinorUnits, fromMinorUnits } = require('./currency');
+const { createHttpError } = require('./errors');
+
+// Finds the successful payment recorded for a parcel (also matches records saved before the webhook existed)
+const findParcelPayment = (paymentsCollection, parcel) => {
+    const query = {
+        parcelId: parcel._id.toString(),
+        type: { $ne: 'refund' },
+        status: { $ne: 'failed' },
+        not_applied: null, // Refunded duplicates, see refundDuplicatePayment
+    };
+    if (parcel.payment_intent_id) query.transactionId = parcel.payment_intent_id;
+    return paymentsCollection.findOne(query, { sort: { paid_at: -1 } });
+};
+
+// Works out a refund of `amountInCents` (minor units, or whatever is left when omitted) without issuing it, so
+// callers can validate it before changing the parcel. Throws an Error with a `status` of 400 when the parcel
+// cannot be refunded.
+const planParcelRefund = async (paymentsCollection, parcel, amountInCents) => {
+    const payment = await findParcelPayment(paymentsCollection, parcel);
+    if (!payment || !payment.transactionId) {
+        throw createHttpError(400, 'No payment found for this parcel');
+    }
+    if (payment.paymentMethod?.includes('cash')) {
+        throw createHttpError(400, 'Cash on delivery payments are refunded in cash, not through the card processor');
+    }
+
+    const currency = payment.currency;
+    const paidInCents = payment.amountInCents || toMinorUnits(payment.amount, currency);
+    const refundedInCents = toMinorUnits(parcel.refunded_amount || 0, currency);
+    const remainingInCents = paidInCents - refundedInCents;
+    const refundInCents = amountInCents || remainingInCents;
+
+    if (refundInCents <= 0 || refundInCents > remainingInCents) {
+        throw createHttpError(400, `Refund amount must be between 0 and ${fromMinorUnits(remainingInCents, currency)}`);
+    }
+    return { payment, currency, paidInCents, refundedInCents, refundInCents };
+};
+
+// Refunds `amountInCents` (see planParcelRefund, or pass a `plan` it returned) and returns the refund record and
+// new payment status. Throws an Error with a `status` of 400 when the parcel cannot be refunded.
+const refundParcelPayment = async ({ stripe, parcel, amountInCents, plan, reason, requestedBy, paymentsCollection, parcelsCollection }) => {
+    const { payment, currency, paidInCents, refundedInCents, refundInCents } = plan || await planParcelRefund(paymentsCollection, parcel, amountInCents);
+
+    const parcelId = parcel._id.toString();
+    const refund = await stripe.refunds.create(
+        {
+            payment_intent: payment.transactionId,
+            amount: refundInCents,
+            metadata: { parcelId, reason: reason || '', requested_by: requestedBy },
+        },
+        // Retrying the same request (e.g. a double click) must not refund twice
+        { idempotencyKey: `refund-${parcelId}-${refundedInCents}-${refundInCents}` }
+    );
+
+    const refundDoc = {
+        parcelId,
+        email: payment.email,
+        amount: fromMinorUnits(refund.amount, refund.currency),
+        amountInCents: refund.amount,
+        currency: refund.currency,
+        transactionId: payment.transactionId,
+        refundId: refund.id,
+        type: 'refund',
+        status: refund.status,
+        reason: reason || null,
+        requested_by: requestedBy,
+        refunded_at: new Date(),
+    };
+    // Upsert on refundId, the charge.refunded webhook may already have stored this refund
+    await paymentsCollection.updateOne(
+        { refundId: refund.id },
+        { $setOnInsert: refundDoc },
+        { upsert: true }
+    );
+
+    const totalRefundedInCents = refundedInCents + refund.amount;
+    const paymentStatus = totalRefundedInCents >= paidInCents ? 'refunded' : 'partially_refunded';
+    await parcelsCollection.updateOne(
+        { _id: parcel._id },
+        {
+            $set: {
+                payment_status: paymentStatus,
+                refunded_amount: fromMinorUnits(totalRefundedInCents, currency),
+            },
+            $unset: { refund_retry: '' }, // A retried refund went through
+        }
+    );
+
+    return { refund: refundDoc, payment_status: paymentStatus };
+};
+
+// Flags a parcel whose refund failed after it was cancelled; an admin retries it with POST /parcels/:id/refund.
+// The retry reuses the idempotency key while nothing else was refunded, so a refund that did reach Stripe is not repeated.
+const markRefundForRetry = (parcelsCollection, parcel, { plan, reason, requestedBy, error }) => parcelsCollection.updateOne(
+    { _id: parcel._id },
+    {
+        $set: {
+            refund_retry: {
+                amount: fromMinorUnits(plan.refundInCents, plan.currency),
+                reason: reason || null,
+                requested_by: requestedBy,
+                error: error.message,
+                failed_at: new Date(),
+            },
+        },
+    }
+);
+
+// Refunds a payment that reached a parcel it can't pay for: one already paid through another intent (`paidBy`),
+// e.g. the parcel and its batch paid in two tabs at once, or one that was cancelled (`reason` 'parcel_cancelled').
+// The payment record stays, marked not_applied (and duplicate_of), so the refund webhooks leave the parcel's
+// payment_status alone.
+const refundDuplicatePayment = async ({ stripe, payment, paidBy = null, reason = 'duplicate', paymentsCollection }) => {
+    await paymentsCollection.updateOne({ _id: payment._id }, { $set: { not_applied: reason, ...(paidBy && { duplicate_of: paidBy }) } });
+    const refund = await stripe.refunds.create(
+        {
+            payment_intent: payment.transactionId,
+            amount: payment.amountInCents,
+            reason: reason === 'duplicate' ? 'duplicate' : 'requested_by_customer',
+            metadata: { parcelId: payment.parcelId, reason, requested_by: 'system' },
+        },
+        // Stripe retries the webhook on errors, the payment must still be refunded only once
+        { idempotencyKey: `${reason}-${payment.transactionId}-${payment.parcelId}` }
+    );
+
+    const refundDoc = {
+        parcelId: payment.parcelId,
+        email: payment.email,
+        amount: fromMinorUnits(refund.amount, refund.currency),
+        amountInCents: refund.amount,
+        currency: refund.currency,
+        transactionId: payment.transactionId,
+        refundId: refund.id,
+        type: 'refund',
+        status: refund.status,
+        reason,
+        requested_by: 'system',
+        refunded_at: new Date(),
+    };
+    if (payment.batchId) refundDoc.batchId = payment.batchId;
+    await paymentsCollection.updateOne(
+        { refundId: refund.id },
+        { $setOnInsert: refundDoc },
+        { upsert: true }
+    );
+    return refundDoc;
+};
+
+module.exports = {
+    findParcelPayment,
+    planParcelRefund,
+    refundParcelPayment,
+    markRefundForRetry,
+    refundDuplicatePayment,
+};
@@ -0,0 +1,97 @@
+// --- Rider Assignment ---
+// Picks riders for paid (or cash on delivery), pending parcels (and parcels waiting at a hub for their next leg or waiting to be
+// returned) and keeps each rider's work_status in sync with their parcels.
+//
+// work_status:
+// available   - on shift with nothing being carried right now
+// in_delivery - on shift and carrying at least one parcel (in_transit, failed_attempt or return_in_transit)
+// off_shift   - not taking work; set by the rider, never changed by assignments
+
+const { getCurrentLeg } = require('./serviceCenters');
+const { isReadyForPickup } = require('./cashOnDelivery');
+const { escapeRegex } = require('./listing');
+
+const WORK_STATUSES = ['available', 'in_delivery', 'off_shift'];
+const OPEN_STATUSES = ['rider_assigned', 'in_transit', 'failed_attempt', 'return_assigned', 'return_in_transit'];
+const CARRYING_STATUSES = ['in_transit', 'failed_attempt', 'return_in_transit'];
+
+// Riders with this many open parcels are skipped by auto-assignment
+const MAX_OPEN_PARCELS = Number(process.env.RIDER_MAX_OPEN_PARCELS) || 5;
+
+// District the rider has to pick the parcel up from: the hub a route leg starts at, where a failed
+// delivery ended for returns, otherwise the sender's
+const getPickupDistrict = (parcel) => {
+    if (parcel.delivery_status === 'return_pending') {
+        return parcel.pricing?.receiver_district || parcel.receiver_district || parcel.receiver_center;
+    }
+    const leg = getCurrentLeg(parcel);
+    if (leg?.from.center_id) return leg.from.district;
+    return parcel.pricing?.sender_district || parcel.sender_district || parcel.sender_center;
+};
+
+// Open parcel count per rider email
+const getOpenWorkloads = async (parcelsCollection, riderEmails) => {
+    const counts = await parcelsCollection.aggregate([
+        { $match: { assigned_rider_email: { $in: riderEmails }, delivery_status: { $in: OPEN_STATUSES } } },
+        { $group: { _id: '$assigned_rider_email', open: { $sum: 1 } } },
+    ]).toArray();
+    return Object.fromEntries(counts.map(({ _id, open }) => [_id, open]));
+};
+
+// Active, on-shift riders in a district (case-insensitive), each with their open workload, best candidate first:
+// fewest open parcels, then riders not currently out on a delivery, then whoever was assigned least recently.
+const rankRidersForDistrict = async ({ ridersCollection, parcelsCollection }, district) => {
+    const riders = await ridersCollection.find({
+        status: 'active',
+        work_status: { $ne: 'off_shift' },
+        deleted_at: null,
+        district: { $regex: `^${escapeRegex(String(district).trim())}$`, $options: 'i' },
+    }).toArray();
+    if (riders.length === 0) return [];
+
+    const workloads = await getOpenWorkloads(parcelsCollection, riders.map((rider) => rider.email));
+    return riders
+        .map((rider) => ({ ...rider, open_parcels: workloads[rider.email] || 0 }))
+        .sort((a, b) =>
+            a.open_parcels - b.open_parcels
+            || (a.work_status === 'in_delivery') - (b.work_status === 'in_delivery')
+            || (a.last_assigned_at?.getTime() || 0) - (b.last_assigned_at?.getTime() || 0)
+        );
+};
+
+// Best rider for a parcel, or `{ rider: null, reason }` when nobody can take it
+const pickRiderForParcel = async (collections, parcel) => {
+    if (parcel.delivery_status !== 'return_pending') {
+        if (!isReadyForPickup(parcel)) return { rider: null, reason: 'Parcel is not paid' };
+        if (!['pending', 'at_hub'].includes(parcel.delivery_status)) return { rider: null, reason: `Parcel is already ${parcel.delivery_status}` };
+    }
+
+    const district = getPickupDistrict(parcel);
+    if (!district) return { rider: null, reason: 'Parcel has no pickup district' };
+
+    const ranked = await rankRidersForDistrict(collections, district);
+    const rider = ranked.find((candidate) => candidate.open_parcels < MAX_OPEN_PARCELS);
+    if (!rider) {
+        return { rider: null, reason: ranked.length ? `All riders in ${district} are at capacity` : `No active riders on shift in ${district}` };
+    }
+    return { rider, reason: null };
+};
+
+// Recomputes available / in_delivery for a rider from their parcels. Riders who are off shift are left alone.
+const refreshRiderWorkStatus = async ({ ridersCollection, parcelsCollection }, riderEmail) => {
+    if (!riderEmail) return;
+    const carrying = await parcelsCollection.countDocuments({ assigned_rider_email: riderEmail, delivery_status: { $in: CARRYING_STATUSES } });
+    await ridersCollection.updateOne(
+        { email: riderEmail, work_status: { $ne: 'off_shift' } },
+        { $set: { work_status: carrying > 0 ? 'in_delivery' : 'available' } }
+    );
+};
+
+module.exports = {
+    WORK_STATUSES,
+    OPEN_STATUSES,
+    MAX_OPEN_PARCELS,
+    rankRidersForDistrict,
+    pickRiderForParcel,
+    refreshRiderWorkStatus,
+};
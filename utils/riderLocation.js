@@ -0,0 +1,69 @@
+// --- Rider Location ---
+// Riders report their position while on shift; it's stored as a GeoJSON point in the 2dsphere-indexed `location` field.
+
+// A rider is only considered on shift if their last report is this recent
+const LOCATION_STALE_MINUTES = Number(process.env.RIDER_LOCATION_STALE_MINUTES) || 15;
+const DEFAULT_RADIUS_KM = 5;
+const MAX_RADIUS_KM = 100;
+
+// Parses lat/lng (from a body or query string), returns null when they are missing or out of range
+const parseCoordinates = (lat, lng) => {
+    if (lat === undefined || lat === null || lat === '' || lng === undefined || lng === null || lng === '') return null;
+    const latitude = Number(lat);
+    const longitude = Number(lng);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+    if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) return null;
+    return { lat: latitude, lng: longitude };
+};
+
+// GeoJSON points are [longitude, latitude]
+const toGeoPoint = ({ lat, lng }) => ({ type: 'Point', coordinates: [lng, lat] });
+
+const getStaleCutoff = (now = new Date()) => new Date(now.getTime() - LOCATION_STALE_MINUTES * 60 * 1000);
+
+// Aggregation returning active, on-shift riders within radiusKm of the point, nearest first
+const buildNearbyRidersPipeline = ({ lat, lng }, radiusKm = DEFAULT_RADIUS_KM) => [
+    {
+        $geoNear: {
+            near: toGeoPoint({ lat, lng }),
+            key: 'location',
+            distanceField: 'distance_m',
+            maxDistance: Math.min(radiusKm, MAX_RADIUS_KM) * 1000,
+            spherical: true,
+            query: {
+                status: 'active',
+                work_status: { $ne: 'off_shift' },
+                deleted_at: null,
+                last_seen_at: { $gte: getStaleCutoff() },
+            },
+        },
+    },
+    {
+        $project: {
+            name: 1,
+            email: 1,
+            phone: 1,
+            district: 1,
+            work_status: 1,
+            location: 1,
+            last_seen_at: 1,
+            distance_m: { $round: ['$distance_m', 0] },
+        },
+    },
+];
+
+// Last known position shown to customers, or null when the rider never reported one
+const getPublicRiderPosition = (rider) => {
+    if (!rider?.location?.coordinates || !rider.last_seen_at) return null;
+    const [lng, lat] = rider.location.coordinates;
+    return { lat, lng, last_seen_at: rider.last_seen_at, stale: rider.last_seen_at < getStaleCutoff() };
+};
+
+module.exports = {
+    DEFAULT_RADIUS_KM,
+    MAX_RADIUS_KM,
+    parseCoordinates,
+    toGeoPoint,
+    buildNearbyRidersPipeline,
+    getPublicRiderPosition,
+};
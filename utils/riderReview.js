@@ -0,0 +1,132 @@
+// --- Rider Application Review ---
+// Rider applications move through a small review workflow. Every decision goes through
+// reviewRiderApplication, which checks the transition, records it in review_history and
+// keeps the current reason on the application so the applicant can see it.
+
+const { createHttpError } = require('./errors');
+
+// Who may move an application from one status to another:
+// admin     - reviewers
+// applicant - the user who filed the application (resubmitting after more info was requested, or reapplying)
+const REVIEW_TRANSITIONS = {
+    pending: {
+        active: ['admin'],
+        rejected: ['admin'],
+        info_requested: ['admin'],
+    },
+    info_requested: {
+        pending: ['applicant'],
+        active: ['admin'],
+        rejected: ['admin'],
+    },
+    active: {
+        deactivated: ['admin'],
+        banned: ['admin'],
+    },
+    deactivated: {
+        active: ['admin'],
+        banned: ['admin'],
+    },
+    rejected: {
+        pending: ['applicant'], // Reapplying
+    },
+    banned: {},
+};
+
+const RIDER_STATUSES = Object.keys(REVIEW_TRANSITIONS);
+
+// Decisions the applicant needs an explanation for
+const REASON_REQUIRED = ['rejected', 'info_requested', 'banned'];
+
+// Riders in these statuses can't take work and lose the rider role
+const INACTIVE_RIDER_STATUSES = ['deactivated', 'banned'];
+
+// Returns an Error (400/403/409) when the decision is not allowed, otherwise null
+const getReviewError = (rider, to, actorRole, reason) => {
+    const from = rider.status || 'pending';
+    const allowedRoles = REVIEW_TRANSITIONS[from]?.[to];
+    if (!allowedRoles) {
+        return createHttpError(409, `Cannot change rider status from ${from} to ${to}`);
+    }
+    if (!allowedRoles.includes(actorRole)) {
+        return createHttpError(403, `Forbidden: ${actorRole} cannot change rider status from ${from} to ${to}`);
+    }
+    if (REASON_REQUIRED.includes(to) && !reason) {
+        return createHttpError(400, `A reason is required to set a rider to ${to}`);
+    }
+    return null;
+};
+
+// Applies a review decision atomically and returns the updated application.
+// `actor` is `{ email, role }`, `set` holds extra fields to write along with the decision.
+const reviewRiderApplication = async (ridersCollection, rider, to, { actor, reason = null, set = {} }) => {
+    const reviewError = getReviewError(rider, to, actor.role, reason);
+    if (reviewError) throw reviewError;
+
+    const from = rider.status || 'pending';
+    const now = new Date();
+    const updated = await ridersCollection.findOneAndUpdate(
+        { _id: rider._id, status: rider.status },
+        {
+            $set: {
+                ...set,
+                status: to,
+                status_reason: reason,
+                ...(actor.role === 'admin' ? { reviewed_at: now, reviewed_by: actor.email } : { submitted_at: now }),
+                // Newly approved riders start on shift, anyone else stops receiving work
+                work_status: to === 'active' ? 'available' : 'off_shift',
+            },
+            $push: {
+                review_history: {
+                    from,
+                    to,
+                    reason,
+                    actor_email: actor.email || null,
+                    actor_role: actor.role,
+                    at: now,
+                },
+            },
+        },
+        { returnDocument: 'after' }
+    );
+    if (!updated) {
+        throw createHttpError(409, 'Rider application was changed by someone else, please reload and try again');
+    }
+    return updated;
+};
+
+// What an applicant sees of their own application
+const getApplicationSummary = (rider) => ({
+    _id: rider._id,
+    status: rider.status,
+    status_reason: rider.status_reason || null,
+    can_resubmit: ['info_requested', 'rejected'].includes(rider.status),
+    created_at: rider.created_at || null,
+    submitted_at: rider.submitted_at || rider.created_at || null,
+    reviewed_at: rider.reviewed_at || null,
+    application: {
+        name: rider.name,
+        age: rider.age,
+        phone: rider.phone,
+        region: rider.region,
+        district: rider.district,
+        nid: rider.nid,
+        bike_brand: rider.bike_brand,
+        bike_registration: rider.bike_registration,
+        license_number: rider.license_number,
+        nid_document_url: rider.nid_document_url,
+        license_document_url: rider.license_document_url,
+        bike_document_url: rider.bike_document_url,
+        additional_info: rider.additional_info,
+    },
+    review_history: (rider.review_history || []).map(({ from, to, reason, at }) => ({ from, to, reason, at })),
+});
+
+module.exports = {
+    REVIEW_TRANSITIONS,
+    RIDER_STATUSES,
+    INACTIVE_RIDER_STATUSES,
+    getReviewError,
+    reviewRiderApplication,
+    getApplicationSummary,
+};
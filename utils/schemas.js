@@ -0,0 +1,356 @@
+// --- Request Schemas ---
+// Accepted shape of every write endpoint's body and list query string (see utils/validation.js for the field options).
+// Anything not listed here is dropped, so clients can't set payment_status, _id, roles, etc.
+
+const { PARCEL_TYPES, MAX_WEIGHT_KG } = require('./pricing');
+const { DELIVERY_STATUSES } = require('./parcelStatus');
+const { listQuerySchema } = require('./listing');
+const { RIDER_STATUSES } = require('./riderReview');
+const { FAILURE_REASONS } = require('./deliveryAttempts');
+const { CENTER_TYPES } = require('./serviceCenters');
+const { EXPORT_FORMATS } = require('./export');
+const { PAYMENT_METHODS } = require('./cashOnDelivery');
+const { DEFAULT_RADIUS_KM, MAX_RADIUS_KM } = require('./riderLocation');
+
+const text = (maxLength = 200, extra = {}) => ({ type: 'string', maxLength, ...extra });
+const requiredText = (maxLength = 200) => text(maxLength, { required: true });
+
+const parcelQuote = {
+    type: { type: 'string', required: true, enum: PARCEL_TYPES },
+    weight: { type: 'number', min: 0, max: MAX_WEIGHT_KG },
+    sender_center: requiredText(),
+    receiver_center: requiredText(),
+    sender_district: text(),
+    receiver_district: text(),
+};
+
+const parcel = {
+    ...parcelQuote,
+    title: requiredText(),
+    sender_name: requiredText(),
+    sender_contact: requiredText(30),
+    sender_region: requiredText(),
+    sender_address: requiredText(500),
+    pickup_instruction: text(1000),
+    receiver_name: requiredText(),
+    receiver_contact: requiredText(30),
+    receiver_email: { type: 'email' }, // Gets the delivery code, otherwise it goes to the sender
+    receiver_region: requiredText(),
+    receiver_address: requiredText(500),
+    delivery_instruction: text(1000),
+    payment_method: { type: 'string', enum: PAYMENT_METHODS, default: 'online' }, // Cash on delivery: see utils/cashOnDelivery.js
+};
+
+const riderApplication = {
+    name: requiredText(),
+    age: { type: 'integer', min: 18, max: 70 },
+    phone: requiredText(30),
+    region: requiredText(),
+    district: requiredText(),
+    nid: text(50),
+    bike_brand: text(),
+    bike_registration: text(50),
+    license_number: text(50),
+    // Links to the uploaded scans (the client uploads them to storage first)
+    nid_document_url: text(2000),
+    license_document_url: text(2000),
+    bike_document_url: text(2000),
+    additional_info: text(1000),
+};
+
+const trackingNote = {
+    tracking_id: requiredText(50),
+    note: requiredText(1000),
+};
+
+const parcelPayment = {
+    parcelId: { type: 'objectId', required: true },
+    // What is being paid: the parcel itself or the charge for returning it to the sender
+    purpose: { type: 'string', enum: ['parcel', 'return_charge'], default: 'parcel' },
+};
+
+const userProfile = {
+    displayName: text(),
+    photoURL: text(2000),
+    lastSignInTime: text(100),
+};
+
+const roleChange = {
+    role: { type: 'string', required: true, enum: ['admin', 'user', 'rider'] },
+};
+
+const riderStatusChange = {
+    status: { type: 'string', required: true, enum: RIDER_STATUSES },
+    reason: text(1000),
+};
+
+const parcelStatusChange = {
+    status: { type: 'string', required: true, enum: DELIVERY_STATUSES },
+    note: text(1000),
+    // Proof of delivery, required by riders to complete a delivery (utils/proofOfDelivery.js)
+    delivery_code: text(20),
+    recipient_name: text(),
+    lat: { type: 'number', min: -90, max: 90 },
+    lng: { type: 'number', min: -180, max: 180 },
+    accuracy: { type: 'number', min: 0 },
+    // Failed delivery attempts (utils/deliveryAttempts.js)
+    reason_code: { type: 'string', enum: FAILURE_REASONS },
+    reattempt_at: { type: 'date' },
+    // Rider confirms the cash was taken when delivering a cash on delivery parcel
+    cash_collected: { type: 'boolean' },
+};
+
+const serviceCenter = {
+    name: requiredText(),
+    type: { type: 'string', enum: CENTER_TYPES, default: 'district' },
+    district: requiredText(),
+    region: requiredText(),
+    address: requiredText(500),
+    lat: { type: 'number', required: true, min: -90, max: 90 },
+    lng: { type: 'number', required: true, min: -180, max: 180 },
+    covered_areas: { type: 'array', maxItems: 100, maxLength: 100 }, // Other districts this center serves
+    phone: text(30),
+    active: { type: 'boolean', default: true },
+};
+
+// Same fields, all optional and without defaults, for PATCH
+const serviceCenterUpdate = Object.fromEntries(
+    Object.entries(serviceCenter).map(([field, { required, default: _default, ...rule }]) => [field, rule])
+);
+
+// POST /parcels/bulk query, a dry run validates and prices every row without booking anything
+const bulkBookingQuery = {
+    dry_run: { type: 'boolean', default: false },
+};
+
+const riderAssignment = {
+    riderId: { type: 'objectId', required: true },
+};
+
+const parcelCancellation = {
+    reason: text(500),
+};
+
+const adminRefund = {
+    amount: { type: 'number', min: 0.01 },
+    reason: requiredText(500),
+    cancel: { type: 'boolean', default: false },
+};
+
+const riderLocation = {
+    lat: { type: 'number', required: true, min: -90, max: 90 },
+    lng: { type: 'number', required: true, min: -180, max: 180 },
+    accuracy: { type: 'number', min: 0 },
+};
+
+const riderShift = {
+    on_shift: { type: 'boolean', required: true },
+};
+
+const payoutBatchCreation = {
+    riderEmail: { type: 'email' },
+};
+
+const payoutPaid = {
+    reference: text(200),
+};
+
+// Cash a rider hands over to an admin: everything they hold, or the listed parcels
+const cashSettlement = {
+    rider_email: { type: 'email', required: true },
+    parcel_ids: { type: 'array', maxItems: 500, maxLength: 24 },
+    amount_received: { type: 'number', required: true, min: 0 },
+    note: text(500),
+};
+
+// Email notification switches (utils/notifications.js), only the sent ones change
+const notificationPreferences = {
+    email: { type: 'boolean' },
+    parcel_updates: { type: 'boolean' },
+    rider_updates: { type: 'boolean' },
+    admin_alerts: { type: 'boolean' },
+};
+
+// Filters shared by the /admin/analytics endpoints
+const analyticsQuery = {
+    from: { type: 'date' },
+    to: { type: 'date' },
+    district: text(),
+    interval: { type: 'string', enum: ['day', 'week', 'month'], default: 'day' },
+    limit: { type: 'integer', min: 1, max: 100, default: 10 },
+};
+
+// --- List query strings ---
+
+const parcelList = listQuerySchema(
+    ['createdAt', 'cost', 'delivery_status', 'payment_status', 'assigned_at', 'delivered_at', 'tracking_id'],
+    {
+        email: { type: 'email' },
+        payment_status: text(30),
+        delivery_status: { type: 'string', enum: DELIVERY_STATUSES },
+        sender_district: text(),
+        receiver_district: text(),
+        rider: { type: 'email' },
+        min_cost: { type: 'number', min: 0 },
+        max_cost: { type: 'number', min: 0 },
+        batch_id: { type: 'objectId' },
+        payment_method: { type: 'string', enum: PAYMENT_METHODS },
+        refund_retry: { type: 'boolean' }, // Cancelled parcels whose refund failed (utils/refunds.js)
+    }
+);
+
+const riderTaskList = listQuerySchema(
+    ['createdAt', 'assigned_at', 'picked_at', 'delivered_at', 'next_attempt_at', 'cost'],
+    { email: { type: 'email' } }
+);
+
+const userList = listQuerySchema(
+    ['email', 'displayName', 'role', 'lastSignInTime'],
+    {
+        email: { type: 'email' },
+        role: { type: 'string', enum: ['admin', 'user', 'rider'] },
+    }
+);
+
+const riderList = listQuerySchema(
+    ['created_at', 'name', 'district', 'status', 'work_status', 'last_seen_at'],
+    {
+        status: text(30),
+        district: text(),
+        work_status: text(30),
+    }
+);
+
+// GET /riders/available, ranked for one district
+const availableRiders = {
+    district: requiredText(),
+};
+
+// GET /riders/nearby, the radius is in km
+const nearbyRiders = {
+    lat: { type: 'number', required: true, min: -90, max: 90 },
+    lng: { type: 'number', required: true, min: -180, max: 180 },
+    radius: { type: 'number', min: 0.1, max: MAX_RADIUS_KM, default: DEFAULT_RADIUS_KM },
+};
+
+const paymentList = listQuerySchema(
+    ['paid_at', 'amount', 'type', 'status'],
+    {
+        email: { type: 'email' },
+        parcelId: { type: 'objectId' },
+        type: { type: 'string', enum: ['payment', 'refund', 'return_charge'] },
+        status: text(30),
+    }
+);
+
+const notificationList = listQuerySchema(
+    ['created_at', 'next_attempt_at', 'sent_at', 'attempts'],
+    {
+        status: { type: 'string', enum: ['queued', 'sending', 'sent', 'failed'] },
+        type: text(50),
+        recipient: { type: 'email' },
+    }
+);
+
+const serviceCenterList = listQuerySchema(
+    ['name', 'district', 'region', 'created_at'],
+    {
+        district: text(),
+        region: text(),
+        type: { type: 'string', enum: CENTER_TYPES },
+        active: { type: 'boolean' },
+    }
+);
+
+const trashList = listQuerySchema(['deleted_at']);
+
+// Exports take a list endpoint's filters and sorting, without paging, plus the file format
+const exportQuerySchema = ({ page, limit, ...listQuery }) => ({
+    ...listQuery,
+    format: { type: 'string', enum: EXPORT_FORMATS, default: 'csv' },
+});
+
+const parcelExport = exportQuerySchema(parcelList);
+
+const paymentExport = exportQuerySchema(paymentList);
+
+const riderDeliveryExport = exportQuerySchema(listQuerySchema(
+    ['delivered_at', 'returned_at', 'picked_at', 'cost', 'tracking_id'],
+    { rider: { type: 'email' } } // Admins only, riders always get their own
+));
+
+const riderEarningExport = exportQuerySchema(listQuerySchema(
+    ['delivered_at', 'requested_at', 'paid_at', 'amount'],
+    {
+        rider: { type: 'email' }, // Admins only, riders always get their own
+        status: { type: 'string', enum: ['pending', 'requested', 'in_batch', 'paid'] },
+    }
+));
+
+const auditList = listQuerySchema(
+    ['timestamp', 'action', 'entity', 'actor_email'],
+    {
+        actor: { type: 'email' },
+        entity: { type: 'string', enum: ['user', 'parcel', 'rider', 'service_center', 'payout_batch', 'cash_settlement', 'notification', 'trash'] },
+        entity_id: text(50),
+        action: text(100),
+    }
+);
+
+const cashCollectionList = listQuerySchema(
+    ['cash_collection.collected_at', 'cash_collection.amount', 'delivered_at'],
+    {
+        rider: { type: 'email' },
+        status: { type: 'string', enum: ['held', 'settled'] },
+    }
+);
+
+const payoutList = listQuerySchema(
+    ['created_at', 'total', 'status'],
+    {
+        status: { type: 'string', enum: ['pending_approval', 'approved', 'paid'] },
+        riderEmail: { type: 'email' },
+    }
+);
+
+module.exports = {
+    parcelQuote,
+    parcel,
+    riderApplication,
+    trackingNote,
+    parcelPayment,
+    userProfile,
+    roleChange,
+    riderStatusChange,
+    parcelStatusChange,
+    serviceCenter,
+    serviceCenterUpdate,
+    riderAssignment,
+    bulkBookingQuery,
+    parcelCancellation,
+    adminRefund,
+    riderLocation,
+    riderShift,
+    payoutBatchCreation,
+    payoutPaid,
+    cashSettlement,
+    notificationPreferences,
+    analyticsQuery,
+    parcelList,
+    riderTaskList,
+    userList,
+    riderList,
+    availableRiders,
+    nearbyRiders,
+    paymentList,
+    payoutList,
+    cashCollectionList,
+    notificationList,
+    serviceCenterList,
+    trashList,
+    parcelExport,
+    paymentExport,
+    riderDeliveryExport,
+    riderEarningExport,
+    auditList,
+};
@@ -0,0 +1,255 @@
+// --- Service Centers & Hub Routing ---
+// Service centers (`service_centers`) are the hubs parcels move through. Each serves its own district and
+// any districts listed in covered_areas; regional hubs link the regions for long-distance line-haul.
+//
+// An inter-district parcel gets a route of legs, each with its own rider and status:
+// first_mile - sender's address -> origin hub
+// line_haul  - hub -> hub (origin -> regional hubs when crossing regions -> destination)
+// last_mile  - destination hub -> receiver's address
+//
+// The parcel's delivery_status follows the current leg: rider_assigned -> in_transit -> at_hub (checked in,
+// waiting for the next leg's rider) -> rider_assigned ... and the last-mile rider finally delivers it.
+// assigned_rider_* always point at the current leg's rider. Parcels without a route (within a district,
+// or districts without a service center) keep the single-rider flow.
+
+const { toGeoPoint } = require('./riderLocation');
+const { createHttpError } = require('./errors');
+const { escapeRegex } = require('./listing');
+
+const CENTER_TYPES = ['district', 'regional'];
+
+const ACTIVE_CENTER = { active: true, deleted_at: null };
+
+const exactMatch = (value) => ({ $regex: `^${escapeRegex(String(value).trim())}$`, $options: 'i' });
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Builds the stored document from a validated serviceCenter body (partial for updates)
+const buildServiceCenterFields = (input) => {
+    const fields = { ...input };
+    delete fields.lat;
+    delete fields.lng;
+    if (input.lat !== undefined && input.lng !== undefined) {
+        fields.location = toGeoPoint({ lat: input.lat, lng: input.lng });
+    } else if (input.lat !== undefined || input.lng !== undefined) {
+        throw createHttpError(400, 'lat and lng have to be sent together');
+    }
+    return fields;
+};
+
+// Active center for a district: the one located there, otherwise one that lists it in covered_areas
+const findCenterForDistrict = async (serviceCentersCollection, district) => {
+    if (!district) return null;
+    const centers = await serviceCentersCollection
+        .find({ ...ACTIVE_CENTER, $or: [{ district: exactMatch(district) }, { covered_areas: exactMatch(district) }] })
+        .toArray();
+    return centers.find((center) => normalize(center.district) === normalize(district)) || centers[0] || null;
+};
+
+const findRegionalHub = (serviceCentersCollection, region) => serviceCentersCollection.findOne({
+    ...ACTIVE_CENTER,
+    type: 'regional',
+    region: exactMatch(region),
+});
+
+// How a hub is referenced from a route leg (a snapshot, so later edits don't rewrite history)
+const hubStop = (center) => ({
+    center_id: center._id.toString(),
+    name: center.name,
+    district: center.district,
+    region: center.region,
+});
+
+// Hubs the parcel passes: origin, the two regional hubs when it crosses regions, destination
+const buildHubPath = async (serviceCentersCollection, origin, destination) => {
+    const path = [origin];
+    if (normalize(origin.region) !== normalize(destination.region)) {
+        const [originHub, destinationHub] = await Promise.all([
+            findRegionalHub(serviceCentersCollection, origin.region),
+            findRegionalHub(serviceCentersCollection, destination.region),
+        ]);
+        path.push(...[originHub, destinationHub].filter(Boolean));
+    }
+    path.push(destination);
+    return path.filter((center, index) => index === 0 || !center._id.equals(path[index - 1]._id));
+};
+
+const newLeg = (index, type, from, to) => ({
+    index,
+    type,
+    from,
+    to,
+    status: 'pending',
+    rider_id: null,
+    rider_email: null,
+    rider_name: null,
+    assigned_at: null,
+    picked_at: null,
+    completed_at: null,
+});
+
+// Plans the hub route for a parcel. Returns `{ route, reason }`, route being null (with the reason)
+// when the parcel is delivered by a single rider.
+const planParcelRoute = async (serviceCentersCollection, parcel) => {
+    const senderDistrict = parcel.pricing?.sender_district || parcel.sender_district || parcel.sender_center;
+    const receiverDistrict = parcel.pricing?.receiver_district || parcel.receiver_district || parcel.receiver_center;
+    if (normalize(senderDistrict) === normalize(receiverDistrict)) {
+        return { route: null, reason: 'Parcels within a district are delivered by a single rider' };
+    }
+
+    const [origin, destination] = await Promise.all([
+        findCenterForDistrict(serviceCentersCollection, senderDistrict),
+        findCenterForDistrict(serviceCentersCollection, receiverDistrict),
+    ]);
+    if (!origin || !destination) {
+        return { route: null, reason: `No service center covers ${origin ? receiverDistrict : senderDistrict}` };
+    }
+    if (origin._id.equals(destination._id)) {
+        return { route: null, reason: `${senderDistrict} and ${receiverDistrict} are served by the same service center` };
+    }
+
+    const hubs = (await buildHubPath(serviceCentersCollection, origin, destination)).map(hubStop);
+    const legs = [
+        newLeg(0, 'first_mile', { address: parcel.sender_address || null, district: senderDistrict }, hubs[0]),
+        ...hubs.slice(1).map((hub, index) => newLeg(index + 1, 'line_haul', hubs[index], hub)),
+    ];
+    legs.push(newLeg(legs.length, 'last_mile', hubs[hubs.length - 1], { address: parcel.receiver_address || null, district: receiverDistrict }));
+
+    return {
+        route: {
+            origin_center_id: hubs[0].center_id,
+            destination_center_id: hubs[hubs.length - 1].center_id,
+            legs,
+            current_leg: 0,
+            planned_at: new Date(),
+        },
+        reason: null,
+    };
+};
+
+const getCurrentLeg = (parcel) => parcel.route?.legs?.[parcel.route.current_leg] || null;
+
+const legLabel = (leg) => leg.type.replace('_', '-');
+
+// Route rules on top of the state machine (which only knows statuses and roles).
+// Returns an Error with a `status` when the transition doesn't fit the current leg, otherwise null.
+const getLegTransitionError = (parcel, to) => {
+    const leg = getCurrentLeg(parcel);
+    if (!leg) {
+        return to === 'at_hub' ? createHttpError(409, 'Only parcels routed through service centers are checked in at hubs') : null;
+    }
+    const lastLeg = leg.type === 'last_mile';
+
+    if (to === 'at_hub' && parcel.delivery_status === 'in_transit' && lastLeg) {
+        return createHttpError(409, 'The last-mile rider delivers to the receiver, not to a hub');
+    }
+    if (to === 'at_hub' && parcel.delivery_status === 'rider_assigned' && parcel.route.current_leg === 0) {
+        return createHttpError(409, 'The parcel has not reached a hub yet, unassign it back to pending');
+    }
+    if (to === 'pending' && parcel.route.current_leg > 0) {
+        return createHttpError(409, `The parcel is at ${leg.from.name}, unassign it back to at_hub`);
+    }
+    if (['delivered', 'failed_attempt'].includes(to) && !lastLeg) {
+        return createHttpError(409, `The parcel is on its ${legLabel(leg)} leg, check it in at ${leg.to.name} first`);
+    }
+    // Dropping it at the destination hub for pickup ends the route early
+    if (to === 'service_center_delivered' && !lastLeg && leg.to.center_id !== parcel.route.destination_center_id) {
+        return createHttpError(409, `The parcel is on its ${legLabel(leg)} leg to ${leg.to.name}, not to the destination hub`);
+    }
+    return null;
+};
+
+// Route fields to write along with a transition (`set` is what the caller already writes, e.g. the new rider).
+// Also returns the tracking event for it: hub check-ins and check-outs get their own.
+const buildLegUpdate = (parcel, to, set = {}, now = new Date()) => {
+    const leg = getCurrentLeg(parcel);
+    if (!leg) return { set: {}, event: to };
+    const path = `route.legs.${leg.index}`;
+    const from = parcel.delivery_status;
+
+    if (to === 'rider_assigned') {
+        return {
+            event: to,
+            set: {
+                [`${path}.status`]: 'assigned',
+                [`${path}.rider_id`]: set.assigned_rider_id,
+                [`${path}.rider_email`]: set.assigned_rider_email,
+                [`${path}.rider_name`]: set.assigned_rider_name,
+                [`${path}.assigned_at`]: now,
+            },
+        };
+    }
+    if (to === 'in_transit' && from === 'rider_assigned') {
+        return {
+            event: leg.from.center_id ? 'hub_check_out' : to,
+            message: leg.from.center_id ? `Left ${leg.from.name} on its ${legLabel(leg)} leg` : undefined,
+            set: { [`${path}.status`]: 'in_transit', [`${path}.picked_at`]: now },
+        };
+    }
+    if (to === 'at_hub' && from === 'in_transit') {
+        return {
+            event: 'hub_check_in',
+            message: `Checked in at ${leg.to.name}`,
+            set: {
+                [`${path}.status`]: 'completed',
+                [`${path}.completed_at`]: now,
+                'route.current_leg': leg.index + 1,
+                assigned_rider_id: null,
+                assigned_rider_email: null,
+                assigned_rider_name: null,
+            },
+        };
+    }
+    // Rider unassigned before picking the parcel up
+    if (['pending', 'at_hub'].includes(to) && from === 'rider_assigned') {
+        return {
+            event: to,
+            set: {
+                [`${path}.status`]: 'pending',
+                [`${path}.rider_id`]: null,
+                [`${path}.rider_email`]: null,
+                [`${path}.rider_name`]: null,
+                [`${path}.assigned_at`]: null,
+                assigned_rider_id: null,
+                assigned_rider_email: null,
+                assigned_rider_name: null,
+            },
+        };
+    }
+    if (['delivered', 'service_center_delivered'].includes(to)) {
+        return { event: to, set: { [`${path}.status`]: 'completed', [`${path}.completed_at`]: now } };
+    }
+    return { set: {}, event: to };
+};
+
+// Filter for parcels still moving through a center (it can't be deleted while there are any)
+const openParcelsThroughCenter = (centerId) => ({
+    $or: [{ 'route.legs.from.center_id': centerId }, { 'route.legs.to.center_id': centerId }],
+    delivery_status: { $nin: ['delivered', 'service_center_delivered', 'cancelled', 'returned'] },
+});
+
+// Public view of a route for the tracking page, without rider contact details
+const getRouteSummary = (route) => (route
+    ? {
+        current_leg: route.current_leg,
+        legs: route.legs.map((leg) => ({
+            type: leg.type,
+            from: leg.from.name || leg.from.district,
+            to: leg.to.name || leg.to.district,
+            status: leg.status,
+            rider_name: leg.rider_name,
+            completed_at: leg.completed_at,
+        })),
+    }
+    : null);
+
+module.exports = {
+    CENTER_TYPES,
+    buildServiceCenterFields,
+    findCenterForDistrict,
+    planParcelRoute,
+    getCurrentLeg,
+    getLegTransitionError,
+    buildLegUpdate,
+    openParcelsThroughCenter,
+    getRouteSummary,
+};
@@ -0,0 +1,124 @@
+// --- Sessions ---
+// Cookie sessions issued by /login in exchange for a verified Firebase ID token.
+// A short-lived access JWT (cookie "token") carries the session id; a long-lived opaque refresh token
+// (cookie "refresh_token") is rotated on every use. Sessions live in the `sessions` collection so they
+// can be revoked server-side (logout, role change), which also invalidates their access tokens.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
+const { createHttpError } = require('./errors');
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (session) => jwt.sign(
+    { email: session.email, sid: session._id.toString() },
+    process.env.JWT_ACCESS_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+);
+
+// Refresh tokens are "<session id>.<random secret>", only the hash of the secret is stored
+const issueTokens = async (sessionsCollection, { email, familyId, userAgent, ip }) => {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    const session = {
+        _id: new ObjectId(),
+        email,
+        family_id: familyId || new ObjectId(), // Every rotation of one login shares a family
+        refresh_hash: hashToken(secret),
+        user_agent: userAgent || null,
+        ip: ip || null,
+        created_at: now,
+        expires_at: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        revoked_at: null,
+        revoke_reason: null,
+    };
+    await sessionsCollection.insertOne(session);
+
+    return {
+        session,
+        accessToken: signAccessToken(session),
+        refreshToken: `${session._id.toString()}.${secret}`,
+    };
+};
+
+const createSession = (sessionsCollection, { email, userAgent, ip }) => issueTokens(sessionsCollection, { email, userAgent, ip });
+
+// Swaps a refresh token for a new access/refresh pair. Presenting an already rotated token means it
+// was stolen or replayed, so the whole family is revoked.
+const rotateSession = async (sessionsCollection, refreshToken, { userAgent, ip } = {}) => {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret || !ObjectId.isValid(sessionId)) throw createHttpError(401, 'Invalid refresh token');
+
+    const session = await sessionsCollection.findOne({ _id: new ObjectId(sessionId) });
+    if (!session || session.refresh_hash !== hashToken(secret)) throw createHttpError(401, 'Invalid refresh token');
+
+    if (session.revoked_at) {
+        if (session.revoke_reason === 'rotated') {
+            await revokeSessions(sessionsCollection, { family_id: session.family_id }, 'refresh_token_reuse');
+        }
+        throw createHttpError(401, 'Session has been revoked');
+    }
+    if (session.expires_at < new Date()) throw createHttpError(401, 'Session has expired');
+
+    // Only one concurrent refresh can win the rotation
+    const rotated = await sessionsCollection.updateOne(
+        { _id: session._id, revoked_at: null },
+        { $set: { revoked_at: new Date(), revoke_reason: 'rotated' } }
+    );
+    if (rotated.modifiedCount === 0) throw createHttpError(401, 'Session has been revoked');
+
+    const tokens = await issueTokens(sessionsCollection, { email: session.email, familyId: session.family_id, userAgent, ip });
+    await sessionsCollection.updateOne({ _id: session._id }, { $set: { replaced_by: tokens.session._id } });
+    return tokens;
+};
+
+const revokeSessions = (sessionsCollection, query, reason) => sessionsCollection.updateMany(
+    { ...query, revoked_at: null },
+    { $set: { revoked_at: new Date(), revoke_reason: reason } }
+);
+
+// Revokes every open session of a user, e.g. after their role changed
+const revokeUserSessions = (sessionsCollection, email, reason) => revokeSessions(sessionsCollection, { email }, reason);
+
+// Revokes the session the given refresh and/or access token belong to (logout). Expired access tokens still count.
+const revokeSessionByTokens = async (sessionsCollection, { accessToken, refreshToken }, reason) => {
+    const sessionIds = [
+        String(refreshToken || '').split('.')[0],
+        accessToken ? jwt.decode(accessToken)?.sid : null,
+    ].filter((id) => id && ObjectId.isValid(id));
+    if (sessionIds.length === 0) return;
+
+    // The refresh token's whole family goes, so an older rotated token can't be replayed either
+    const sessions = await sessionsCollection.find({ _id: { $in: sessionIds.map((id) => new ObjectId(id)) } }).toArray();
+    const familyIds = sessions.map((session) => session.family_id);
+    await revokeSessions(sessionsCollection, { family_id: { $in: familyIds } }, reason);
+};
+
+// Verifies an access JWT and that its session is still live; returns the decoded payload
+const verifyAccessToken = async (sessionsCollection, token) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    } catch (error) {
+        throw createHttpError(401, 'Invalid or expired session token');
+    }
+    if (!decoded.sid || !ObjectId.isValid(decoded.sid)) throw createHttpError(401, 'Invalid session token');
+
+    const session = await sessionsCollection.findOne({ _id: new ObjectId(decoded.sid) }, { projection: { revoked_at: 1 } });
+    if (!session || session.revoked_at) throw createHttpError(401, 'Session has been revoked');
+    return decoded;
+};
+
+module.exports = {
+    ACCESS_TOKEN_TTL_SECONDS,
+    REFRESH_TOKEN_TTL_DAYS,
+    createSession,
+    rotateSession,
+    revokeUserSessions,
+    revokeSessionByTokens,
+    verifyAccessToken,
+};
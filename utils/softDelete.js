@@ -0,0 +1,113 @@
+// --- Soft Delete ---
+// Parcels, users, riders and service centers are never removed right away: deleting stamps deleted_at / deleted_by, and
+// every list and lookup filters on NOT_DELETED. Deleted documents sit in the admin trash until they are
+// restored or purged after TRASH_RETENTION_DAYS (default 30).
+//
+// A parcel with recorded payments is only purged together with an archive of those payments
+// (payments_archive), and never while its rider earning is still unpaid.
+
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Matches documents without deleted_at as well as restored ones (deleted_at: null)
+const NOT_DELETED = { deleted_at: null };
+const DELETED = { deleted_at: { $ne: null } };
+
+const softDeleteDocument = (collection, filter, actorEmail) => collection.findOneAndUpdate(
+    { ...filter, ...NOT_DELETED },
+    { $set: { deleted_at: new Date(), deleted_by: actorEmail || null } },
+    { returnDocument: 'after' }
+);
+
+// The last deletion is kept in last_deleted_at / last_deleted_by (pipeline update, so it can copy the fields)
+const restoreDocument = (collection, filter, actorEmail) => collection.findOneAndUpdate(
+    { ...filter, ...DELETED },
+    [{
+        $set: {
+            last_deleted_at: '$deleted_at',
+            last_deleted_by: '$deleted_by',
+            deleted_at: null,
+            deleted_by: null,
+            restored_at: new Date(),
+            restored_by: actorEmail || null,
+        },
+    }],
+    { returnDocument: 'after' }
+);
+
+// Archives a parcel's payments, then removes the parcel and its tracking entries.
+// Returns null when purged, otherwise the reason it was kept.
+const purgeParcel = async ({ parcelsCollection, paymentsCollection, paymentsArchiveCollection, trackingsCollection, earningsCollection }, parcel) => {
+    const parcelId = parcel._id.toString();
+
+    const unpaidEarning = await earningsCollection.findOne({ parcel_id: parcelId, status: { $ne: 'paid' } });
+    if (unpaidEarning) return 'rider earning not paid out yet';
+
+    const payments = await paymentsCollection.find({ parcelId }).toArray();
+    if (payments.length > 0) {
+        // Upserting by the original _id keeps a re-run after a crash from archiving twice
+        const archivedAt = new Date();
+        const archived = await paymentsArchiveCollection.bulkWrite(payments.map((payment) => ({
+            replaceOne: {
+                filter: { _id: payment._id },
+                replacement: {
+                    ...payment,
+                    archived_at: archivedAt,
+                    archived_parcel: {
+                        _id: parcel._id,
+                        tracking_id: parcel.tracking_id || null,
+                        created_by: parcel.created_by,
+                        cost: parcel.cost,
+                        deleted_at: parcel.deleted_at,
+                        deleted_by: parcel.deleted_by,
+                    },
+                },
+                upsert: true,
+            },
+        })));
+        if (archived.upsertedCount + archived.matchedCount !== payments.length) return 'payments could not be archived';
+        await paymentsCollection.deleteMany({ _id: { $in: payments.map((payment) => payment._id) } });
+    }
+
+    if (parcel.tracking_id) {
+        await trackingsCollection.deleteMany({ tracking_id: parcel.tracking_id });
+    }
+    await parcelsCollection.deleteOne({ _id: parcel._id, ...DELETED });
+    return null;
+};
+
+// Permanently removes everything deleted more than `retentionDays` ago.
+// Returns { parcels: { purged, blocked: [{ _id, tracking_id, reason }] }, users, riders, service_centers }.
+const purgeDeleted = async (collections, { retentionDays = TRASH_RETENTION_DAYS, now = new Date() } = {}) => {
+    const { parcelsCollection, usersCollection, ridersCollection, serviceCentersCollection } = collections;
+    const expired = { deleted_at: { $ne: null, $lt: new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000) } };
+
+    const parcels = { purged: 0, blocked: [] };
+    const expiredParcels = await parcelsCollection.find(expired).toArray();
+    for (const parcel of expiredParcels) {
+        try {
+            const reason = await purgeParcel(collections, parcel);
+            if (reason) parcels.blocked.push({ _id: parcel._id, tracking_id: parcel.tracking_id || null, reason });
+            else parcels.purged++;
+        } catch (error) {
+            console.error(`Error purging parcel ${parcel._id}:`, error);
+            parcels.blocked.push({ _id: parcel._id, tracking_id: parcel.tracking_id || null, reason: error.message });
+        }
+    }
+
+    // Routes keep a snapshot of every hub they pass, so centers can go without touching parcels
+    const [users, riders, serviceCenters] = await Promise.all([
+        usersCollection.deleteMany(expired),
+        ridersCollection.deleteMany(expired),
+        serviceCentersCollection.deleteMany(expired),
+    ]);
+    return { parcels, users: users.deletedCount, riders: riders.deletedCount, service_centers: serviceCenters.deletedCount };
+};
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    NOT_DELETED,
+    DELETED,
+    softDeleteDocument,
+    restoreDocument,
+    purgeDeleted,
+};
@@ -0,0 +1,85 @@
+// --- Server-Sent Events ---
+// Streams tracking entries to EventSource clients with Last-Event-ID resume and heartbeats.
+
+const { ObjectId } = require('mongodb');
+const { subscribeParcelEvents } = require('./events');
+
+const HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS) || 25000;
+const MAX_REPLAY = 500; // Entries replayed at most when a client resumes
+
+// Shape sent to clients for each tracking entry
+const toStreamEvent = (entry) => ({
+    id: entry._id.toString(),
+    tracking_id: entry.tracking_id,
+    parcel_id: entry.parcel_id,
+    status: entry.status,
+    delivery_status: entry.delivery_status || null,
+    message: entry.message,
+    updated_by: entry.updated_by || null,
+    actor_role: entry.actor_role || null,
+    timestamp: entry.timestamp,
+});
+
+// EventSource sends Last-Event-ID on reconnect; the query param lets a fresh page resume too
+const getLastEventId = (req) => {
+    const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+    return lastEventId && ObjectId.isValid(lastEventId) ? new ObjectId(lastEventId) : null;
+};
+
+// Opens an SSE stream for tracking entries matching `query` (a Mongo filter) and `filter` (the same rule for live entries)
+const streamTrackingEvents = async (req, res, { trackingsCollection, query, filter }) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // Stop proxies from buffering the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    // Only needed to drop duplicates between the replay and entries that arrived while replaying
+    let sentIds = new Set();
+    const send = (entry) => {
+        const event = toStreamEvent(entry);
+        if (sentIds) {
+            if (sentIds.has(event.id)) return;
+            sentIds.add(event.id);
+        }
+        res.write(`id: ${event.id}\nevent: tracking\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Subscribe before replaying so nothing written in between is lost; live entries wait until the replay is sent
+    let pending = [];
+    const unsubscribe = subscribeParcelEvents(filter, (entry) => {
+        if (pending) pending.push(entry);
+        else send(entry);
+    });
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+
+    try {
+        const lastEventId = getLastEventId(req);
+        if (lastEventId) {
+            const missed = await trackingsCollection
+                .find({ ...query, _id: { $gt: lastEventId } })
+                .sort({ _id: 1 })
+                .limit(MAX_REPLAY)
+                .toArray();
+            missed.forEach(send);
+        }
+    } catch (error) {
+        console.error("Error replaying tracking events:", error);
+    }
+
+    pending.forEach(send);
+    pending = null;
+    sentIds = null;
+};
+
+module.exports = {
+    streamTrackingEvents,
+};
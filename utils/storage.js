@@ -0,0 +1,54 @@
+// --- File Storage ---
+// Uploaded files (proof of delivery photos and signatures) go through a small storage backend.
+//
+// Backends:
+// local - files under UPLOAD_DIR (default ./uploads), the default
+// Anything with save(key, buffer, contentType) and read(key) => readable stream works, e.g. an S3 or
+// GCS adapter, and can be installed with setStorageBackend at startup.
+//
+// Keys are always generated by the server, never taken from the client.
+
+const fs = require('fs');
+const path = require('path');
+
+const createLocalStorage = (rootDir = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads')) => {
+    const root = path.resolve(rootDir);
+
+    // Refuses keys that would resolve outside the upload directory
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+        return filePath;
+    };
+
+    return {
+        save: async (key, buffer) => {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+            return { key };
+        },
+        read: async (key) => {
+            const filePath = resolveKey(key);
+            await fs.promises.access(filePath);
+            return fs.createReadStream(filePath);
+        },
+    };
+};
+
+let backend = createLocalStorage();
+
+const setStorageBackend = (newBackend) => {
+    backend = newBackend;
+};
+
+const saveFile = (key, buffer, contentType) => backend.save(key, buffer, contentType);
+
+const readFile = (key) => backend.read(key);
+
+module.exports = {
+    createLocalStorage,
+    setStorageBackend,
+    saveFile,
+    readFile,
+};
@@ -0,0 +1,430 @@
+// --- Stripe Webhook Reconciliation ---
+// Stripe events are the only source that writes payments and parcel payment_status.
+// Every handler is written so that replaying the same event changes nothing.
+// A parcel paid twice (its own intent and its batch's, see utils/paymentIntents.js) gets the second payment refunded,
+// and so does a parcel paid after it was cancelled.
+
+const { ObjectId } = require('mongodb');
+const { recordTrackingEvent } = require('./tracking');
+const { refreshBatchPaymentStatus } = require('./bulkBooking');
+const { refundDuplicatePayment } = require('./refunds');
+const { toMinorUnits, fromMinorUnits } = require('./currency');
+
+const toObjectId = (id) => (ObjectId.isValid(id) ? new ObjectId(id) : null);
+
+// Parcels a payment can still be applied to
+const PAYABLE = { payment_status: { $nin: ['paid', 'refunded', 'partially_refunded'] }, delivery_status: { $ne: 'cancelled' } };
+
+// A successful payment that was not applied to `parcel` (see PAYABLE) is refunded: it either paid the parcel a
+// second time, or came in after the parcel was cancelled. Replays of the payment that did apply change nothing.
+const refundUnappliedPayment = async (paymentIntent, parcel, payment, { stripe, paymentsCollection }) => {
+    if (parcel.payment_intent_id === paymentIntent.id) return;
+    if (parcel.payment_intent_id) {
+        await refundDuplicatePayment({ stripe, payment, paidBy: parcel.payment_intent_id, paymentsCollection });
+    } else if (parcel.delivery_status === 'cancelled') {
+        await refundDuplicatePayment({ stripe, payment, reason: 'parcel_cancelled', paymentsCollection });
+    }
+};
+
+// payment_intent.succeeded for a return charge (metadata.purpose): record it and settle the parcel's return_charge.
+// A payment for a charge that is no longer due (paid by another intent, or waived) is refunded.
+const handleReturnChargeSucceeded = async (paymentIntent, event, collections, parcelObjectId) => {
+    const { parcelsCollection, paymentsCollection, trackingsCollection } = collections;
+    const { parcelId, email } = paymentIntent.metadata;
+    const paidAt = new Date(paymentIntent.created * 1000);
+    const amountInCents = paymentIntent.amount_received || paymentIntent.amount;
+
+    await paymentsCollection.updateOne(
+        { transactionId: paymentIntent.id, type: 'return_charge' },
+        {
+            $setOnInsert: {
+                parcelId,
+                email,
+                amount: fromMinorUnits(amountInCents, paymentIntent.currency),
+                amountInCents,
+                currency: paymentIntent.currency,
+                paymentMethod: paymentIntent.payment_method_types,
+                transactionId: paymentIntent.id,
+                type: 'return_charge',
+                stripe_event_id: event.id,
+                paid_at_string: paidAt.toISOString(),
+                paid_at: paidAt,
+            },
+            $set: { status: 'succeeded' },
+        },
+        { upsert: true }
+    );
+
+    const paidParcel = await parcelsCollection.findOneAndUpdate(
+        { _id: parcelObjectId, 'return_charge.status': 'due' },
+        {
+            $set: {
+                'return_charge.status': 'paid',
+                'return_charge.payment_intent_id': paymentIntent.id,
+                'return_charge.paid_at': paidAt,
+            },
+            $unset: { 'return_charge.open_payment_intent_id': '' },
+        },
+        { returnDocument: 'after' }
+    );
+    if (paidParcel) {
+        await recordTrackingEvent(trackingsCollection, paidParcel, 'return_charge_paid');
+        return;
+    }
+
+    const parcel = await parcelsCollection.findOne({ _id: parcelObjectId }, { projection: { return_charge: 1 } });
+    const paidBy = parcel?.return_charge?.payment_intent_id;
+    if (!parcel || paidBy === paymentIntent.id) return; // Replayed
+    const payment = await paymentsCollection.findOne({ transactionId: paymentIntent.id, type: 'return_charge' });
+    await refundDuplicatePayment({
+        stripe: collections.stripe,
+        payment,
+        paidBy,
+        reason: paidBy ? 'duplicate' : 'return_charge_not_due',
+        paymentsCollection,
+    });
+};
+
+// payment_intent.succeeded for a parcel batch (metadata.batchId): one payment record per parcel, so the
+// payment history, refunds and revenue keep working per parcel. The parcels paid are the ones stored on
+// the batch when the intent was created.
+const handleBatchPaymentSucceeded = async (paymentIntent, event, collections) => {
+    const { parcelsCollection, paymentsCollection, trackingsCollection, parcelBatchesCollection } = collections;
+    const { batchId, email } = paymentIntent.metadata;
+    const batchObjectId = toObjectId(batchId);
+    const batch = batchObjectId && await parcelBatchesCollection.findOne({ _id: batchObjectId });
+    const intent = batch?.payment_intents?.[paymentIntent.id];
+    if (!intent) {
+        console.warn(`Stripe webhook: payment intent ${paymentIntent.id} does not match a batch payment`);
+        return;
+    }
+
+    const paidAt = new Date(paymentIntent.created * 1000);
+    const parcels = await parcelsCollection.find({ _id: { $in: intent.parcel_ids.map(toObjectId) } }).toArray();
+    for (const parcel of parcels) {
+        const parcelId = parcel._id.toString();
+        const amountInCents = parcel.cost_minor || toMinorUnits(parcel.cost, paymentIntent.currency);
+        await paymentsCollection.updateOne(
+            { transactionId: paymentIntent.id, type: 'payment', parcelId },
+            {
+                $setOnInsert: {
+                    parcelId,
+                    batchId,
+                    email,
+                    amount: fromMinorUnits(amountInCents, paymentIntent.currency),
+                    amountInCents,
+                    currency: paymentIntent.currency,
+                    paymentMethod: paymentIntent.payment_method_types,
+                    transactionId: paymentIntent.id,
+                    type: 'payment',
+                    stripe_event_id: event.id,
+                    paid_at_string: paidAt.toISOString(),
+                    paid_at: paidAt,
+                },
+                $set: { status: 'succeeded' },
+            },
+            { upsert: true }
+        );
+
+        const paidParcel = await parcelsCollection.findOneAndUpdate(
+            { _id: parcel._id, ...PAYABLE },
+            { $set: { payment_status: 'paid', payment_intent_id: paymentIntent.id, paid_at: paidAt } },
+            { returnDocument: 'after' }
+        );
+        if (paidParcel) {
+            await recordTrackingEvent(trackingsCollection, paidParcel, 'paid');
+        } else {
+            const payment = await paymentsCollection.findOne({ transactionId: paymentIntent.id, type: 'payment', parcelId });
+            await refundUnappliedPayment(paymentIntent, parcel, payment, collections);
+        }
+    }
+    await parcelBatchesCollection.updateOne({ _id: batchObjectId }, { $set: { [`payment_intents.${paymentIntent.id}.status`]: 'succeeded' } });
+    await refreshBatchPaymentStatus({ parcelsCollection, parcelBatchesCollection }, batchId);
+};
+
+// payment_intent.succeeded: record the payment and mark the parcel paid
+const handlePaymentSucceeded = async (paymentIntent, event, collections) => {
+    const { parcelsCollection, paymentsCollection, trackingsCollection } = collections;
+    const { parcelId, email, purpose, batchId } = paymentIntent.metadata || {};
+    if (batchId) {
+        await handleBatchPaymentSucceeded(paymentIntent, event, collections);
+        return;
+    }
+    const parcelObjectId = toObjectId(parcelId);
+    if (!parcelObjectId) {
+        console.warn(`Stripe webhook: payment intent ${paymentIntent.id} has no valid parcelId metadata`);
+        return;
+    }
+    if (purpose === 'return_charge') {
+        await handleReturnChargeSucceeded(paymentIntent, event, collections, parcelObjectId);
+        return;
+    }
+
+    const paidAt = new Date(paymentIntent.created * 1000);
+    const amountInCents = paymentIntent.amount_received || paymentIntent.amount;
+
+    await paymentsCollection.updateOne(
+        { transactionId: paymentIntent.id, type: 'payment' },
+        {
+            $setOnInsert: {
+                parcelId,
+                email,
+                amount: fromMinorUnits(amountInCents, paymentIntent.currency),
+                amountInCents,
+                currency: paymentIntent.currency,
+                paymentMethod: paymentIntent.payment_method_types,
+                transactionId: paymentIntent.id,
+                type: 'payment',
+                stripe_event_id: event.id,
+                paid_at_string: paidAt.toISOString(),
+                paid_at: paidAt,
+            },
+            $set: { status: 'succeeded' },
+        },
+        { upsert: true }
+    );
+
+    // A refund may already have been processed for this intent, never move it back to paid
+    const paidParcel = await parcelsCollection.findOneAndUpdate(
+        { _id: parcelObjectId, ...PAYABLE },
+        {
+            $set: {
+                payment_status: 'paid',
+                payment_intent_id: paymentIntent.id,
+                paid_at: paidAt,
+            },
+        },
+        { returnDocument: 'after' }
+    );
+    if (paidParcel) {
+        await recordTrackingEvent(trackingsCollection, paidParcel, 'paid');
+        // A parcel booked in bulk can still be paid on its own
+        if (paidParcel.batch_id) await refreshBatchPaymentStatus(collections, paidParcel.batch_id);
+    } else {
+        const parcel = await parcelsCollection.findOne({ _id: parcelObjectId }, { projection: { payment_intent_id: 1, delivery_status: 1 } });
+        const payment = await paymentsCollection.findOne({ transactionId: paymentIntent.id, type: 'payment' });
+        if (parcel) await refundUnappliedPayment(paymentIntent, parcel, payment, collections);
+    }
+    await parcelsCollection.updateOne({ _id: parcelObjectId, open_payment_intent_id: paymentIntent.id }, { $unset: { open_payment_intent_id: '' } });
+};
+
+// payment_intent.payment_failed: keep a record of the attempt and flag unpaid parcels
+const handlePaymentFailed = async (paymentIntent, event, collections) => {
+    const { parcelsCollection, paymentsCollection } = collections;
+    const { parcelId, email, batchId } = paymentIntent.metadata || {};
+    if (batchId) {
+        await handleBatchPaymentFailed(paymentIntent, event, collections);
+        return;
+    }
+    const parcelObjectId = toObjectId(parcelId);
+    if (!parcelObjectId) {
+        console.warn(`Stripe webhook: payment intent ${paymentIntent.id} has no valid parcelId metadata`);
+        return;
+    }
+
+    await paymentsCollection.updateOne(
+        { stripe_event_id: event.id },
+        {
+            $setOnInsert: {
+                parcelId,
+                email,
+                amount: fromMinorUnits(paymentIntent.amount, paymentIntent.currency),
+                amountInCents: paymentIntent.amount,
+                currency: paymentIntent.currency,
+                transactionId: paymentIntent.id,
+                type: paymentIntent.metadata.purpose === 'return_charge' ? 'return_charge' : 'payment',
+                status: 'failed',
+                failure_message: paymentIntent.last_payment_error?.message || null,
+                stripe_event_id: event.id,
+                failed_at: new Date(event.created * 1000),
+            },
+        },
+        { upsert: true }
+    );
+
+    if (paymentIntent.metadata.purpose === 'return_charge') return; // The return charge just stays due
+
+    await parcelsCollection.updateOne(
+        { _id: parcelObjectId, payment_status: { $in: ['unpaid', 'failed'] } },
+        { $set: { payment_status: 'failed' } }
+    );
+};
+
+// payment_intent.payment_failed for a parcel batch: keep a record, the parcels simply stay unpaid
+const handleBatchPaymentFailed = async (paymentIntent, event, { paymentsCollection }) => {
+    const { batchId, email } = paymentIntent.metadata;
+    await paymentsCollection.updateOne(
+        { stripe_event_id: event.id },
+        {
+            $setOnInsert: {
+                batchId,
+                email,
+                amount: fromMinorUnits(paymentIntent.amount, paymentIntent.currency),
+                amountInCents: paymentIntent.amount,
+                currency: paymentIntent.currency,
+                transactionId: paymentIntent.id,
+                type: 'payment',
+                status: 'failed',
+                failure_message: paymentIntent.last_payment_error?.message || null,
+                stripe_event_id: event.id,
+                failed_at: new Date(event.created * 1000),
+            },
+        },
+        { upsert: true }
+    );
+};
+
+// charge.refunded on a batch payment: the charge covers several parcels, so every refund is matched to its
+// parcel through its own metadata (set by refundParcelPayment) and compared with that parcel's share
+const handleBatchChargeRefunded = async (charge, event, { parcelsCollection, paymentsCollection, trackingsCollection }, batchId) => {
+    const paymentIntentId = charge.payment_intent;
+    const refundedParcelIds = new Set();
+    for (const refund of charge.refunds?.data || []) {
+        const parcelId = refund.metadata?.parcelId;
+        if (!parcelId) {
+            console.warn(`Stripe webhook: refund ${refund.id} on batch payment ${paymentIntentId} has no parcelId, record it manually`);
+            continue;
+        }
+        const payment = await paymentsCollection.findOne({ transactionId: paymentIntentId, type: 'payment', parcelId });
+        await paymentsCollection.updateOne(
+            { refundId: refund.id },
+            {
+                $setOnInsert: {
+                    parcelId,
+                    batchId,
+                    email: payment?.email,
+                    amount: fromMinorUnits(refund.amount, refund.currency),
+                    amountInCents: refund.amount,
+                    currency: refund.currency,
+                    transactionId: paymentIntentId,
+                    refundId: refund.id,
+                    type: 'refund',
+                    reason: refund.metadata?.reason || refund.reason || null,
+                    stripe_event_id: event.id,
+                    refunded_at: new Date(refund.created * 1000),
+                },
+                $set: { status: refund.status },
+            },
+            { upsert: true }
+        );
+        refundedParcelIds.add(parcelId);
+    }
+
+    for (const parcelId of refundedParcelIds) {
+        const [payment, refunds] = await Promise.all([
+            paymentsCollection.findOne({ transactionId: paymentIntentId, type: 'payment', parcelId }),
+            paymentsCollection.find({ transactionId: paymentIntentId, type: 'refund', parcelId, status: { $ne: 'failed' } }).toArray(),
+        ]);
+        if (payment?.not_applied) continue; // Refunded because the parcel was paid by another intent or cancelled
+        const refundedInCents = refunds.reduce((sum, refund) => sum + refund.amountInCents, 0);
+        const parcelBefore = await parcelsCollection.findOneAndUpdate(
+            { _id: toObjectId(parcelId) },
+            {
+                $set: {
+                    payment_status: refundedInCents >= (payment?.amountInCents || 0) ? 'refunded' : 'partially_refunded',
+                    refunded_amount: fromMinorUnits(refundedInCents, charge.currency),
+                },
+            },
+            { returnDocument: 'before' }
+        );
+        const alreadyRecorded = toMinorUnits(parcelBefore?.refunded_amount || 0, charge.currency) >= refundedInCents;
+        if (parcelBefore && !alreadyRecorded) {
+            await recordTrackingEvent(trackingsCollection, parcelBefore, 'refunded');
+        }
+    }
+};
+
+// charge.refunded: record each refund once and update the parcel to refunded / partially_refunded
+const handleChargeRefunded = async (charge, event, collections) => {
+    const { parcelsCollection, paymentsCollection, trackingsCollection } = collections;
+    const paymentIntentId = charge.payment_intent;
+    const payment = await paymentsCollection.findOne({ transactionId: paymentIntentId, type: { $in: ['payment', 'return_charge'] }, status: 'succeeded' });
+    if (payment?.batchId) {
+        await handleBatchChargeRefunded(charge, event, collections, payment.batchId);
+        return;
+    }
+    const parcelId = payment?.parcelId || charge.metadata?.parcelId;
+    const email = payment?.email || charge.metadata?.email;
+
+    const refunds = charge.refunds?.data || [];
+    for (const refund of refunds) {
+        await paymentsCollection.updateOne(
+            { refundId: refund.id },
+            {
+                $setOnInsert: {
+                    parcelId,
+                    email,
+                    amount: fromMinorUnits(refund.amount, refund.currency),
+                    amountInCents: refund.amount,
+                    currency: refund.currency,
+                    transactionId: paymentIntentId,
+                    refundId: refund.id,
+                    type: 'refund',
+                    reason: refund.metadata?.reason || refund.reason || null,
+                    stripe_event_id: event.id,
+                    refunded_at: new Date(refund.created * 1000),
+                },
+                $set: { status: refund.status },
+            },
+            { upsert: true }
+        );
+    }
+
+    // Refunding a return charge (e.g. from the Stripe dashboard) or a payment that was never applied leaves the parcel's own payment alone
+    if (payment?.type === 'return_charge' || payment?.not_applied) return;
+
+    const parcelObjectId = toObjectId(parcelId);
+    if (!parcelObjectId) {
+        console.warn(`Stripe webhook: refunded charge ${charge.id} could not be matched to a parcel`);
+        return;
+    }
+
+    const fullyRefunded = charge.amount_refunded >= charge.amount;
+    const refundedInCents = Math.round(charge.amount_refunded);
+    const parcelBefore = await parcelsCollection.findOneAndUpdate(
+        { _id: parcelObjectId },
+        {
+            $set: {
+                payment_status: fullyRefunded ? 'refunded' : 'partially_refunded',
+                refunded_amount: fromMinorUnits(refundedInCents, charge.currency),
+            },
+        },
+        { returnDocument: 'before' }
+    );
+    // Refunds made through our own routes are already on the timeline, only note ones made elsewhere (e.g. the Stripe dashboard)
+    const alreadyRecorded = toMinorUnits(parcelBefore?.refunded_amount || 0, charge.currency) >= refundedInCents;
+    if (parcelBefore && !alreadyRecorded) {
+        await recordTrackingEvent(trackingsCollection, parcelBefore, 'refunded');
+    }
+};
+
+const EVENT_HANDLERS = {
+    'payment_intent.succeeded': handlePaymentSucceeded,
+    'payment_intent.payment_failed': handlePaymentFailed,
+    'charge.refunded': handleChargeRefunded,
+};
+
+// Runs the handler for a verified Stripe event. `collections` also carries the `stripe` client, used to refund
+// duplicate payments. Returns false when the event was already processed or is not handled.
+const handleStripeEvent = async (event, collections) => {
+    const handler = EVENT_HANDLERS[event.type];
+    if (!handler) return false;
+
+    const { stripeEventsCollection } = collections;
+    const alreadyProcessed = await stripeEventsCollection.findOne({ _id: event.id });
+    if (alreadyProcessed) return false;
+
+    await handler(event.data.object, event, collections);
+
+    // Only mark the event as processed after the writes succeeded, so Stripe retries failed deliveries
+    await stripeEventsCollection.updateOne(
+        { _id: event.id },
+        { $setOnInsert: { type: event.type, processed_at: new Date() } },
+        { upsert: true }
+    );
+    return true;
+};
+
+module.exports = {
+    handleStripeEvent,
+};
@@ -0,0 +1,114 @@
+// --- Parcel Tracking ---
+// Tracking entries are written by the server whenever a parcel moves through its lifecycle.
+// Riders and admins can add free-text notes on top of those events.
+
+const crypto = require('crypto');
+const { publishParcelEvent } = require('./events');
+const { getRouteSummary } = require('./serviceCenters');
+
+// Default timeline messages per event
+const TRACKING_MESSAGES = {
+    created: 'Parcel booked',
+    paid: 'Payment received',
+    pending: 'Parcel is waiting for a rider',
+    rider_assigned: 'Rider assigned to the parcel',
+    in_transit: 'Parcel picked up by the rider',
+    at_hub: 'Parcel is waiting at the hub for the next rider',
+    hub_check_in: 'Parcel checked in at the hub',
+    hub_check_out: 'Parcel left the hub',
+    delivered: 'Parcel delivered',
+    service_center_delivered: 'Parcel delivered to the service center',
+    failed_attempt: 'Delivery attempt failed',
+    return_pending: 'Parcel is being returned to the sender',
+    return_assigned: 'Rider assigned to return the parcel',
+    return_in_transit: 'Parcel picked up for return',
+    returned: 'Parcel returned to sender',
+    return_charge_paid: 'Return charge paid',
+    cancelled: 'Parcel cancelled',
+    refunded: 'Payment refunded',
+    cashed_out: 'Rider cashed out the delivery',
+    note: 'Note added',
+};
+
+// Unambiguous characters only (no 0/O, 1/I), so ids are easy to read out over the phone
+const TRACKING_ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// e.g. PF-20261019-7KQ2MX
+const generateTrackingId = (date = new Date()) => {
+    const datePart = date.toISOString().slice(0, 10).replace(/-/g, '');
+    const bytes = crypto.randomBytes(6);
+    let randomPart = '';
+    for (const byte of bytes) {
+        randomPart += TRACKING_ID_ALPHABET[byte % TRACKING_ID_ALPHABET.length];
+    }
+    return `PF-${datePart}-${randomPart}`;
+};
+
+const isDuplicateTrackingId = (error) => error?.code === 11000 && JSON.stringify(error.keyPattern || error.message).includes('tracking_id');
+
+// Inserts a new parcel with a freshly generated tracking id, retrying on the (unlikely) collision.
+// Relies on the unique index on parcels.tracking_id created at startup.
+const insertParcelWithTrackingId = async (parcelsCollection, parcel, maxAttempts = 5) => {
+    for (let attempt = 1; ; attempt++) {
+        parcel.tracking_id = generateTrackingId(parcel.createdAt);
+        try {
+            return await parcelsCollection.insertOne(parcel);
+        } catch (error) {
+            if (!isDuplicateTrackingId(error) || attempt >= maxAttempts) throw error;
+            delete parcel._id; // insertOne sets _id on the object even when the insert fails
+        }
+    }
+};
+
+// Appends an entry to a parcel's timeline and publishes it to the live streams. `actor` is `{ email, role }`.
+const recordTrackingEvent = async (trackingsCollection, parcel, status, { message, actor } = {}) => {
+    const entry = {
+        tracking_id: parcel.tracking_id,
+        parcel_id: parcel._id.toString(),
+        status,
+        delivery_status: parcel.delivery_status,
+        message: message || TRACKING_MESSAGES[status] || status,
+        updated_by: actor?.email || 'system',
+        actor_role: actor?.role || 'system',
+        source: status === 'note' ? 'note' : 'system',
+        timestamp: new Date(),
+    };
+    const result = await trackingsCollection.insertOne(entry);
+    publishParcelEvent(entry); // insertOne has set entry._id, which doubles as the SSE event id
+    return result;
+};
+
+// Normalizes tracking entries (including ones posted by clients before the server wrote them) into one shape
+const normalizeTimeline = (entries) => entries.map((entry) => ({
+    status: entry.status,
+    message: entry.message || entry.details || entry.note || TRACKING_MESSAGES[entry.status] || entry.status,
+    updated_by: entry.updated_by || null,
+    actor_role: entry.actor_role || null,
+    source: entry.source || 'legacy',
+    timestamp: entry.timestamp,
+}));
+
+// Public summary of a parcel shown next to its timeline
+const getParcelSummary = (parcel) => ({
+    tracking_id: parcel.tracking_id,
+    title: parcel.title,
+    type: parcel.type,
+    sender_district: parcel.pricing?.sender_district || parcel.sender_center,
+    receiver_district: parcel.pricing?.receiver_district || parcel.receiver_center,
+    delivery_status: parcel.delivery_status,
+    payment_status: parcel.payment_status,
+    assigned_rider_name: parcel.assigned_rider_name || null,
+    createdAt: parcel.createdAt,
+    picked_at: parcel.picked_at || null,
+    delivered_at: parcel.delivered_at || null,
+    route: getRouteSummary(parcel.route),
+});
+
+module.exports = {
+    TRACKING_MESSAGES,
+    generateTrackingId,
+    insertParcelWithTrackingId,
+    recordTrackingEvent,
+    normalizeTimeline,
+    getParcelSummary,
+};
@@ -0,0 +1,124 @@
+// --- Request Validation ---
+// Small schema layer for request bodies: unknown fields are stripped, values are coerced to the
+// declared type, and every field-level problem is reported in one consistent 400 response:
+// { message: 'Validation failed', errors: [{ field, message }] }
+//
+// Field options: type ('string' | 'number' | 'integer' | 'boolean' | 'email' | 'objectId' | 'date' | 'array'),
+// required, enum, min / max (numbers), maxLength (strings and array items), maxItems (arrays), default
+// Arrays hold strings and also accept a comma-separated string (e.g. from a query string).
+
+const { ObjectId } = require('mongodb');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Returns [coercedValue, errorMessage]
+const coerce = (value, rule) => {
+    switch (rule.type) {
+        case 'string':
+        case 'email': {
+            if (typeof value !== 'string' && typeof value !== 'number') return [null, 'must be a string'];
+            const text = String(value).trim();
+            if (rule.maxLength && text.length > rule.maxLength) return [null, `must be at most ${rule.maxLength} characters`];
+            if (rule.type === 'email' && !EMAIL_PATTERN.test(text)) return [null, 'must be a valid email'];
+            return [rule.type === 'email' ? text.toLowerCase() : text, null];
+        }
+        case 'number':
+        case 'integer': {
+            const number = typeof value === 'string' ? Number(value.trim()) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) return [null, 'must be a number'];
+            if (rule.type === 'integer' && !Number.isInteger(number)) return [null, 'must be a whole number'];
+            if (rule.min !== undefined && number < rule.min) return [null, `must be at least ${rule.min}`];
+            if (rule.max !== undefined && number > rule.max) return [null, `must be at most ${rule.max}`];
+            return [number, null];
+        }
+        case 'boolean': {
+            if (typeof value === 'boolean') return [value, null];
+            if (value === 'true' || value === 'false') return [value === 'true', null];
+            return [null, 'must be true or false'];
+        }
+        case 'objectId': {
+            if (typeof value !== 'string' || !ObjectId.isValid(value)) return [null, 'must be a valid id'];
+            return [value, null];
+        }
+        case 'date': {
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) return [null, 'must be a valid date'];
+            return [date, null];
+        }
+        case 'array': {
+            const items = Array.isArray(value) ? value : String(value).split(',');
+            if (items.some((item) => typeof item !== 'string' && typeof item !== 'number')) return [null, 'must be a list of strings'];
+            const list = items.map((item) => String(item).trim()).filter(Boolean);
+            if (rule.maxItems && list.length > rule.maxItems) return [null, `must have at most ${rule.maxItems} items`];
+            if (rule.maxLength && list.some((item) => item.length > rule.maxLength)) return [null, `items must be at most ${rule.maxLength} characters`];
+            return [list, null];
+        }
+        default:
+            throw new Error(`Unknown schema type: ${rule.type}`);
+    }
+};
+
+// Validates `input` against `schema`, returns { value, errors }
+const validate = (schema, input) => {
+    const source = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    const value = {};
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const raw = source[field];
+        if (isEmpty(raw)) {
+            if (rule.required) errors.push({ field, message: `${field} is required` });
+            else if (rule.default !== undefined) value[field] = rule.default;
+            continue;
+        }
+
+        const [coerced, error] = coerce(raw, rule);
+        if (error) {
+            errors.push({ field, message: `${field} ${error}` });
+            continue;
+        }
+        if (rule.enum && !rule.enum.includes(coerced)) {
+            errors.push({ field, message: `${field} must be one of: ${rule.enum.join(', ')}` });
+            continue;
+        }
+        value[field] = coerced;
+    }
+
+    return { value, errors };
+};
+
+const sendValidationError = (res, errors) => res.status(400).send({ message: 'Validation failed', errors });
+
+// Middleware replacing req.body with the validated, stripped and coerced body
+const validateBody = (schema) => (req, res, next) => {
+    const { value, errors } = validate(schema, req.body);
+    if (errors.length) return sendValidationError(res, errors);
+    req.body = value;
+    next();
+};
+
+// Same for the query string (Express 5 makes req.query a getter, so the result goes on req.validatedQuery)
+const validateQuery = (schema) => (req, res, next) => {
+    const { value, errors } = validate(schema, req.query);
+    if (errors.length) return sendValidationError(res, errors);
+    req.validatedQuery = value;
+    next();
+};
+
+// app.param handler rejecting malformed ObjectIds with a 400 instead of letting `new ObjectId()` throw
+const validateObjectIdParam = (req, res, next, id, name) => {
+    if (!ObjectId.isValid(id)) {
+        return sendValidationError(res, [{ field: name, message: `${name} must be a valid id` }]);
+    }
+    next();
+};
+
+module.exports = {
+    validate,
+    validateBody,
+    validateQuery,
+    validateObjectIdParam,
+    sendValidationError,
+};